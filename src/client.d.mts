@@ -0,0 +1,652 @@
+// Type declarations for `src/client.mjs` and for the JSON the CLI prints with
+// `--json`. Commands that print a server response print it unchanged, so the
+// response types below double as the `--json` output of those commands.
+
+export type Platform =
+  | 'iphone'
+  | 'ipad'
+  | 'mac'
+  | 'appletv'
+  | 'watch'
+  | 'vision'
+export type Period = 7 | 30 | 90
+export type TrackedKeywordsSortField =
+  | 'keyword'
+  | 'relevance'
+  | 'popularity'
+  | 'difficulty'
+  | 'position'
+  | 'lastUpdate'
+export type SortOrder = 'asc' | 'desc'
+
+/** ISO 8601 timestamp. */
+export type Timestamp = string
+/** Calendar date, `YYYY-MM-DD`. */
+export type DateOnly = string
+
+export const DEFAULT_API_BASE_URL: string
+export const DEFAULT_REGION: string
+export const DEFAULT_PLATFORM: Platform
+export const DEFAULT_PERIOD: Period
+export const PERIODS: Period[]
+export const MAX_KEYWORDS: number
+export const MAX_TRACKED_KEYWORDS_ADD: number
+export const MAX_PLANNED_TRACKED_APP_ID_LENGTH: number
+export const TRACKED_KEYWORDS_MAX_PAGE: number
+export const TRACKED_KEYWORDS_SORT_FIELDS: Set<TrackedKeywordsSortField>
+export const TRACKED_KEYWORDS_SORT_DEFAULT: TrackedKeywordsSortField
+export const TRACKED_KEYWORDS_ORDER_VALUES: Set<SortOrder>
+export const TRACKED_KEYWORDS_ORDER_DEFAULT: SortOrder
+export const SUPPORTED_PLATFORMS: Set<Platform>
+
+// Errors
+
+export type AsoSuiteErrorCode =
+  | 'error'
+  | 'usage_error'
+  | 'auth_error'
+  | 'api_error'
+  | 'network_error'
+  | 'timeout'
+  | 'offline'
+  | 'replay_miss'
+  | 'server_error'
+
+export class AsoSuiteError extends Error {
+  constructor(
+    message: string,
+    details?: { code?: string; cause?: unknown; [key: string]: unknown },
+  )
+  code: AsoSuiteErrorCode | string
+}
+
+export class AsoSuiteValidationError extends AsoSuiteError {
+  code: 'usage_error'
+}
+
+export class AsoSuiteAuthError extends AsoSuiteError {
+  code: 'auth_error'
+}
+
+export class AsoSuiteApiError extends AsoSuiteError {
+  code: 'api_error'
+  status: number
+  payload: ApiErrorPayload | null
+  retryAfterSeconds: number | null
+}
+
+export class AsoSuiteNetworkError extends AsoSuiteError {
+  code: 'network_error' | 'timeout' | 'offline' | 'replay_miss'
+}
+
+export interface ApiErrorPayload {
+  error?: string
+  /** Server error code, e.g. `cli_free_unit_limit_reached`. */
+  code?: string
+  retryAfterSeconds?: number
+  subscribeUrl?: string
+  freeUnitLimit?: number
+  usedUnits?: number
+  remainingUnits?: number
+}
+
+export function createError(
+  code: AsoSuiteErrorCode | string,
+  message: string,
+  details?: Record<string, unknown>,
+): AsoSuiteError
+
+// Validation helpers. They return null for invalid input instead of throwing.
+
+export function normalizePlatform(value: unknown): Platform | null
+export function normalizeRegionCode(value: unknown): string | null
+/** Splits a comma-separated list, dropping invalid codes and duplicates. */
+export function parseRegionsOption(value: unknown): string[]
+export function normalizePlannedTrackedAppId(value: unknown): string | null
+export function parseAppInput(value: unknown): { appId: string } | null
+export function parseAppId(value: unknown): string | null
+export function parseTrackedKeywordsAppTarget(
+  value: unknown,
+):
+  | { appId: string; plannedTrackedAppId: null; appIdentifier: string }
+  | { appId: null; plannedTrackedAppId: string; appIdentifier: string }
+  | null
+export function normalizeKeywordArgs(values: unknown[]): string[]
+export function toLocalDateOnly(date?: Date): DateOnly
+export function normalizeDateOnly(value: unknown): DateOnly | null
+export function readApiResponse(response: Response): Promise<unknown>
+
+// Client
+
+export interface ApiRequest {
+  pathName: string
+  method: 'GET' | 'POST' | 'DELETE'
+  body?: unknown
+  accessToken?: string
+  /** POST requests that are safe to retry. */
+  idempotent?: boolean
+  cache?: { ttlSeconds: number; tags?: string[] }
+  /** Cache tags to drop after the request succeeds. */
+  invalidates?: string[]
+}
+
+export interface AsoSuiteClientOptions {
+  accessToken?: string | null
+  /** Defaults to `https://server.asosuite.com`. */
+  baseUrl?: string
+  fetch?: typeof globalThis.fetch
+  /** Replaces the built-in fetch transport. */
+  request?: (request: ApiRequest) => Promise<unknown>
+}
+
+/** Accepts an App Store URL, an `id`-prefixed value or a numeric id. */
+export type AppInput = string | number
+
+export class AsoSuiteClient {
+  constructor(options?: AsoSuiteClientOptions)
+
+  request<T = unknown>(
+    request: Omit<ApiRequest, 'method' | 'accessToken'> & {
+      method?: ApiRequest['method']
+      anonymous?: boolean
+    },
+  ): Promise<T>
+
+  startDeviceAuth(): Promise<DeviceAuthStartResponse>
+  exchangeDeviceCode(deviceCode: string): Promise<DeviceAuthTokenResponse>
+  getSubscription(): Promise<SubscriptionResponse>
+
+  getKeywordMetrics(options: {
+    keywords: string | string[]
+    region?: string
+    platform?: Platform
+    appId?: AppInput | null
+  }): Promise<KeywordMetricsResponse>
+
+  searchApps(options: {
+    query: string
+    region?: string
+    platform?: Platform
+  }): Promise<SearchAppsResponse>
+
+  listApps(): Promise<ListAppsResponse>
+
+  trackApp(options: {
+    appId: AppInput
+    platform?: Platform
+    region?: string
+  }): Promise<OkResponse>
+
+  untrackApp(options: {
+    appId: AppInput
+    platform?: Platform
+    region?: string
+  }): Promise<OkResponse>
+
+  planApp(options: {
+    name: string
+    plannedTrackedAppId?: string | null
+    platform?: Platform
+    region?: string
+  }): Promise<OkResponse>
+
+  unplanApp(options: {
+    plannedTrackedAppId: string
+    platform?: Platform
+    region?: string
+  }): Promise<OkResponse>
+
+  /** `app` is a tracked app id or URL, or a planned app id. */
+  listTrackedKeywords(options: {
+    app: AppInput
+    platform?: Platform
+    region?: string | null
+    page?: number
+    sort?: TrackedKeywordsSortField
+    order?: SortOrder
+  }): Promise<TrackedKeywordsResponse>
+
+  addTrackedKeywords(
+    options: TrackedKeywordsEditOptions,
+  ): Promise<TrackedKeywordsEditResponse>
+  removeTrackedKeywords(
+    options: TrackedKeywordsEditOptions,
+  ): Promise<TrackedKeywordsEditResponse>
+
+  listRelatedApps(options: {
+    appId: AppInput
+    platform?: Platform
+  }): Promise<RelatedAppsResponse>
+
+  addRelatedApp(options: {
+    appId: AppInput
+    relatedAppId: AppInput
+    platform?: Platform
+    region?: string | null
+  }): Promise<OkResponse>
+
+  removeRelatedApp(options: {
+    appId: AppInput
+    relatedAppId: AppInput
+    platform?: Platform
+  }): Promise<OkResponse>
+
+  /** With `appId`, global events are included alongside the app's own. */
+  listEvents(options?: { appId?: AppInput | null }): Promise<EventsResponse>
+
+  addEvent(options: {
+    text: string
+    /** Defaults to today in local time. */
+    date?: DateOnly
+    appId?: AppInput | null
+  }): Promise<TimelineEvent>
+
+  deleteEvent(id: number | string): Promise<OkResponse>
+
+  getCharts(options: {
+    appId: AppInput
+    platform?: Platform
+    period?: Period
+    regions?: string[]
+  }): Promise<ChartsResponse>
+
+  getFeatures(options: {
+    appId: AppInput
+    platform?: Platform
+  }): Promise<FeaturesResponse>
+
+  getRatings(options: {
+    appId: AppInput
+    platform?: Platform
+    period?: Period
+  }): Promise<RatingsResponse>
+}
+
+export interface TrackedKeywordsEditOptions {
+  app: AppInput
+  keywords: string | string[]
+  platform?: Platform
+  region?: string
+}
+
+// API responses
+
+/** Mutations resolve to `{ ok: true }`, or null for an empty response. */
+export type OkResponse = { ok?: boolean } | null
+
+/** Counts are present when the server reports them */
+export type TrackedKeywordsEditResponse = {
+  ok?: boolean
+  added?: number
+  alreadyTracked?: number
+  removed?: number
+  notTracked?: number
+} | null
+
+export interface DeviceAuthStartResponse {
+  userCode: string
+  deviceCode: string
+  pollIntervalSeconds?: number
+  expiresInSeconds?: number
+}
+
+export interface DeviceAuthTokenResponse {
+  accessToken: string
+  expiresAt: Timestamp
+}
+
+/** `asosuite subscription --json` */
+export interface SubscriptionResponse {
+  plan: string
+  active: boolean
+  isSubscriber: boolean
+  billingPeriod: string | null
+  expiresAt: Timestamp | null
+  subscribeUrl?: string
+}
+
+export interface KeywordMetric {
+  keyword: string
+  popularity: number | null
+  difficulty: number | null
+  popularityPending: boolean
+  difficultyPending: boolean
+  /** Only with `appId`; null when the app does not rank. */
+  position?: number | null
+}
+
+/** `asosuite keywords --json` */
+export interface KeywordMetricsResponse {
+  region: string
+  keywordCount: number
+  appId: string | null
+  platform: Platform
+  metrics: KeywordMetric[]
+}
+
+export interface SearchAppsResult {
+  appId: string
+  name: string
+  developer: string
+  isTracked: boolean
+  trackedRegions?: string[]
+}
+
+/** `asosuite search-apps --json` */
+export type SearchAppsResponse = SearchAppsResult[]
+
+export interface ListedApp {
+  platform: Platform
+  name: string
+  regions: { region: string }[]
+  totalKeywordCount: number
+}
+
+/** `asosuite list-apps --json` */
+export interface ListAppsResponse {
+  tracked: (ListedApp & { appId: string })[]
+  planned: (ListedApp & { plannedTrackedAppId: string })[]
+}
+
+export interface MetricValue {
+  value: number | null
+  pendingData: boolean
+}
+
+export interface RankingEntry {
+  /** null for days the app did not rank. */
+  position: number | null
+}
+
+export interface TrackedKeywordMetrics {
+  popularity: MetricValue
+  difficulty: MetricValue
+  rankings: { entries: RankingEntry[] }
+}
+
+export interface TrackedKeywordItem {
+  keyword: string
+  region: string
+  metrics: TrackedKeywordMetrics
+}
+
+/** `asosuite tracked-keywords list --json` */
+export interface TrackedKeywordsResponse {
+  appId: string
+  platform: Platform
+  page: number
+  pageSize: number
+  total: number
+  hasMore: boolean
+  regionFilter: string | null
+  sort: TrackedKeywordsSortField
+  order: SortOrder
+  items: TrackedKeywordItem[]
+}
+
+/** Response shape from servers that predate pagination. */
+export interface LegacyTrackedKeywordsResponse {
+  apps: {
+    appId: string
+    platform: Platform
+    regions: {
+      code: string
+      name?: string
+      keywords: { name: string; metrics: TrackedKeywordMetrics }[]
+    }[]
+  }[]
+}
+
+export interface RelatedApp {
+  appId: string
+  platform: Platform
+  iconUrl: string | null
+}
+
+/** `asosuite related-apps list --json` */
+export type RelatedAppsResponse = RelatedApp[]
+
+export interface TimelineEvent {
+  id: number
+  date: DateOnly
+  text: string
+  /** Absent for global events. */
+  appId?: string | null
+}
+
+/** `asosuite events list --json` */
+export type EventsResponse = TimelineEvent[]
+
+export interface ChartList {
+  region: string
+  category?: string
+  collection?: string
+  chart?: string
+  pendingData: boolean
+  rankings: RankingEntry[]
+}
+
+/** `asosuite charts --json` */
+export interface ChartsResponse {
+  lastUpdate: Timestamp | null
+  lists: ChartList[]
+}
+
+export interface FeatureItem {
+  region: string
+  platform: Platform
+  position: number | null
+  firstSeen: Timestamp | null
+  lastSeen: Timestamp
+  path: string[]
+  name?: string
+}
+
+/** `asosuite features --json`. Older servers return the items array alone. */
+export type FeaturesResponse =
+  | {
+      items: FeatureItem[]
+      /** Items hidden by the current plan. */
+      remainingCount: number
+    }
+  | FeatureItem[]
+
+export interface RatingsSeriesPoint {
+  date: DateOnly
+  average: number | null
+  count: number
+}
+
+export interface RegionRatings {
+  region: string
+  totalCount: number
+  average: number | null
+  trend: number | null
+  lastUpdate: Timestamp | null
+}
+
+/** `asosuite ratings --json` */
+export interface RatingsResponse {
+  lastUpdate: Timestamp | null
+  series: RatingsSeriesPoint[]
+  regions: RegionRatings[]
+}
+
+// JSON printed by commands that do not return a server response as-is
+
+/** `track-app` and `untrack-app` */
+export interface CliTrackAppOutput {
+  ok: true
+  appId: string
+  platform: Platform
+  region: string
+}
+
+/** `plan-app` and `unplan-app` */
+export interface CliPlanAppOutput {
+  ok: true
+  name?: string
+  plannedTrackedAppId?: string
+  platform: Platform
+  region: string
+}
+
+/**
+ * One batch of up to MAX_TRACKED_KEYWORDS_ADD keywords. `add` reports `added`
+ * and `alreadyTracked`; `remove` reports `removed` and `notTracked`.
+ */
+export interface CliTrackedKeywordsEditBatch {
+  keywordCount: number
+  added?: number
+  /** null when the server didn't report it */
+  alreadyTracked?: number | null
+  removed?: number
+  notTracked?: number | null
+  failed: number
+  error?: string
+}
+
+/** `tracked-keywords add` and `tracked-keywords remove`; `ok` is false when a batch failed */
+export type CliTrackedKeywordsEditOutput = {
+  ok: boolean
+  platform: Platform
+  region: string
+  keywordCount: number
+  keywords: string[]
+  added?: number
+  /** null when the server didn't report it for every batch */
+  alreadyTracked?: number | null
+  removed?: number
+  notTracked?: number | null
+  failed: number
+  batches: CliTrackedKeywordsEditBatch[]
+} & ({ appId: string } | { plannedTrackedAppId: string })
+
+/** One region of a `tracked-keywords sync` plan */
+export interface CliTrackedKeywordsSyncRegion {
+  region: string
+  keep: number
+  add: string[]
+  remove: string[]
+}
+
+/** `tracked-keywords sync`; with `dryRun` nothing was changed */
+export type CliTrackedKeywordsSyncOutput = {
+  ok: true
+  dryRun: boolean
+  platform: Platform
+  regions: CliTrackedKeywordsSyncRegion[]
+} & ({ appId: string } | { plannedTrackedAppId: string })
+
+/** One change in a `plan` or `apply` manifest plan */
+export type CliManifestChange = { action: 'add' | 'remove' } & (
+  | { type: 'trackedApp'; appId: string; platform: Platform; region: string }
+  | {
+      type: 'plannedApp'
+      plannedTrackedAppId: string
+      name?: string
+      platform: Platform
+      region: string
+    }
+  | {
+      type: 'relatedApp'
+      appId: string
+      platform: Platform
+      relatedAppId: string
+    }
+  | {
+      type: 'keywords'
+      app: string
+      platform: Platform
+      region: string
+      keywords: string[]
+    }
+  | {
+      type: 'event'
+      id?: number
+      date: string
+      text: string
+      appId: string | null
+    }
+)
+
+/** `plan` and `apply`; `unmanaged` counts removals left out without `prune` */
+export interface CliManifestOutput {
+  ok: true
+  applied: boolean
+  prune: boolean
+  changes: CliManifestChange[]
+  unmanaged: number
+}
+
+/** `related-apps add` and `related-apps remove` */
+export interface CliRelatedAppOutput {
+  ok: true
+  appId: string
+  platform: Platform
+  relatedAppId: string
+  region?: string
+}
+
+/** `events delete` */
+export interface CliEventDeleteOutput {
+  ok: true
+  id: number
+}
+
+/** `auth status` */
+export interface CliAuthStatusOutput {
+  profile: string
+  authenticated: boolean
+  tokenSource: 'env' | 'config' | null
+  expiresAt: Timestamp | null
+  expiresInSeconds: number | null
+  expired: boolean
+  plan: string | null
+  active: boolean | null
+}
+
+/** `profile list` */
+export interface CliProfileListOutput {
+  currentProfile: string
+  profiles: {
+    name: string
+    current: boolean
+    authenticated: boolean
+    expiresAt: Timestamp | null
+  }[]
+}
+
+/** `cache stats` */
+export interface CliCacheStatsOutput {
+  directory: string
+  entries: number
+  fresh: number
+  expired: number
+  totalBytes: number
+  profiles: string[]
+}
+
+/** Written to stderr instead of plain text when `--json` is set. */
+export interface CliErrorOutput {
+  error: string
+  code:
+    | 'usage'
+    | 'auth'
+    | 'payment'
+    | 'not_found'
+    | 'rate_limit'
+    | 'network'
+    | 'server'
+    | 'interrupted'
+    | 'error'
+  exitCode: number
+  status: number | null
+  serverCode?: string
+  retryAfterSeconds?: number
+  subscribeUrl?: string
+  freeUnitLimit?: number
+  usedUnits?: number
+  remainingUnits?: number
+  expectedServerUrl?: string
+}
@@ -0,0 +1,889 @@
+// Programmatic client for the ASO Suite CLI API. The `asosuite` command is a
+// thin wrapper around AsoSuiteClient, so both validate input the same way.
+
+export const DEFAULT_API_BASE_URL = 'https://server.asosuite.com'
+export const DEFAULT_REGION = 'US'
+export const DEFAULT_PLATFORM = 'iphone'
+export const DEFAULT_PERIOD = 30
+export const PERIODS = [7, 30, 90]
+export const MAX_KEYWORDS = 50
+export const MAX_TRACKED_KEYWORDS_ADD = 200
+export const MAX_PLANNED_TRACKED_APP_ID_LENGTH = 64
+export const TRACKED_KEYWORDS_MAX_PAGE = 1000
+export const TRACKED_KEYWORDS_SORT_FIELDS = new Set([
+  'keyword',
+  'relevance',
+  'popularity',
+  'difficulty',
+  'position',
+  'lastUpdate',
+])
+export const TRACKED_KEYWORDS_SORT_DEFAULT = 'keyword'
+export const TRACKED_KEYWORDS_ORDER_VALUES = new Set(['asc', 'desc'])
+export const TRACKED_KEYWORDS_ORDER_DEFAULT = 'asc'
+export const SUPPORTED_PLATFORMS = new Set([
+  'iphone',
+  'ipad',
+  'mac',
+  'appletv',
+  'watch',
+  'vision',
+])
+const APP_ID_MIN_LENGTH = 6
+const CACHE_TTL_SECONDS = {
+  charts: 60 * 60,
+  features: 6 * 60 * 60,
+  ratings: 60 * 60,
+  relatedApps: 10 * 60,
+  trackedKeywords: 10 * 60,
+  apps: 10 * 60,
+}
+const APPS_CACHE_TAG = 'apps'
+
+// `code` is stable across releases; the CLI maps it to its exit codes.
+export class AsoSuiteError extends Error {
+  constructor(message, { code = 'error', cause, ...details } = {}) {
+    super(message, cause === undefined ? undefined : { cause })
+    this.name = new.target.name
+    this.code = code
+
+    for (const [key, value] of Object.entries(details)) {
+      if (value != null) {
+        this[key] = value
+      }
+    }
+  }
+}
+
+export class AsoSuiteValidationError extends AsoSuiteError {
+  constructor(message, details = {}) {
+    super(message, { code: 'usage_error', ...details })
+  }
+}
+
+export class AsoSuiteAuthError extends AsoSuiteError {
+  constructor(message, details = {}) {
+    super(message, { code: 'auth_error', ...details })
+  }
+}
+
+// Non-2xx responses. `status`, the parsed `payload` and `retryAfterSeconds`
+// (for 429s) are copied onto the error.
+export class AsoSuiteApiError extends AsoSuiteError {
+  constructor(message, details = {}) {
+    super(message, { code: 'api_error', ...details })
+  }
+}
+
+// The request never got a response: `code` is network_error, timeout,
+// offline or replay_miss.
+export class AsoSuiteNetworkError extends AsoSuiteError {
+  constructor(message, details = {}) {
+    super(message, { code: 'network_error', ...details })
+  }
+}
+
+const ERROR_CLASSES = {
+  usage_error: AsoSuiteValidationError,
+  auth_error: AsoSuiteAuthError,
+  network_error: AsoSuiteNetworkError,
+  timeout: AsoSuiteNetworkError,
+  offline: AsoSuiteNetworkError,
+  replay_miss: AsoSuiteNetworkError,
+}
+
+export function createError(code, message, details = {}) {
+  const ErrorClass = ERROR_CLASSES[code] || AsoSuiteError
+  return new ErrorClass(message, { ...details, code })
+}
+
+export function normalizePlatform(value) {
+  const normalized = String(value || '')
+    .trim()
+    .toLowerCase()
+  if (!SUPPORTED_PLATFORMS.has(normalized)) {
+    return null
+  }
+  return normalized
+}
+
+export function normalizeRegionCode(value) {
+  const normalized = String(value || '')
+    .trim()
+    .toUpperCase()
+
+  if (!/^[A-Z]{2}$/.test(normalized)) {
+    return null
+  }
+
+  return normalized
+}
+
+export function parseRegionsOption(value) {
+  const raw = String(value || '').trim()
+
+  if (!raw) {
+    return []
+  }
+
+  const regions = raw
+    .split(',')
+    .map((entry) => normalizeRegionCode(entry))
+    .filter((entry) => entry != null)
+
+  return Array.from(new Set(regions))
+}
+
+export function normalizePlannedTrackedAppId(value) {
+  const normalized = String(value || '')
+    .trim()
+    .replace(/\s+/g, '')
+
+  if (!normalized) {
+    return null
+  }
+
+  if (normalized.length > MAX_PLANNED_TRACKED_APP_ID_LENGTH) {
+    return null
+  }
+
+  return normalized
+}
+
+export function parseAppInput(value) {
+  const trimmed = String(value || '').trim()
+
+  if (!trimmed) {
+    return null
+  }
+
+  const prefixed = trimmed.match(
+    new RegExp(`^id(\\d{${APP_ID_MIN_LENGTH},})$`, 'i'),
+  )
+  if (prefixed) {
+    return { appId: prefixed[1] }
+  }
+
+  const raw = trimmed.match(new RegExp(`^(\\d{${APP_ID_MIN_LENGTH},})$`))
+  if (raw) {
+    return { appId: raw[1] }
+  }
+
+  try {
+    const parsed = new URL(trimmed)
+    const fromPath = parsed.pathname.match(
+      new RegExp(`/id(\\d{${APP_ID_MIN_LENGTH},})(?:/|$)`, 'i'),
+    )
+    if (fromPath) {
+      return { appId: fromPath[1] }
+    }
+  } catch (_error) {
+    // ignore invalid URL
+  }
+
+  const embedded = trimmed.match(
+    new RegExp(`\\bid(\\d{${APP_ID_MIN_LENGTH},})\\b`, 'i'),
+  )
+  if (embedded) {
+    return { appId: embedded[1] }
+  }
+
+  return null
+}
+
+export function parseAppId(value) {
+  return parseAppInput(value)?.appId ?? null
+}
+
+export function parseTrackedKeywordsAppTarget(value) {
+  const parsedApp = parseAppInput(value)
+  if (parsedApp) {
+    return {
+      appIdentifier: parsedApp.appId,
+      appId: parsedApp.appId,
+      plannedTrackedAppId: null,
+    }
+  }
+
+  const plannedId = normalizePlannedTrackedAppId(value)
+  if (plannedId) {
+    return {
+      appIdentifier: plannedId,
+      appId: null,
+      plannedTrackedAppId: plannedId,
+    }
+  }
+
+  return null
+}
+
+export function normalizeKeywordArgs(rest) {
+  return rest
+    .map((value) => String(value || '').trim())
+    .map((value) => value.replace(/^["']+|["']+$/g, ''))
+    .map((value) => value.replace(/\s+/g, ' ').trim())
+    .filter((value) => value.length > 0)
+}
+
+export function toLocalDateOnly(date = new Date()) {
+  const year = date.getFullYear()
+  const month = `${date.getMonth() + 1}`.padStart(2, '0')
+  const day = `${date.getDate()}`.padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+export function normalizeDateOnly(value) {
+  const normalized = String(value || '').trim()
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(normalized)) {
+    return null
+  }
+
+  const parsed = new Date(`${normalized}T00:00:00.000Z`)
+  if (Number.isNaN(parsed.getTime())) {
+    return null
+  }
+
+  return normalized
+}
+
+function looksLikeHtml(text) {
+  const normalized = text.trim().toLowerCase()
+  return (
+    normalized.startsWith('<!doctype html') ||
+    normalized.startsWith('<html') ||
+    normalized.includes('<body')
+  )
+}
+
+function getResponseOrigin(response) {
+  try {
+    return new URL(response.url).origin
+  } catch (_error) {
+    return 'the API server'
+  }
+}
+
+async function parseErrorResponse(response) {
+  const text = await response.text().catch(() => '')
+
+  if (!text) {
+    return {
+      message: `${response.status} ${response.statusText}`,
+      payload: null,
+    }
+  }
+
+  try {
+    const parsed = JSON.parse(text)
+    if (
+      parsed &&
+      typeof parsed === 'object' &&
+      typeof parsed.error === 'string'
+    ) {
+      return {
+        message: parsed.error,
+        payload: parsed,
+      }
+    }
+    return {
+      message: text,
+      payload: parsed,
+    }
+  } catch (_error) {
+    // ignore parse errors
+  }
+
+  if (looksLikeHtml(text)) {
+    return {
+      message: `Request failed (${response.status} ${response.statusText}). Received HTML response from ${getResponseOrigin(response)}.`,
+      payload: null,
+    }
+  }
+
+  return {
+    message: text,
+    payload: null,
+  }
+}
+
+function parseRetryAfterHeader(value) {
+  const seconds = Number(value)
+
+  if (Number.isFinite(seconds)) {
+    return seconds
+  }
+
+  const date = new Date(value || '')
+  return Number.isNaN(date.getTime())
+    ? null
+    : (date.getTime() - Date.now()) / 1000
+}
+
+export async function readApiResponse(response) {
+  if (!response.ok) {
+    const parsedError = await parseErrorResponse(response)
+    const retryAfterSeconds =
+      Number(parsedError.payload?.retryAfterSeconds) ||
+      parseRetryAfterHeader(response.headers.get('retry-after'))
+
+    throw new AsoSuiteApiError(parsedError.message, {
+      status: response.status,
+      payload: parsedError.payload,
+      retryAfterSeconds: retryAfterSeconds > 0 ? retryAfterSeconds : null,
+    })
+  }
+
+  if (response.status === 204) {
+    return null
+  }
+
+  const contentType = response.headers.get('content-type') || ''
+
+  if (contentType.includes('application/json')) {
+    return response.json()
+  }
+
+  return response.text()
+}
+
+function resolveValue(value, parse, message) {
+  const parsed = parse(value)
+
+  if (parsed == null) {
+    throw new AsoSuiteValidationError(message)
+  }
+
+  return parsed
+}
+
+function resolveAppId(value, name = 'appId') {
+  return resolveValue(
+    value,
+    parseAppId,
+    `Invalid ${name}. Use an App Store URL, id-prefixed value, or numeric id.`,
+  )
+}
+
+function resolveAppTarget(value) {
+  return resolveValue(
+    value,
+    parseTrackedKeywordsAppTarget,
+    'Invalid app. Use an App Store URL/id or a planned app id.',
+  )
+}
+
+function resolvePlannedTrackedAppId(value) {
+  return resolveValue(
+    value,
+    normalizePlannedTrackedAppId,
+    `Invalid plannedTrackedAppId. Planned app ids must be 1-${MAX_PLANNED_TRACKED_APP_ID_LENGTH} chars.`,
+  )
+}
+
+function resolvePlatform(value = DEFAULT_PLATFORM) {
+  return resolveValue(
+    value,
+    normalizePlatform,
+    `Invalid platform. Supported values: ${Array.from(SUPPORTED_PLATFORMS).join(', ')}`,
+  )
+}
+
+function resolveRegion(value = DEFAULT_REGION) {
+  return resolveValue(
+    value,
+    normalizeRegionCode,
+    'Invalid region. Use a 2-letter region code.',
+  )
+}
+
+function resolvePeriod(value = DEFAULT_PERIOD) {
+  return resolveValue(
+    value,
+    (period) => (PERIODS.includes(Number(period)) ? Number(period) : null),
+    `Invalid period. Allowed values: ${PERIODS.join(', ')}`,
+  )
+}
+
+function resolveKeywords(keywords, max) {
+  const normalized = normalizeKeywordArgs(
+    Array.isArray(keywords) ? keywords : [keywords],
+  )
+
+  if (normalized.length === 0) {
+    throw new AsoSuiteValidationError('Provide at least one keyword')
+  }
+
+  if (normalized.length > max) {
+    throw new AsoSuiteValidationError(
+      `At most ${max} keywords are allowed per request`,
+    )
+  }
+
+  return normalized
+}
+
+function getRelatedAppsCacheTag(appId, platform) {
+  return `related-apps:${appId}:${platform}`
+}
+
+function getTrackedKeywordsCacheTag(appIdentifier, platform) {
+  return `tracked-keywords:${appIdentifier}:${platform}`
+}
+
+// App ids accept anything parseAppInput understands (numeric ids, `id123...`
+// or App Store URLs). Methods resolve with the parsed JSON response; invalid
+// options reject with an AsoSuiteValidationError rather than throwing.
+export class AsoSuiteClient {
+  #accessToken
+  #baseUrl
+  #fetch
+  #request
+
+  // `request` replaces the built-in fetch transport; the CLI passes its own to
+  // add retries, caching and tracing. It receives `{ pathName, method, body,
+  // accessToken, idempotent, cache, invalidates }`. `cache` (`{ ttlSeconds,
+  // tags }`) and `invalidates` (tags) are hints a plain transport can ignore.
+  constructor({
+    accessToken = null,
+    baseUrl = DEFAULT_API_BASE_URL,
+    fetch = globalThis.fetch,
+    request = null,
+  } = {}) {
+    this.#accessToken = accessToken
+    this.#baseUrl = String(baseUrl).replace(/\/+$/, '')
+    this.#fetch = fetch
+    this.#request = request
+  }
+
+  async request({
+    pathName,
+    method = 'GET',
+    body,
+    anonymous = false,
+    ...hints
+  }) {
+    if (!anonymous && !this.#accessToken) {
+      throw new AsoSuiteAuthError(
+        'No access token. Pass `accessToken` to AsoSuiteClient.',
+      )
+    }
+
+    const options = {
+      pathName,
+      method,
+      body,
+      accessToken: anonymous ? undefined : this.#accessToken,
+      ...hints,
+    }
+
+    return this.#request ? this.#request(options) : this.#send(options)
+  }
+
+  async #send({ pathName, method, body, accessToken }) {
+    const headers = { Accept: 'application/json' }
+
+    if (accessToken) {
+      headers.Authorization = `Bearer ${accessToken}`
+    }
+
+    if (body != null) {
+      headers['Content-Type'] = 'application/json'
+    }
+
+    let response
+
+    try {
+      response = await this.#fetch(`${this.#baseUrl}${pathName}`, {
+        method,
+        headers,
+        body: body != null ? JSON.stringify(body) : undefined,
+      })
+    } catch (error) {
+      throw new AsoSuiteNetworkError(
+        `Network error during ${method} ${pathName}: ${error?.cause?.message || error?.message || error}`,
+        { cause: error },
+      )
+    }
+
+    return readApiResponse(response)
+  }
+
+  async startDeviceAuth() {
+    return this.request({
+      pathName: '/api/cli/auth/start',
+      method: 'POST',
+      anonymous: true,
+    })
+  }
+
+  // Rejects with a 428 AsoSuiteApiError until the user approves the code.
+  async exchangeDeviceCode(deviceCode) {
+    return this.request({
+      pathName: '/api/cli/auth/token',
+      method: 'POST',
+      anonymous: true,
+      body: { deviceCode },
+    })
+  }
+
+  async getSubscription() {
+    return this.request({ pathName: '/api/cli/subscription' })
+  }
+
+  async getKeywordMetrics({ keywords, region, platform, appId } = {}) {
+    return this.request({
+      pathName: '/api/cli/keywords/metrics',
+      method: 'POST',
+      idempotent: true,
+      body: {
+        region: resolveRegion(region),
+        keywords: resolveKeywords(keywords, MAX_KEYWORDS),
+        appId: appId == null ? null : resolveAppId(appId),
+        platform: resolvePlatform(platform),
+      },
+    })
+  }
+
+  async searchApps({ query, region, platform } = {}) {
+    const normalizedQuery = String(query || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+
+    if (!normalizedQuery) {
+      throw new AsoSuiteValidationError('Provide a search query')
+    }
+
+    return this.request({
+      pathName: '/api/cli/apps/search',
+      method: 'POST',
+      idempotent: true,
+      body: {
+        query: normalizedQuery,
+        platform: resolvePlatform(platform),
+        region: resolveRegion(region),
+      },
+    })
+  }
+
+  async listApps() {
+    return this.request({
+      pathName: '/api/cli/apps/list',
+      cache: { ttlSeconds: CACHE_TTL_SECONDS.apps, tags: [APPS_CACHE_TAG] },
+    })
+  }
+
+  async trackApp({ appId, platform, region } = {}) {
+    const body = {
+      appId: resolveAppId(appId),
+      platform: resolvePlatform(platform),
+      region: resolveRegion(region),
+    }
+
+    return this.request({
+      pathName: '/api/cli/apps/track',
+      method: 'POST',
+      body,
+      invalidates: [
+        APPS_CACHE_TAG,
+        getTrackedKeywordsCacheTag(body.appId, body.platform),
+      ],
+    })
+  }
+
+  async untrackApp({ appId, platform, region } = {}) {
+    const body = {
+      appId: resolveAppId(appId),
+      platform: resolvePlatform(platform),
+      region: resolveRegion(region),
+    }
+
+    return this.request({
+      pathName: '/api/cli/apps/track',
+      method: 'DELETE',
+      body,
+      invalidates: [
+        APPS_CACHE_TAG,
+        getTrackedKeywordsCacheTag(body.appId, body.platform),
+        getRelatedAppsCacheTag(body.appId, body.platform),
+      ],
+    })
+  }
+
+  async planApp({ name, plannedTrackedAppId, platform, region } = {}) {
+    const body = {
+      name: String(name || '').trim(),
+      platform: resolvePlatform(platform),
+      region: resolveRegion(region),
+    }
+
+    if (!body.name) {
+      throw new AsoSuiteValidationError('Provide a name for the planned app')
+    }
+
+    if (plannedTrackedAppId != null) {
+      body.plannedTrackedAppId = resolvePlannedTrackedAppId(plannedTrackedAppId)
+    }
+
+    return this.request({
+      pathName: '/api/cli/apps/planned',
+      method: 'POST',
+      body,
+      invalidates: [
+        APPS_CACHE_TAG,
+        ...(body.plannedTrackedAppId
+          ? [
+              getTrackedKeywordsCacheTag(
+                body.plannedTrackedAppId,
+                body.platform,
+              ),
+            ]
+          : []),
+      ],
+    })
+  }
+
+  async unplanApp({ plannedTrackedAppId, platform, region } = {}) {
+    const body = {
+      plannedTrackedAppId: resolvePlannedTrackedAppId(plannedTrackedAppId),
+      platform: resolvePlatform(platform),
+      region: resolveRegion(region),
+    }
+
+    return this.request({
+      pathName: '/api/cli/apps/planned',
+      method: 'DELETE',
+      body,
+      invalidates: [
+        APPS_CACHE_TAG,
+        getTrackedKeywordsCacheTag(body.plannedTrackedAppId, body.platform),
+      ],
+    })
+  }
+
+  // `app` is a tracked app id/URL or a planned app id.
+  async listTrackedKeywords({
+    app,
+    platform,
+    region,
+    page = 1,
+    sort,
+    order,
+  } = {}) {
+    const target = resolveAppTarget(app)
+    const resolvedPlatform = resolvePlatform(platform)
+    const searchParams = new URLSearchParams()
+
+    if (region != null) {
+      searchParams.set('region', resolveRegion(region))
+    }
+
+    if (
+      !Number.isInteger(page) ||
+      page < 1 ||
+      page > TRACKED_KEYWORDS_MAX_PAGE
+    ) {
+      throw new AsoSuiteValidationError(
+        `Invalid page. Use an integer between 1 and ${TRACKED_KEYWORDS_MAX_PAGE}.`,
+      )
+    }
+    searchParams.set('page', String(page))
+    searchParams.set(
+      'sort',
+      resolveValue(
+        sort ?? TRACKED_KEYWORDS_SORT_DEFAULT,
+        (value) =>
+          Array.from(TRACKED_KEYWORDS_SORT_FIELDS).find(
+            (field) => field.toLowerCase() === String(value).toLowerCase(),
+          ),
+        `Invalid sort. Supported values: ${Array.from(TRACKED_KEYWORDS_SORT_FIELDS).join(', ')}`,
+      ),
+    )
+    searchParams.set(
+      'order',
+      resolveValue(
+        String(order ?? TRACKED_KEYWORDS_ORDER_DEFAULT).toLowerCase(),
+        (value) => (TRACKED_KEYWORDS_ORDER_VALUES.has(value) ? value : null),
+        'Invalid order. Supported values: asc, desc',
+      ),
+    )
+
+    return this.request({
+      pathName: `/api/cli/apps/${encodeURIComponent(target.appIdentifier)}/${resolvedPlatform}/tracked-keywords?${searchParams}`,
+      cache: {
+        ttlSeconds: CACHE_TTL_SECONDS.trackedKeywords,
+        tags: [
+          getTrackedKeywordsCacheTag(target.appIdentifier, resolvedPlatform),
+        ],
+      },
+    })
+  }
+
+  async addTrackedKeywords(options = {}) {
+    return this.#editTrackedKeywords('POST', options)
+  }
+
+  async removeTrackedKeywords(options = {}) {
+    return this.#editTrackedKeywords('DELETE', options)
+  }
+
+  #editTrackedKeywords(method, { app, keywords, platform, region }) {
+    const target = resolveAppTarget(app)
+    const resolvedPlatform = resolvePlatform(platform)
+    const fields = {
+      platform: resolvedPlatform,
+      region: resolveRegion(region),
+      keywords: resolveKeywords(keywords, MAX_TRACKED_KEYWORDS_ADD),
+    }
+
+    return this.request({
+      pathName: target.appId
+        ? '/api/cli/apps/keywords'
+        : '/api/cli/apps/planned/keywords',
+      method,
+      body: target.appId
+        ? { appId: target.appId, ...fields }
+        : { plannedTrackedAppId: target.plannedTrackedAppId, ...fields },
+      invalidates: [
+        APPS_CACHE_TAG,
+        getTrackedKeywordsCacheTag(target.appIdentifier, resolvedPlatform),
+      ],
+    })
+  }
+
+  async listRelatedApps({ appId, platform } = {}) {
+    const resolvedAppId = resolveAppId(appId)
+    const resolvedPlatform = resolvePlatform(platform)
+
+    return this.request({
+      pathName: `/api/cli/apps/${encodeURIComponent(resolvedAppId)}/${resolvedPlatform}/related-apps`,
+      cache: {
+        ttlSeconds: CACHE_TTL_SECONDS.relatedApps,
+        tags: [getRelatedAppsCacheTag(resolvedAppId, resolvedPlatform)],
+      },
+    })
+  }
+
+  async addRelatedApp({ appId, relatedAppId, platform, region } = {}) {
+    const resolvedAppId = resolveAppId(appId)
+    const resolvedPlatform = resolvePlatform(platform)
+
+    return this.request({
+      pathName: `/api/cli/apps/${encodeURIComponent(resolvedAppId)}/${resolvedPlatform}/related-apps`,
+      method: 'POST',
+      invalidates: [getRelatedAppsCacheTag(resolvedAppId, resolvedPlatform)],
+      body: {
+        relatedAppId: resolveAppId(relatedAppId, 'relatedAppId'),
+        ...(region != null ? { region: resolveRegion(region) } : {}),
+      },
+    })
+  }
+
+  async removeRelatedApp({ appId, relatedAppId, platform } = {}) {
+    const resolvedAppId = resolveAppId(appId)
+    const resolvedPlatform = resolvePlatform(platform)
+
+    return this.request({
+      pathName: `/api/cli/apps/${encodeURIComponent(resolvedAppId)}/${resolvedPlatform}/related-apps`,
+      method: 'DELETE',
+      invalidates: [getRelatedAppsCacheTag(resolvedAppId, resolvedPlatform)],
+      body: {
+        relatedAppId: resolveAppId(relatedAppId, 'relatedAppId'),
+      },
+    })
+  }
+
+  // With `appId`, global events are included alongside the app's own.
+  async listEvents({ appId } = {}) {
+    const searchParams = new URLSearchParams()
+
+    if (appId != null) {
+      searchParams.set('appId', resolveAppId(appId))
+    }
+
+    const query = searchParams.toString()
+    return this.request({
+      pathName: `/api/cli/events${query ? `?${query}` : ''}`,
+    })
+  }
+
+  async addEvent({ text, date = toLocalDateOnly(), appId } = {}) {
+    const normalizedText = String(text || '').trim()
+
+    if (!normalizedText) {
+      throw new AsoSuiteValidationError('Provide event text')
+    }
+
+    return this.request({
+      pathName: '/api/cli/events',
+      method: 'POST',
+      body: {
+        date: resolveValue(
+          date,
+          normalizeDateOnly,
+          'Invalid date. Use YYYY-MM-DD.',
+        ),
+        text: normalizedText,
+        ...(appId != null ? { appId: resolveAppId(appId) } : {}),
+      },
+    })
+  }
+
+  async deleteEvent(id) {
+    const value = String(id).trim()
+    const eventId = /^\d+$/.test(value) ? Number(value) : Number.NaN
+
+    if (!Number.isSafeInteger(eventId) || eventId <= 0) {
+      throw new AsoSuiteValidationError(
+        'Invalid event id. Use a positive integer.',
+      )
+    }
+
+    return this.request({
+      pathName: `/api/cli/events/${eventId}`,
+      method: 'DELETE',
+    })
+  }
+
+  async getCharts({ appId, platform, period, regions = [] } = {}) {
+    const resolvedAppId = resolveAppId(appId)
+    const resolvedPlatform = resolvePlatform(platform)
+    const resolvedRegions = Array.from(
+      new Set(regions.map((region) => resolveRegion(region))),
+    )
+
+    return this.request({
+      pathName: `/api/cli/apps/${encodeURIComponent(resolvedAppId)}/${resolvedPlatform}/charts`,
+      method: 'POST',
+      idempotent: true,
+      cache: { ttlSeconds: CACHE_TTL_SECONDS.charts },
+      body: {
+        period: resolvePeriod(period),
+        ...(resolvedRegions.length > 0 ? { regions: resolvedRegions } : {}),
+      },
+    })
+  }
+
+  async getFeatures({ appId, platform } = {}) {
+    const resolvedAppId = resolveAppId(appId)
+    const resolvedPlatform = resolvePlatform(platform)
+
+    return this.request({
+      pathName: `/api/cli/apps/${encodeURIComponent(resolvedAppId)}/${resolvedPlatform}/features`,
+      cache: { ttlSeconds: CACHE_TTL_SECONDS.features },
+    })
+  }
+
+  async getRatings({ appId, platform, period } = {}) {
+    const resolvedAppId = resolveAppId(appId)
+    const resolvedPlatform = resolvePlatform(platform)
+
+    return this.request({
+      pathName: `/api/cli/apps/${encodeURIComponent(resolvedAppId)}/${resolvedPlatform}/ratings`,
+      method: 'POST',
+      idempotent: true,
+      cache: { ttlSeconds: CACHE_TTL_SECONDS.ratings },
+      body: { period: resolvePeriod(period) },
+    })
+  }
+}
@@ -1,42 +1,127 @@
 #!/usr/bin/env node
 
+import crypto from 'node:crypto'
 import fs from 'node:fs/promises'
 import os from 'node:os'
 import path from 'node:path'
+import tls from 'node:tls'
 import { spawn } from 'node:child_process'
-
-const WEB_BASE_URL = 'https://www.asosuite.com'
-const API_BASE_URL = 'https://server.asosuite.com'
+import {
+  AsoSuiteClient,
+  DEFAULT_API_BASE_URL,
+  DEFAULT_PERIOD,
+  DEFAULT_PLATFORM,
+  DEFAULT_REGION,
+  MAX_KEYWORDS,
+  MAX_PLANNED_TRACKED_APP_ID_LENGTH,
+  MAX_TRACKED_KEYWORDS_ADD,
+  PERIODS,
+  SUPPORTED_PLATFORMS,
+  TRACKED_KEYWORDS_MAX_PAGE,
+  TRACKED_KEYWORDS_ORDER_DEFAULT,
+  TRACKED_KEYWORDS_ORDER_VALUES,
+  TRACKED_KEYWORDS_SORT_DEFAULT,
+  TRACKED_KEYWORDS_SORT_FIELDS,
+  createError,
+  normalizeDateOnly,
+  normalizeKeywordArgs,
+  normalizePlannedTrackedAppId,
+  normalizeRegionCode,
+  parseAppId,
+  parseRegionsOption,
+  parseTrackedKeywordsAppTarget,
+  readApiResponse,
+  toLocalDateOnly,
+} from './client.mjs'
+
+const DEFAULT_WEB_BASE_URL = 'https://www.asosuite.com'
 const CONFIG_DIR = path.join(os.homedir(), '.asosuite')
 const CONFIG_PATH = path.join(CONFIG_DIR, 'config.json')
-const MAX_KEYWORDS = 50
-const MAX_TRACKED_KEYWORDS_ADD = 200
+const CACHE_DIR = path.join(CONFIG_DIR, 'cache')
+const DEFAULT_PROFILE = 'default'
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9._-]{1,64}$/
 const DEFAULT_POLL_INTERVAL_SECONDS = 3
-const DEFAULT_REGION = 'US'
-const DEFAULT_PLATFORM = 'iphone'
-const DEFAULT_PERIOD = 30
-const APP_ID_MIN_LENGTH = 6
-const MAX_PLANNED_TRACKED_APP_ID_LENGTH = 64
-const TRACKED_KEYWORDS_MAX_PAGE = 1000
-const TRACKED_KEYWORDS_SORT_FIELDS = new Set([
-  'keyword',
-  'relevance',
-  'popularity',
-  'difficulty',
-  'position',
-  'lastUpdate',
-])
-const TRACKED_KEYWORDS_SORT_DEFAULT = 'keyword'
-const TRACKED_KEYWORDS_ORDER_VALUES = new Set(['asc', 'desc'])
-const TRACKED_KEYWORDS_ORDER_DEFAULT = 'asc'
-const SUPPORTED_PLATFORMS = new Set([
-  'iphone',
-  'ipad',
-  'mac',
-  'appletv',
-  'watch',
-  'vision',
-])
+const TOKEN_EXPIRY_WARNING_SECONDS = 7 * 24 * 60 * 60
+const DEFAULT_MAX_WAIT_SECONDS = 60
+const RETRY_BASE_DELAY_SECONDS = 1
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504])
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'])
+const TRACKED_KEYWORDS_PAGE_SIZE = 50
+// Requests in flight at once when a keyword list is split into batches.
+const KEYWORD_BATCH_CONCURRENCY = 4
+// Documented in README.md; scripts rely on these staying stable.
+const EXIT_CODES = {
+  error: 1,
+  usage: 2,
+  auth: 3,
+  payment: 4,
+  not_found: 5,
+  rate_limit: 6,
+  network: 7,
+  server: 8,
+  interrupted: 130,
+}
+const ERROR_CODE_CATEGORIES = {
+  usage_error: 'usage',
+  auth_error: 'auth',
+  network_error: 'network',
+  timeout: 'network',
+  offline: 'network',
+  replay_miss: 'network',
+  server_error: 'server',
+  interrupted: 'interrupted',
+}
+const OUTPUT_FORMATS = [
+  'table',
+  'json',
+  'json-pretty',
+  'ndjson',
+  'csv',
+  'tsv',
+  'yaml',
+  'markdown',
+]
+// Print the whole response; the rest print one entry per row.
+const DOCUMENT_FORMATS = new Set(['json', 'json-pretty', 'yaml'])
+// Only meaningful for commands that print a table.
+const TABLE_FORMATS = new Set(['csv', 'tsv', 'markdown'])
+// Errors are written as JSON on stderr in these formats.
+const JSON_FORMATS = new Set(['json', 'json-pretty', 'ndjson'])
+const PROXY_ENV_VARS = [
+  'HTTPS_PROXY',
+  'https_proxy',
+  'HTTP_PROXY',
+  'http_proxy',
+]
+
+// Resolved once per invocation from global options, env vars and config.
+const runtime = {
+  apiBaseUrl: DEFAULT_API_BASE_URL,
+  webBaseUrl: DEFAULT_WEB_BASE_URL,
+  profile: DEFAULT_PROFILE,
+  retries: 0,
+  maxWaitSeconds: DEFAULT_MAX_WAIT_SECONDS,
+  timeoutSeconds: 0,
+  caCertificates: null,
+  transport: null,
+  cacheMode: 'default',
+  verbose: false,
+  debugDumpDir: null,
+  recordDir: null,
+  replayDir: null,
+  fixtures: null,
+  outputJson: false,
+  outputFormat: 'table',
+  rowOptions: { fields: null, where: [], sortBy: [] },
+  color: false,
+  wide: false,
+  requestCount: 0,
+  startedAt: new Date(),
+  staleCacheTags: new Set(),
+}
+
+// Aborted on Ctrl-C so in-flight requests and polling waits stop promptly.
+const interruptController = new AbortController()
 
 function print(message = '') {
   process.stdout.write(`${message}\n`)
@@ -46,43 +131,205 @@ function printError(message = '') {
   process.stderr.write(`${message}\n`)
 }
 
+// Prints a whole response in the document formats; ndjson falls back to a
+// single line for commands without a table.
 function printJson(payload) {
-  print(JSON.stringify(payload))
+  if (runtime.outputFormat === 'json-pretty') {
+    print(JSON.stringify(payload, null, 2))
+  } else if (runtime.outputFormat === 'yaml') {
+    print(formatYaml(payload))
+  } else {
+    print(JSON.stringify(payload))
+  }
 }
 
-function parseArgs(argv) {
-  const args = [...argv]
-  return {
-    command: args[0] || 'help',
-    rest: args.slice(1),
+function isDocumentFormat() {
+  return DOCUMENT_FORMATS.has(runtime.outputFormat)
+}
+
+function createUsageError(message) {
+  return createError('usage_error', message)
+}
+
+function toOptionKey(name) {
+  return name.replace(/-([a-z])/g, (_match, letter) => letter.toUpperCase())
+}
+
+function formatOptionFlag(spec) {
+  return spec.valueName ? `--${spec.name} ${spec.valueName}` : `--${spec.name}`
+}
+
+function findOptionSpec(specs, flag) {
+  if (flag.startsWith('--')) {
+    return specs.find((spec) => `--${spec.name}` === flag) || null
   }
+
+  return specs.find((spec) => spec.alias && `-${spec.alias}` === flag) || null
 }
 
-function takeOption(rest, name) {
-  const index = rest.indexOf(name)
+function parseOptionValue(spec, rawValue) {
+  const flag = `--${spec.name}`
+  const value = String(rawValue).trim()
 
-  if (index === -1) {
-    return null
+  if (spec.type === 'enum') {
+    const match = spec.values.find(
+      (candidate) => String(candidate).toLowerCase() === value.toLowerCase(),
+    )
+    if (match == null) {
+      throw createUsageError(
+        `Invalid ${flag} value. Supported values: ${spec.values.join(', ')}`,
+      )
+    }
+    return match
   }
 
-  if (index === rest.length - 1) {
-    throw new Error(`Missing value for ${name}`)
+  if (spec.type === 'integer') {
+    const parsed = /^-?\d+$/.test(value) ? Number(value) : Number.NaN
+    if (
+      !Number.isSafeInteger(parsed) ||
+      (spec.min != null && parsed < spec.min) ||
+      (spec.max != null && parsed > spec.max)
+    ) {
+      throw createUsageError(
+        `Invalid ${flag} value. Use an integer between ${spec.min} and ${spec.max}.`,
+      )
+    }
+    return parsed
   }
 
-  const value = rest[index + 1]
-  rest.splice(index, 2)
-  return value
+  if (spec.parse) {
+    const parsed = spec.parse(value)
+    if (parsed == null) {
+      throw createUsageError(`Invalid ${flag} value. ${spec.hint}`)
+    }
+    return parsed
+  }
+
+  return rawValue
 }
 
-function takeFlag(rest, name) {
-  const index = rest.indexOf(name)
+// Pulls the options described by `specs` out of argv, accepting `--name value`,
+// `--name=value` and `-a value`. Unknown options are rejected when `strict`,
+// otherwise left in place for a later pass (global options come first). Flags
+// in `valueFlags` are left in place together with the value that follows them.
+function extractOptions(
+  argv,
+  specs,
+  { strict = false, valueFlags = new Set() } = {},
+) {
+  const values = {}
+  const rest = []
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const token = String(argv[index])
+
+    if (token === '--') {
+      rest.push(...argv.slice(strict ? index + 1 : index))
+      break
+    }
 
-  if (index === -1) {
-    return false
+    if (!token.startsWith('-') || token === '-') {
+      rest.push(token)
+      continue
+    }
+
+    const separator = token.indexOf('=')
+    const flag = separator === -1 ? token : token.slice(0, separator)
+    const spec = findOptionSpec(specs, flag)
+
+    if (!spec) {
+      if (strict) {
+        throw createUsageError(`Unknown option: ${flag}`)
+      }
+      rest.push(token)
+      if (separator === -1 && valueFlags.has(flag) && index < argv.length - 1) {
+        index += 1
+        rest.push(String(argv[index]))
+      }
+      continue
+    }
+
+    let value = true
+
+    if (spec.type === 'boolean') {
+      if (separator !== -1) {
+        throw createUsageError(`Option --${spec.name} does not take a value`)
+      }
+    } else if (separator !== -1) {
+      value = parseOptionValue(spec, token.slice(separator + 1))
+    } else if (index === argv.length - 1) {
+      throw createUsageError(`Missing value for --${spec.name}`)
+    } else {
+      index += 1
+      value = parseOptionValue(spec, argv[index])
+    }
+
+    const key = toOptionKey(spec.name)
+
+    if (spec.multiple) {
+      values[key] = [...(values[key] || []), value]
+    } else if (Object.hasOwn(values, key)) {
+      throw createUsageError(`Option --${spec.name} was given more than once`)
+    } else {
+      values[key] = value
+    }
   }
 
-  rest.splice(index, 1)
-  return true
+  return { values, rest }
+}
+
+function parseCommandArgs(command, argv) {
+  const specs = command.options || []
+  const { values: options, rest: positionals } = extractOptions(argv, specs, {
+    strict: true,
+  })
+
+  for (const spec of specs) {
+    const key = toOptionKey(spec.name)
+
+    // Some options may also be given as the leading bare argument.
+    if (
+      spec.positional &&
+      !Object.hasOwn(options, key) &&
+      positionals.length > 0
+    ) {
+      const parsed = spec.parse(positionals[0])
+      if (parsed != null) {
+        positionals.shift()
+        options[key] = parsed
+      }
+    }
+
+    if (!Object.hasOwn(options, key)) {
+      if (spec.required) {
+        throw createUsageError(
+          `Missing required option: ${formatOptionFlag(spec)}`,
+        )
+      }
+      options[key] =
+        spec.type === 'boolean' ? false : spec.multiple ? [] : spec.default
+    }
+  }
+
+  const declared = command.positionals || []
+  const required = declared.filter((positional) => positional.required)
+
+  if (positionals.length < required.length) {
+    throw createUsageError(
+      `Missing required argument: ${required[positionals.length].valueName}`,
+    )
+  }
+
+  if (
+    !declared.some((positional) => positional.variadic) &&
+    positionals.length > declared.length
+  ) {
+    throw createUsageError(
+      `Unknown arguments: ${positionals.slice(declared.length).join(' ')}`,
+    )
+  }
+
+  return { options, positionals }
 }
 
 async function loadConfig() {
@@ -94,13 +341,35 @@ async function loadConfig() {
       return {}
     }
 
-    return parsed
+    return migrateLegacyConfig(parsed)
   } catch (_error) {
     return {}
   }
 }
 
+// Configs written before profiles existed kept the token at the top level.
+function migrateLegacyConfig(config) {
+  if (config.profiles || typeof config.accessToken !== 'string') {
+    return config
+  }
+
+  const { accessToken, expiresAt, ...rest } = config
+  return {
+    ...rest,
+    profiles: {
+      [DEFAULT_PROFILE]: { accessToken, expiresAt },
+    },
+  }
+}
+
+// A replay never writes the config: a replayed login would store the
+// redacted token and sign the user out. Returns whether the file was written.
 async function saveConfig(config) {
+  if (runtime.replayDir) {
+    printError(`Replaying fixtures: ${CONFIG_PATH} was not changed.`)
+    return false
+  }
+
   await fs.mkdir(CONFIG_DIR, { recursive: true, mode: 0o700 })
   await fs.writeFile(CONFIG_PATH, `${JSON.stringify(config, null, 2)}\n`, {
     encoding: 'utf8',
@@ -109,336 +378,1046 @@ async function saveConfig(config) {
 
   // Enforce restrictive permissions even when the file already existed.
   await fs.chmod(CONFIG_PATH, 0o600).catch(() => {})
+  return true
 }
 
-function getAccessToken(config) {
-  if (!config || typeof config !== 'object') {
-    return null
+function normalizeBaseUrl(value, sourceName) {
+  const trimmed = String(value || '').trim()
+
+  try {
+    const parsed = new URL(trimmed)
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw new Error('Unsupported protocol')
+    }
+    return `${parsed.origin}${parsed.pathname}`.replace(/\/+$/, '')
+  } catch (_error) {
+    throw createUsageError(`Invalid ${sourceName} value. Use an http(s) URL.`)
   }
+}
 
-  const token =
-    typeof config.accessToken === 'string' ? config.accessToken.trim() : ''
+function resolveEnvironment(config, name) {
+  const environments =
+    config.environments && typeof config.environments === 'object'
+      ? config.environments
+      : {}
+  const environment = environments[name]
+
+  if (!environment || typeof environment !== 'object') {
+    const available = Object.keys(environments)
+    throw createUsageError(
+      `Unknown environment: ${name}.${available.length > 0 ? ` Configured environments: ${available.join(', ')}` : ` Add it under "environments" in ${CONFIG_PATH}.`}`,
+    )
+  }
 
-  if (!token) {
-    return null
+  return environment
+}
+
+function applyBaseUrls(config, globals) {
+  const environmentName = String(
+    globals.env ?? process.env.ASOSUITE_ENV ?? config.environment ?? '',
+  ).trim()
+  const environment = environmentName
+    ? resolveEnvironment(config, environmentName)
+    : {}
+
+  if (globals.apiUrl != null) {
+    runtime.apiBaseUrl = normalizeBaseUrl(globals.apiUrl, '--api-url')
+  } else if (process.env.ASOSUITE_API_URL) {
+    runtime.apiBaseUrl = normalizeBaseUrl(
+      process.env.ASOSUITE_API_URL,
+      'ASOSUITE_API_URL',
+    )
+  } else if (environment.apiUrl) {
+    runtime.apiBaseUrl = normalizeBaseUrl(
+      environment.apiUrl,
+      `environments.${environmentName}.apiUrl`,
+    )
   }
 
-  return token
+  if (process.env.ASOSUITE_WEB_URL) {
+    runtime.webBaseUrl = normalizeBaseUrl(
+      process.env.ASOSUITE_WEB_URL,
+      'ASOSUITE_WEB_URL',
+    )
+  } else if (environment.webUrl) {
+    runtime.webBaseUrl = normalizeBaseUrl(
+      environment.webUrl,
+      `environments.${environmentName}.webUrl`,
+    )
+  }
 }
 
-function normalizePlatform(value) {
-  const normalized = String(value || '')
-    .trim()
-    .toLowerCase()
-  if (!SUPPORTED_PLATFORMS.has(normalized)) {
+function normalizeProfileName(value) {
+  const normalized = String(value || '').trim()
+
+  if (!PROFILE_NAME_PATTERN.test(normalized)) {
     return null
   }
+
   return normalized
 }
 
-function normalizeRegionCode(value) {
-  const normalized = String(value || '')
-    .trim()
-    .toUpperCase()
+function resolveProfileName(value, sourceName) {
+  const profile = normalizeProfileName(value)
 
-  if (!/^[A-Z]{2}$/.test(normalized)) {
-    return null
+  if (!profile) {
+    throw createUsageError(
+      `Invalid ${sourceName} value. Use 1-64 letters, digits, dots, dashes, or underscores.`,
+    )
   }
 
-  return normalized
+  return profile
 }
 
-function parsePeriodValue(value) {
-  const parsed = Number.parseInt(String(value || '').trim(), 10)
+function applyProfile(config, globals) {
+  if (globals.profile != null) {
+    runtime.profile = resolveProfileName(globals.profile, '--profile')
+  } else if (process.env.ASOSUITE_PROFILE) {
+    runtime.profile = resolveProfileName(
+      process.env.ASOSUITE_PROFILE,
+      'ASOSUITE_PROFILE',
+    )
+  } else if (config.currentProfile) {
+    runtime.profile = resolveProfileName(
+      config.currentProfile,
+      'currentProfile',
+    )
+  }
+}
 
-  if (![7, 30, 90].includes(parsed)) {
-    return null
+function applyRetryOptions(globals) {
+  if (globals.retries != null) {
+    runtime.retries = globals.retries
   }
 
-  return parsed
+  if (globals.maxWait != null) {
+    const maxWaitSeconds = Number(String(globals.maxWait).trim())
+    if (!Number.isFinite(maxWaitSeconds) || maxWaitSeconds <= 0) {
+      throw createUsageError(
+        'Invalid --max-wait value. Use a positive number of seconds.',
+      )
+    }
+    runtime.maxWaitSeconds = maxWaitSeconds
+  }
 }
 
-function parseRegionsOption(value) {
-  const raw = String(value || '').trim()
+function applyTimeoutOption(config, globals) {
+  const value = globals.timeout ?? config.timeout
 
-  if (!raw) {
-    return []
+  if (value == null) {
+    return
   }
 
-  const regions = raw
-    .split(',')
-    .map((entry) => normalizeRegionCode(entry))
-    .filter((entry) => entry != null)
+  const timeoutSeconds = Number(String(value).trim())
+  if (!Number.isFinite(timeoutSeconds) || timeoutSeconds < 0) {
+    throw createUsageError(
+      `Invalid ${globals.timeout != null ? '--timeout' : 'timeout config'} value. Use a number of seconds (0 disables the timeout).`,
+    )
+  }
 
-  return Array.from(new Set(regions))
+  runtime.timeoutSeconds = timeoutSeconds
 }
 
-function normalizePlannedTrackedAppId(value) {
-  const normalized = String(value || '')
-    .trim()
-    .replace(/\s+/g, '')
+async function applyCaFileOption(config, globals) {
+  const caFile = globals.caFile ?? process.env.ASOSUITE_CA_FILE ?? config.caFile
 
-  if (!normalized) {
-    return null
+  if (caFile == null || !String(caFile).trim()) {
+    return
   }
 
-  if (normalized.length > MAX_PLANNED_TRACKED_APP_ID_LENGTH) {
-    return null
+  try {
+    runtime.caCertificates = await fs.readFile(String(caFile).trim(), 'utf8')
+  } catch (error) {
+    throw createUsageError(`Could not read CA file ${caFile}: ${error.message}`)
   }
+}
 
-  return normalized
+function applyCacheOptions(globals) {
+  const modes = [
+    globals.noCache ? 'no-cache' : null,
+    globals.refresh ? 'refresh' : null,
+    globals.offline ? 'offline' : null,
+  ].filter((mode) => mode != null)
+
+  if (modes.length > 1) {
+    throw createUsageError(
+      'Use only one of --no-cache, --refresh, or --offline',
+    )
+  }
+
+  runtime.cacheMode = modes[0] || 'default'
 }
 
-function parseAppInput(value) {
-  const trimmed = String(value || '').trim()
+function applyDebugOptions(globals) {
+  const debugEnv = String(process.env.ASOSUITE_DEBUG || '')
+    .trim()
+    .toLowerCase()
 
-  if (!trimmed) {
-    return null
+  runtime.verbose =
+    globals.verbose || (debugEnv !== '' && !['0', 'false'].includes(debugEnv))
+
+  if (globals.debugDump != null) {
+    const dir = String(globals.debugDump).trim()
+    if (!dir) {
+      throw createUsageError('Invalid --debug-dump value. Provide a directory.')
+    }
+    runtime.debugDumpDir = path.resolve(dir)
   }
+}
 
-  const prefixed = trimmed.match(
-    new RegExp(`^id(\\d{${APP_ID_MIN_LENGTH},})$`, 'i'),
-  )
-  if (prefixed) {
-    return { appId: prefixed[1] }
+// Commands without a table accept the document formats only, and print them
+// through their `--json` branch.
+function applyOutputFormat(command, options, globals) {
+  const format = globals.format ?? (options.json ? 'json' : 'table')
+
+  if (options.json && format !== 'json') {
+    throw createUsageError('Use either --json or --format, not both')
   }
 
-  const raw = trimmed.match(new RegExp(`^(\\d{${APP_ID_MIN_LENGTH},})$`))
-  if (raw) {
-    return { appId: raw[1] }
+  if (format !== 'table' && !command.options?.includes(OPTIONS.json)) {
+    throw createUsageError(
+      `${command.name} does not support --format ${format}`,
+    )
   }
 
-  try {
-    const parsed = new URL(trimmed)
-    const fromPath = parsed.pathname.match(
-      new RegExp(`/id(\\d{${APP_ID_MIN_LENGTH},})(?:/|$)`, 'i'),
+  if (TABLE_FORMATS.has(format) && !command.columns) {
+    throw createUsageError(
+      `--format ${format} is only supported by commands that print a table`,
     )
-    if (fromPath) {
-      return { appId: fromPath[1] }
-    }
-  } catch (_error) {
-    // ignore invalid URL
   }
 
-  const embedded = trimmed.match(
-    new RegExp(`\\bid(\\d{${APP_ID_MIN_LENGTH},})\\b`, 'i'),
-  )
-  if (embedded) {
-    return { appId: embedded[1] }
+  runtime.outputFormat = format
+  options.json = format !== 'table'
+}
+
+const WHERE_PATTERN = /^\s*([\w.-]+)\s*(!=|>=|<=|==|=|>|<|~)\s*(.*?)\s*$/
+
+function parseFieldList(value, flag) {
+  const names = String(value)
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+
+  if (names.length === 0) {
+    throw createUsageError(`Invalid ${flag} value. Provide one or more fields.`)
   }
 
-  return null
+  return names
 }
 
-function consumeAppId(rest, { required = false } = {}) {
-  const appOptionValue = takeOption(rest, '--app')
-  let appId = null
+function parseWhereCondition(value) {
+  const match = String(value).match(WHERE_PATTERN)
 
-  if (appOptionValue) {
-    const parsed = parseAppInput(appOptionValue)
-    if (!parsed) {
-      throw new Error(
-        'Invalid --app value. Use an App Store URL, id-prefixed value, or numeric id.',
-      )
-    }
-    appId = parsed.appId
-  } else if (rest.length > 0) {
-    const parsed = parseAppInput(rest[0])
-    if (parsed) {
-      rest.shift()
-      appId = parsed.appId
-    }
+  if (!match) {
+    throw createUsageError(
+      `Invalid --where value: ${value}. Use FIELD=VALUE, FIELD>=N, FIELD~TEXT and similar.`,
+    )
   }
 
-  if (!appId && required) {
-    throw new Error('Provide an app via --app <APP_ID_OR_URL>')
+  const [, field, operator, operand] = match
+  return { field, operator: operator === '==' ? '=' : operator, operand }
+}
+
+function parseSortKey(value) {
+  const [field, direction = 'asc', ...extra] = value.split(':')
+
+  if (!field || extra.length > 0 || !['asc', 'desc'].includes(direction)) {
+    throw createUsageError(
+      `Invalid --sort-by value: ${value}. Use FIELD or FIELD:desc.`,
+    )
   }
 
-  return appId
+  return { field, descending: direction === 'desc' }
 }
 
-function consumeTrackedKeywordsAppTarget(rest) {
-  const appOptionValue = takeOption(rest, '--app')
-  let identifier = null
+// Row options filter, sort and project the rows behind a command's table, so
+// they need a command with `columns`.
+function applyRowOptions(command, globals) {
+  const given = ['fields', 'where', 'sort-by'].filter(
+    (name) => globals[toOptionKey(name)] != null,
+  )
 
-  if (appOptionValue) {
-    identifier = String(appOptionValue).trim()
-  } else if (rest.length > 0) {
-    const first = String(rest[0] || '').trim()
-    if (first && !first.startsWith('--')) {
-      rest.shift()
-      identifier = first
-    }
+  if (given.length > 0 && !command.columns) {
+    throw createUsageError(
+      `${command.name} does not support --${given[0]}; it does not print a table`,
+    )
   }
 
-  if (!identifier) {
-    throw new Error('Provide an app via --app <APP_ID_OR_URL_OR_PLANNED_ID>')
+  runtime.rowOptions = {
+    fields:
+      globals.fields != null
+        ? parseFieldList(globals.fields, '--fields')
+        : null,
+    where: (globals.where || []).map(parseWhereCondition),
+    sortBy:
+      globals.sortBy != null
+        ? parseFieldList(globals.sortBy, '--sort-by').map(parseSortKey)
+        : [],
   }
+}
 
-  const parsedApp = parseAppInput(identifier)
-  if (parsedApp) {
-    return {
-      appIdentifier: parsedApp.appId,
-      appId: parsedApp.appId,
-      plannedTrackedAppId: null,
-    }
+// Tables are fitted and colored only for a terminal, so piped output stays
+// complete and plain.
+function applyDisplayOptions(globals) {
+  runtime.wide = Boolean(globals.wide)
+  runtime.color =
+    Boolean(process.stdout.isTTY) && !globals.noColor && !readEnv('NO_COLOR')
+}
+
+// Fixtures must see every request, so the response cache is bypassed while
+// recording or replaying, and the cache flags that need it are rejected.
+function applyFixtureOptions() {
+  const recordDir = readEnv('ASOSUITE_RECORD')
+  const replayDir = readEnv('ASOSUITE_REPLAY')
+
+  if (recordDir && replayDir) {
+    throw createUsageError('Set only one of ASOSUITE_RECORD or ASOSUITE_REPLAY')
   }
 
-  const plannedId = normalizePlannedTrackedAppId(identifier)
-  if (plannedId) {
-    return {
-      appIdentifier: plannedId,
-      appId: null,
-      plannedTrackedAppId: plannedId,
+  runtime.recordDir = recordDir ? path.resolve(recordDir) : null
+  runtime.replayDir = replayDir ? path.resolve(replayDir) : null
+
+  if (recordDir || replayDir) {
+    if (runtime.cacheMode === 'offline' || runtime.cacheMode === 'refresh') {
+      throw createUsageError(
+        `--${runtime.cacheMode} cannot be used with ${recordDir ? 'ASOSUITE_RECORD' : 'ASOSUITE_REPLAY'}, which bypasses the response cache`,
+      )
     }
+    runtime.cacheMode = 'no-cache'
   }
+}
 
-  throw new Error(
-    'Invalid --app value. Use an App Store URL/id or a planned app id.',
-  )
+function getProfiles(config) {
+  return config && config.profiles && typeof config.profiles === 'object'
+    ? config.profiles
+    : {}
 }
 
-function normalizeKeywordArgs(rest) {
-  return rest
-    .map((value) => String(value || '').trim())
-    .map((value) => value.replace(/^["']+|["']+$/g, ''))
-    .map((value) => value.replace(/\s+/g, ' ').trim())
-    .filter((value) => value.length > 0)
+function getProfile(config, name = runtime.profile) {
+  const profile = getProfiles(config)[name]
+  return profile && typeof profile === 'object' ? profile : {}
+}
+
+function withProfile(config, name, profile) {
+  const profiles = { ...getProfiles(config) }
+
+  if (profile) {
+    profiles[name] = profile
+  } else {
+    delete profiles[name]
+  }
+
+  return { ...config, profiles }
 }
 
-function toLocalDateOnly(date = new Date()) {
-  const year = date.getFullYear()
-  const month = `${date.getMonth() + 1}`.padStart(2, '0')
-  const day = `${date.getDate()}`.padStart(2, '0')
-  return `${year}-${month}-${day}`
+function getEnvAccessToken() {
+  const token = String(process.env.ASOSUITE_TOKEN || '').trim()
+  return token || null
 }
 
-function normalizeDateOnly(value) {
-  const normalized = String(value || '').trim()
+function getAccessToken(config) {
+  return getEnvAccessToken() ?? getStoredAccessToken(config)
+}
 
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(normalized)) {
+function getStoredAccessToken(config, profileName = runtime.profile) {
+  if (!config || typeof config !== 'object') {
     return null
   }
 
-  const parsed = new Date(`${normalized}T00:00:00.000Z`)
-  if (Number.isNaN(parsed.getTime())) {
+  const profile = getProfile(config, profileName)
+  const token =
+    typeof profile.accessToken === 'string' ? profile.accessToken.trim() : ''
+
+  if (!token) {
     return null
   }
 
-  return normalized
+  return token
 }
 
-function looksLikeHtml(text) {
-  const normalized = text.trim().toLowerCase()
-  return (
-    normalized.startsWith('<!doctype html') ||
-    normalized.startsWith('<html') ||
-    normalized.includes('<body')
-  )
+function createInterruptedError() {
+  return createError('interrupted', 'Interrupted.')
 }
 
-function getResponseOrigin(response) {
-  try {
-    return new URL(response.url).origin
-  } catch (_error) {
-    return API_BASE_URL
+function createRequestError(cause, { method, pathName, timedOut }) {
+  if (cause?.status || cause?.code === 'replay_miss') {
+    return cause
   }
-}
 
-async function parseErrorResponse(response) {
-  const text = await response.text().catch(() => '')
+  if (interruptController.signal.aborted) {
+    return createInterruptedError()
+  }
 
-  if (!text) {
-    return {
-      message: `${response.status} ${response.statusText}`,
-      payload: null,
+  return timedOut
+    ? createError(
+        'timeout',
+        `Request timed out after ${runtime.timeoutSeconds}s: ${method} ${pathName}`,
+        { cause },
+      )
+    : createError(
+        'network_error',
+        `Network error during ${method} ${pathName}: ${cause?.cause?.message || cause?.message || cause}`,
+        { cause },
+      )
+}
+
+function readEnv(...names) {
+  for (const name of names) {
+    const value = String(process.env[name] || '').trim()
+    if (value) {
+      return value
     }
   }
 
-  try {
-    const parsed = JSON.parse(text)
-    if (
-      parsed &&
-      typeof parsed === 'object' &&
-      typeof parsed.error === 'string'
-    ) {
-      return {
-        message: parsed.error,
-        payload: parsed,
-      }
-    }
-    return {
-      message: text,
-      payload: parsed,
+  return ''
+}
+
+function isNoProxyHost(url) {
+  const entries = readEnv('NO_PROXY', 'no_proxy')
+    .split(/[\s,]+/)
+    .map((entry) => entry.trim().toLowerCase())
+    .filter((entry) => entry.length > 0)
+  const hostname = url.hostname.toLowerCase()
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80')
+
+  return entries.some((entry) => {
+    if (entry === '*') {
+      return true
     }
-  } catch (_error) {
-    // ignore parse errors
-  }
 
-  if (looksLikeHtml(text)) {
-    return {
-      message: `Request failed (${response.status} ${response.statusText}). Received HTML response from ${getResponseOrigin(response)}.`,
-      payload: null,
+    const [entryHost, entryPort] = entry.split(':')
+    if (entryPort && entryPort !== port) {
+      return false
     }
-  }
 
-  return {
-    message: text,
-    payload: null,
-  }
+    const suffix = entryHost.replace(/^\*?\./, '')
+    return hostname === suffix || hostname.endsWith(`.${suffix}`)
+  })
 }
 
-async function apiRequest({ pathName, method = 'GET', body, accessToken }) {
-  const url = `${API_BASE_URL}${pathName}`
-  const headers = {
-    Accept: 'application/json',
+function getProxyUrl(url) {
+  if (isNoProxyHost(url)) {
+    return ''
   }
 
-  if (accessToken) {
-    headers.Authorization = `Bearer ${accessToken}`
-  }
+  return url.protocol === 'https:'
+    ? readEnv('HTTPS_PROXY', 'https_proxy', 'HTTP_PROXY', 'http_proxy')
+    : readEnv('HTTP_PROXY', 'http_proxy')
+}
 
-  const init = {
-    method,
-    headers,
-  }
+// The built-in fetch ignores proxy env vars and custom CAs, so route through
+// undici only when one of them applies. Every request targets the same API
+// origin, so the choice is made once.
+async function createTransport() {
+  const proxyUrl = getProxyUrl(new URL(runtime.apiBaseUrl))
 
-  if (body != null) {
-    headers['Content-Type'] = 'application/json'
-    init.body = JSON.stringify(body)
+  if (!proxyUrl && !runtime.caCertificates) {
+    return { fetch, dispatcher: undefined }
   }
 
-  const response = await fetch(url, init)
-
-  if (!response.ok) {
-    const parsedError = await parseErrorResponse(response)
-    const error = new Error(parsedError.message)
-    error.status = response.status
-    error.payload = parsedError.payload
-    throw error
-  }
+  const undici = await import('undici')
+  const tlsOptions = runtime.caCertificates
+    ? { ca: [...tls.rootCertificates, runtime.caCertificates] }
+    : {}
 
-  if (response.status === 204) {
-    return null
+  return {
+    fetch: undici.fetch,
+    dispatcher: proxyUrl
+      ? new undici.ProxyAgent({
+          uri: proxyUrl,
+          requestTls: tlsOptions,
+          proxyTls: tlsOptions,
+        })
+      : new undici.Agent({ connect: tlsOptions }),
   }
+}
 
-  const contentType = response.headers.get('content-type') || ''
+async function loadTransport() {
+  const transport = runtime.replayDir
+    ? { fetch: replayFixture, dispatcher: undefined }
+    : await createTransport()
 
-  if (contentType.includes('application/json')) {
-    return response.json()
+  if (runtime.recordDir) {
+    transport.fetch = recordFixtures(transport.fetch)
   }
 
-  return response.text()
+  return transport
 }
 
-function openInBrowser(url) {
-  const platform = process.platform
+// Kept as a promise so requests sent in parallel share one transport.
+function getTransport() {
+  runtime.transport ??= loadTransport()
+  return runtime.transport
+}
 
-  let command = ''
-  let args = []
+const REDACTED = '[redacted]'
+const REDACTED_BODY_FIELDS = new Set(['accessToken', 'deviceCode'])
 
-  if (platform === 'darwin') {
-    command = 'open'
+function redactHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      name.toLowerCase() === 'authorization'
+        ? value.replace(/^(Bearer\s+).*/i, `$1${REDACTED}`)
+        : value,
+    ]),
+  )
+}
+
+// Login responses carry the access token, so it never reaches logs or dumps.
+function redactBodyText(text) {
+  if (!text) {
+    return text
+  }
+
+  try {
+    return JSON.stringify(JSON.parse(text), (key, value) =>
+      REDACTED_BODY_FIELDS.has(key) && typeof value === 'string'
+        ? REDACTED
+        : value,
+    )
+  } catch (_error) {
+    return text
+  }
+}
+
+function traceRequest(trace) {
+  runtime.requestCount += 1
+  trace.sequence = runtime.requestCount
+  trace.startedAt = Date.now()
+
+  if (!runtime.verbose) {
+    return
+  }
+
+  printError(`> ${trace.method} ${trace.url}`)
+  for (const [name, value] of Object.entries(redactHeaders(trace.headers))) {
+    printError(`> ${name}: ${value}`)
+  }
+  if (trace.body != null) {
+    printError(`> ${redactBodyText(trace.body)}`)
+  }
+}
+
+async function traceResponse(trace, { response, error }) {
+  const durationMs = Date.now() - trace.startedAt
+  const responseHeaders = response
+    ? Object.fromEntries(response.headers.entries())
+    : null
+
+  if (runtime.verbose) {
+    if (response) {
+      printError(
+        `< ${response.status} ${response.statusText} (${durationMs} ms)`,
+      )
+      for (const [name, value] of Object.entries(responseHeaders)) {
+        printError(`< ${name}: ${value}`)
+      }
+    } else {
+      printError(`! ${error.message} (${durationMs} ms)`)
+    }
+  }
+
+  if (!runtime.debugDumpDir) {
+    return
+  }
+
+  const responseText = response
+    ? await response
+        .clone()
+        .text()
+        .catch(() => '')
+    : null
+  const stamp = runtime.startedAt.toISOString().replace(/[:.]/g, '-')
+  const slug = new URL(trace.url).pathname
+    .replace(/^\/+/, '')
+    .replace(/[^A-Za-z0-9]+/g, '-')
+  const fileName = `${stamp}-${String(trace.sequence).padStart(3, '0')}-${trace.method}-${slug}.json`
+  const dump = {
+    request: {
+      method: trace.method,
+      url: trace.url,
+      headers: redactHeaders(trace.headers),
+      body: redactBodyText(trace.body ?? null),
+    },
+    response: response
+      ? {
+          status: response.status,
+          statusText: response.statusText,
+          headers: responseHeaders,
+          body: redactBodyText(responseText),
+        }
+      : null,
+    error: error ? error.message : null,
+    durationMs,
+  }
+
+  try {
+    await fs.mkdir(runtime.debugDumpDir, { recursive: true })
+    await fs.writeFile(
+      path.join(runtime.debugDumpDir, fileName),
+      `${JSON.stringify(dump, null, 2)}\n`,
+      'utf8',
+    )
+  } catch (writeError) {
+    printError(`Could not write debug dump: ${writeError.message}`)
+  }
+}
+
+// Fixtures hold the redacted request and response, so a recorded login
+// replays with `[redacted]` device codes and tokens on both sides and they
+// can be committed safely. Requests match on method, path and body; the base
+// URL and access token are ignored.
+function parseFixtureBody(text) {
+  if (!text) {
+    return null
+  }
+
+  const redacted = redactBodyText(text)
+  try {
+    return JSON.parse(redacted)
+  } catch (_error) {
+    return redacted
+  }
+}
+
+// The body is stored decoded and re-serialized, so these would no longer match.
+const UNRECORDED_HEADERS = new Set([
+  'content-encoding',
+  'content-length',
+  'transfer-encoding',
+])
+
+function getFixtureKey(method, pathName, body) {
+  return JSON.stringify([method, pathName, body ?? null])
+}
+
+function getFixtureRequest(url, init) {
+  return {
+    method: init.method,
+    pathName: url.slice(runtime.apiBaseUrl.length),
+    body: parseFixtureBody(init.body),
+  }
+}
+
+// Files are numbered after the ones already in the directory, which is read
+// once up front. Each request takes its number before awaiting anything, so
+// parallel requests (keyword batches) never share one.
+function recordFixtures(fetchResponse) {
+  const existing = fs.readdir(runtime.recordDir).then(
+    (names) => names.filter((name) => name.endsWith('.json')).length,
+    () => 0,
+  )
+  let count = 0
+
+  return async (url, init) => {
+    count += 1
+    const sequence = count
+    const response = await fetchResponse(url, init)
+    const request = getFixtureRequest(url, init)
+    const text = await response
+      .clone()
+      .text()
+      .catch(() => '')
+
+    const slug = request.pathName
+      .replace(/\?.*$/, '')
+      .replace(/^\/+/, '')
+      .replace(/[^A-Za-z0-9]+/g, '-')
+    const fileName = `${String((await existing) + sequence).padStart(4, '0')}-${request.method}-${slug}.json`
+    const fixture = {
+      request,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries(
+          Array.from(response.headers.entries()).filter(
+            ([name]) => !UNRECORDED_HEADERS.has(name),
+          ),
+        ),
+        body: parseFixtureBody(text),
+      },
+    }
+
+    try {
+      await fs.mkdir(runtime.recordDir, { recursive: true })
+      await fs.writeFile(
+        path.join(runtime.recordDir, fileName),
+        `${JSON.stringify(fixture, null, 2)}\n`,
+        'utf8',
+      )
+    } catch (writeError) {
+      printError(`Could not write fixture: ${writeError.message}`)
+    }
+
+    return response
+  }
+}
+
+async function loadFixtures() {
+  let names
+
+  try {
+    names = await fs.readdir(runtime.replayDir)
+  } catch (error) {
+    throw createError(
+      'replay_miss',
+      `Could not read ASOSUITE_REPLAY directory ${runtime.replayDir}: ${error.message}`,
+    )
+  }
+
+  const fixtures = []
+  for (const name of names.filter((value) => value.endsWith('.json')).sort()) {
+    const filePath = path.join(runtime.replayDir, name)
+    let fixture
+
+    try {
+      fixture = JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (error) {
+      throw createError(
+        'replay_miss',
+        `Invalid fixture ${filePath}: ${error.message}`,
+      )
+    }
+
+    const { request } = fixture
+    fixtures.push({
+      key: getFixtureKey(request?.method, request?.pathName, request?.body),
+      response: fixture.response,
+      used: false,
+    })
+  }
+
+  return fixtures
+}
+
+// Identical requests consume their recordings in order, which is how a login
+// replays its 428 polls before the approved token.
+async function replayFixture(url, init) {
+  runtime.fixtures ??= loadFixtures()
+
+  const fixtures = await runtime.fixtures
+  const { method, pathName, body } = getFixtureRequest(url, init)
+  const key = getFixtureKey(method, pathName, body)
+  const fixture = fixtures.find((entry) => !entry.used && entry.key === key)
+
+  if (!fixture) {
+    throw createError(
+      'replay_miss',
+      `No recorded response for ${method} ${pathName}${body != null ? ` with body ${JSON.stringify(body)}` : ''} in ${runtime.replayDir}. Record it with ASOSUITE_RECORD.`,
+    )
+  }
+
+  fixture.used = true
+  const { status = 200, statusText = '', headers = {} } = fixture.response
+  const responseBody = fixture.response.body ?? null
+
+  return new Response(
+    responseBody == null || status === 204
+      ? null
+      : typeof responseBody === 'string'
+        ? responseBody
+        : JSON.stringify(responseBody),
+    { status, statusText, headers },
+  )
+}
+
+async function sendApiRequest({ pathName, method, body, accessToken }) {
+  const url = `${runtime.apiBaseUrl}${pathName}`
+  const headers = {
+    Accept: 'application/json',
+  }
+
+  if (accessToken) {
+    headers.Authorization = `Bearer ${accessToken}`
+  }
+
+  const transport = await getTransport()
+  const controller = new AbortController()
+  const init = {
+    method,
+    headers,
+    signal: controller.signal,
+    dispatcher: transport.dispatcher,
+  }
+
+  if (body != null) {
+    headers['Content-Type'] = 'application/json'
+    init.body = JSON.stringify(body)
+  }
+
+  let timedOut = false
+  const abort = () => controller.abort()
+  const timer =
+    runtime.timeoutSeconds > 0
+      ? setTimeout(() => {
+          timedOut = true
+          abort()
+        }, runtime.timeoutSeconds * 1000)
+      : null
+  interruptController.signal.addEventListener('abort', abort, { once: true })
+
+  const trace = { method, url, headers, body: init.body ?? null }
+  traceRequest(trace)
+
+  // The timeout also covers reading the body, which can stall on its own.
+  try {
+    const response = await transport.fetch(url, init)
+    await traceResponse(trace, { response })
+    return await readApiResponse(response)
+  } catch (error) {
+    const requestError = createRequestError(error, {
+      method,
+      pathName,
+      timedOut,
+    })
+    if (!requestError.status) {
+      await traceResponse(trace, { error: requestError })
+    }
+    throw requestError
+  } finally {
+    clearTimeout(timer)
+    interruptController.signal.removeEventListener('abort', abort)
+  }
+}
+
+function isRetryableError(error) {
+  return (
+    error?.code === 'network_error' ||
+    error?.code === 'timeout' ||
+    RETRYABLE_STATUSES.has(Number(error?.status || 0))
+  )
+}
+
+// Full jitter keeps parallel scripts from retrying in lockstep.
+function getRetryDelaySeconds(error, retry) {
+  if (error?.retryAfterSeconds > 0) {
+    return error.retryAfterSeconds
+  }
+
+  const ceiling = Math.min(
+    runtime.maxWaitSeconds,
+    RETRY_BASE_DELAY_SECONDS * 2 ** (retry - 1),
+  )
+  return ceiling / 2 + (Math.random() * ceiling) / 2
+}
+
+// Non-idempotent POSTs are only retried when the caller marks them safe
+// (read-only endpoints that happen to take a POST body).
+async function sendApiRequestWithRetries({
+  pathName,
+  method,
+  body,
+  accessToken,
+  idempotent,
+}) {
+  const maxRetries = idempotent ? runtime.retries : 0
+
+  for (let retry = 1; ; retry += 1) {
+    try {
+      return await sendApiRequest({ pathName, method, body, accessToken })
+    } catch (error) {
+      if (retry > maxRetries || !isRetryableError(error)) {
+        throw error
+      }
+
+      const delaySeconds = getRetryDelaySeconds(error, retry)
+      if (delaySeconds > runtime.maxWaitSeconds) {
+        throw error
+      }
+
+      const reason = error.status
+        ? `HTTP ${error.status}`
+        : error.code === 'timeout'
+          ? 'timeout'
+          : 'network error'
+      printError(
+        `${method} ${pathName} failed (${reason}). Retrying in ${delaySeconds.toFixed(1)}s (retry ${retry} of ${maxRetries})...`,
+      )
+      await sleep(delaySeconds * 1000)
+    }
+  }
+}
+
+// The token is part of the key so a different ASOSUITE_TOKEN or --token under
+// the same profile never sees another account's responses. Only the hash of
+// the key is written to disk.
+function getCacheEntryPath({ pathName, method, body, accessToken }) {
+  const key = JSON.stringify([
+    runtime.apiBaseUrl,
+    runtime.profile,
+    accessToken ?? null,
+    method,
+    pathName,
+    body ?? null,
+  ])
+  const hash = crypto.createHash('sha256').update(key).digest('hex')
+  return path.join(CACHE_DIR, `${hash}.json`)
+}
+
+async function readCacheEntry(filePath) {
+  try {
+    const entry = JSON.parse(await fs.readFile(filePath, 'utf8'))
+    return entry && typeof entry === 'object' ? entry : null
+  } catch (_error) {
+    return null
+  }
+}
+
+async function listCacheEntries() {
+  const names = await fs.readdir(CACHE_DIR).catch(() => [])
+  const entries = []
+
+  for (const name of names.filter((value) => value.endsWith('.json'))) {
+    const filePath = path.join(CACHE_DIR, name)
+    const [entry, stats] = await Promise.all([
+      readCacheEntry(filePath),
+      fs.stat(filePath).catch(() => null),
+    ])
+    entries.push({ filePath, entry, size: stats?.size ?? 0 })
+  }
+
+  return entries
+}
+
+// Caching is best effort: a failed write only costs a refetch next time.
+async function writeCacheEntry(
+  filePath,
+  { pathName, method, tags, ttlSeconds },
+  payload,
+) {
+  const storedAt = new Date()
+  const entry = {
+    apiBaseUrl: runtime.apiBaseUrl,
+    profile: runtime.profile,
+    method,
+    pathName,
+    tags,
+    storedAt: storedAt.toISOString(),
+    expiresAt: new Date(storedAt.getTime() + ttlSeconds * 1000).toISOString(),
+    payload,
+  }
+
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true, mode: 0o700 })
+    await fs.writeFile(filePath, JSON.stringify(entry), {
+      encoding: 'utf8',
+      mode: 0o600,
+    })
+  } catch (_error) {
+    // ignore cache write failures
+  }
+}
+
+// Runs once per command, after its writes, since it reads every cache entry.
+async function invalidateCacheTags(tags) {
+  if (tags.size === 0) {
+    return
+  }
+
+  for (const { filePath, entry } of await listCacheEntries()) {
+    if (
+      entry &&
+      entry.apiBaseUrl === runtime.apiBaseUrl &&
+      entry.profile === runtime.profile &&
+      Array.isArray(entry.tags) &&
+      entry.tags.some((tag) => tags.has(tag))
+    ) {
+      await fs.rm(filePath, { force: true })
+    }
+  }
+}
+
+// `cache` opts a read into the on-disk cache (`{ ttlSeconds, tags }`);
+// `invalidates` lists the cache tags a successful write makes stale. Stale
+// entries are skipped for the rest of the command and removed when it ends.
+// `cacheMode` overrides the command-wide mode for this request.
+async function apiRequest({
+  pathName,
+  method = 'GET',
+  body,
+  accessToken,
+  idempotent = IDEMPOTENT_METHODS.has(method),
+  cache,
+  invalidates,
+  cacheMode = runtime.cacheMode,
+}) {
+  const useCache = Boolean(cache) && cacheMode !== 'no-cache'
+  const cachePath = useCache
+    ? getCacheEntryPath({ pathName, method, body, accessToken })
+    : null
+
+  if (useCache && cacheMode !== 'refresh') {
+    const entry = await readCacheEntry(cachePath)
+    const expiresAt = new Date(entry?.expiresAt || 0).getTime()
+
+    const stale =
+      Array.isArray(entry?.tags) &&
+      entry.tags.some((tag) => runtime.staleCacheTags.has(tag))
+
+    if (
+      entry &&
+      !stale &&
+      (expiresAt > Date.now() || cacheMode === 'offline')
+    ) {
+      if (runtime.verbose) {
+        printError(
+          `= ${method} ${pathName} served from cache (stored ${formatDate(entry.storedAt)})`,
+        )
+      }
+
+      if (expiresAt <= Date.now()) {
+        printError(
+          `Warning: using expired cached data from ${formatDate(entry.storedAt)} (offline).`,
+        )
+      }
+      return entry.payload
+    }
+  }
+
+  if (cacheMode === 'offline') {
+    throw createError(
+      'offline',
+      `Offline: no cached response for ${method} ${pathName}. Run the command once without --offline first.`,
+    )
+  }
+
+  const payload = await sendApiRequestWithRetries({
+    pathName,
+    method,
+    body,
+    accessToken,
+    idempotent,
+  })
+
+  if (useCache) {
+    await writeCacheEntry(
+      cachePath,
+      {
+        pathName,
+        method,
+        tags: cache.tags || [],
+        ttlSeconds: cache.ttlSeconds,
+      },
+      payload,
+    )
+  }
+
+  for (const tag of invalidates || []) {
+    runtime.staleCacheTags.add(tag)
+  }
+
+  return payload
+}
+
+function openInBrowser(url) {
+  const platform = process.platform
+
+  let command = ''
+  let args = []
+
+  if (platform === 'darwin') {
+    command = 'open'
     args = [url]
   } else if (platform === 'win32') {
     command = 'cmd'
@@ -458,7 +1437,24 @@ function openInBrowser(url) {
 }
 
 function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms))
+  const { signal } = interruptController
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(createInterruptedError())
+      return
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(createInterruptedError())
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
 }
 
 function formatDate(iso) {
@@ -474,1878 +1470,5183 @@ function formatDate(iso) {
   return date.toISOString()
 }
 
-function printHelp() {
-  print('ASO Suite CLI')
-  print('')
-  print('Usage:')
-  print('  asosuite login [--no-open]')
-  print('  asosuite logout')
-  print('  asosuite subscription [--json]')
-  print(
-    '  asosuite search-apps [--json] [--region <REGION>] [--platform <PLATFORM>] <query...>',
-  )
-  print('  asosuite list-apps [--json]')
-  print(
-    `  asosuite keywords [--json] [--region <REGION>] [--platform <PLATFORM>] [--app <APP_ID_OR_URL>] <keyword...>`,
-  )
-  print(
-    '  asosuite track-app [--json] [--region <REGION>] [--platform <PLATFORM>] --app <APP_ID_OR_URL>',
-  )
-  print(
-    '  asosuite untrack-app [--json] [--region <REGION>] [--platform <PLATFORM>] --app <APP_ID_OR_URL>',
-  )
-  print(
-    '  asosuite plan-app [--json] --name <APP_NAME> [--id <PLANNED_APP_ID>] [--region <REGION>] [--platform <PLATFORM>]',
+function formatDuration(seconds) {
+  const totalMinutes = Math.floor(Math.abs(seconds) / 60)
+  const days = Math.floor(totalMinutes / (24 * 60))
+  const hours = Math.floor((totalMinutes % (24 * 60)) / 60)
+  const minutes = totalMinutes % 60
+
+  if (days > 0) {
+    return `${days}d ${hours}h`
+  }
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`
+  }
+
+  return `${minutes}m`
+}
+
+function formatCommandUsage(command) {
+  const options = (command.options || []).map((spec) =>
+    spec.required ? formatOptionFlag(spec) : `[${formatOptionFlag(spec)}]`,
   )
-  print(
-    '  asosuite unplan-app [--json] --id <PLANNED_APP_ID> [--region <REGION>] [--platform <PLATFORM>]',
+  const positionals = (command.positionals || []).map(
+    (positional) => positional.valueName,
   )
-  print(
-    '  asosuite tracked-keywords list [--json] [--region <REGION>] [--platform <PLATFORM>] [--page <NUMBER>] [--sort <FIELD>] [--order <asc|desc>] --app <APP_ID_OR_URL_OR_PLANNED_ID>',
+
+  return ['asosuite', command.name, ...options, ...positionals].join(' ')
+}
+
+function describeOption(spec) {
+  const details = []
+
+  if (spec.type === 'enum') {
+    details.push(`one of: ${spec.values.join(', ')}`)
+  }
+  if (spec.type === 'integer') {
+    details.push(`${spec.min}-${spec.max}`)
+  }
+  if (spec.required) {
+    details.push('required')
+  }
+  if (spec.positional) {
+    details.push('may be given as the first argument')
+  }
+  if (spec.multiple) {
+    details.push('repeatable')
+  }
+  if (spec.default != null) {
+    details.push(`default: ${spec.default}`)
+  }
+
+  return details.length > 0
+    ? `${spec.description} (${details.join('; ')})`
+    : spec.description
+}
+
+function printOptionList(specs) {
+  const indent = specs.some((spec) => spec.alias) ? '    ' : ''
+  const flags = specs.map((spec) =>
+    spec.alias
+      ? `-${spec.alias}, ${formatOptionFlag(spec)}`
+      : `${indent}${formatOptionFlag(spec)}`,
   )
-  print(
-    '  asosuite tracked-keywords add [--json] [--region <REGION>] [--platform <PLATFORM>] --app <APP_ID_OR_URL_OR_PLANNED_ID> <keyword...>',
-  )
-  print(
-    '  asosuite tracked-keywords remove [--json] [--region <REGION>] [--platform <PLATFORM>] --app <APP_ID_OR_URL_OR_PLANNED_ID> <keyword...>',
-  )
-  print(
-    '  asosuite related-apps list [--json] --app <APP_ID_OR_URL> [--platform <PLATFORM>]',
-  )
-  print(
-    '  asosuite related-apps add [--json] --app <APP_ID_OR_URL> --related <APP_ID_OR_URL> [--platform <PLATFORM>] [--region <REGION>]',
-  )
-  print(
-    '  asosuite related-apps remove [--json] --app <APP_ID_OR_URL> --related <APP_ID_OR_URL> [--platform <PLATFORM>]',
+  const width = Math.max(...flags.map((flag) => flag.length)) + 2
+
+  specs.forEach((spec, index) => {
+    print(`  ${flags[index].padEnd(width)}${describeOption(spec)}`)
+  })
+}
+
+function printCommandList(commands, describe) {
+  const width = Math.max(...commands.map((command) => command.name.length)) + 2
+
+  for (const command of commands) {
+    print(`  ${command.name.padEnd(width)}${describe(command)}`)
+  }
+}
+
+function getCommandSummary(command) {
+  return command.summary || `Alias of ${command.aliasOf}`
+}
+
+function printHelp() {
+  print('ASO Suite CLI')
+  print('')
+  print('Usage: asosuite <command> [options]')
+  print('')
+  print('Commands:')
+  printCommandList(
+    COMMANDS.filter((command) => !command.aliasOf && !command.hidden),
+    (command) => command.summary,
   )
-  print('  asosuite events list [--json] [--app <APP_ID_OR_URL>]')
-  print(
-    '  asosuite events add [--json] --text <TEXT> [--date <YYYY-MM-DD>] [--app <APP_ID_OR_URL>]',
+  print('')
+  print('Aliases:')
+  printCommandList(
+    COMMANDS.filter((command) => command.aliasOf),
+    getCommandSummary,
   )
-  print('  asosuite events delete [--json] <EVENT_ID>')
+  print('')
+  print('Global options:')
+  printOptionList(GLOBAL_OPTIONS)
+  print('')
   print(
-    '  asosuite charts [--json] [--period <7|30|90>] [--region <REGION> | --regions <REGION,REGION>] [--platform <PLATFORM>] --app <APP_ID_OR_URL>',
+    `Defaults: region=${DEFAULT_REGION}, platform=${DEFAULT_PLATFORM}, period=${DEFAULT_PERIOD}`,
   )
+  print('Output: use --json for single-line JSON output')
+  print('Proxies: HTTPS_PROXY, HTTP_PROXY and NO_PROXY are honored')
+  print('')
   print(
-    '  asosuite features [--json] [--platform <PLATFORM>] --app <APP_ID_OR_URL>',
+    'Run `asosuite help <command>` or `asosuite <command> --help` for options, limits and examples.',
   )
-  print(
-    '  asosuite ratings [--json] [--period <7|30|90>] [--platform <PLATFORM>] --app <APP_ID_OR_URL>',
+}
+
+function printGroupHelp(name, commands) {
+  const subcommands = commands.map((command) =>
+    command.name.slice(name.length + 1),
   )
-  print('  asosuite help')
+
+  print(`Usage: asosuite ${name} <${subcommands.join('|')}> [options]`)
   print('')
-  print(`Defaults: region=${DEFAULT_REGION}, platform=${DEFAULT_PLATFORM}`)
-  print('Supported platforms: iphone, ipad, mac, appletv, watch, vision')
-  print('Output: use --json for single-line JSON output')
-  print(
-    'tracked-keywords sort fields: keyword, relevance, popularity, difficulty, position, lastUpdate',
-  )
+  print('Subcommands:')
+  printCommandList(commands, (command) => command.summary)
   print('')
-  print('Examples:')
-  print('  asosuite keywords keyword1 keyword2')
-  print('  asosuite search-apps --region US --platform iphone "chat gpt"')
-  print('  asosuite list-apps')
-  print('  asosuite track-app --app 6448311069 --platform iphone --region US')
-  print('  asosuite untrack-app --app 6448311069 --platform iphone --region US')
-  print(
-    '  asosuite plan-app --name "My Next App" --platform iphone --region US',
+  print(`Run \`asosuite help ${name} <subcommand>\` for options and examples.`)
+}
+
+function printCommandHelp(command) {
+  print(`Usage: ${formatCommandUsage(command)}`)
+  print('')
+  print(getCommandSummary(command))
+
+  if (command.options?.length > 0) {
+    print('')
+    print('Options:')
+    printOptionList(command.options)
+  }
+
+  if (command.columns) {
+    print('')
+    print(
+      `Fields: ${command.columns.map((column) => column.key).join(', ')} (or dotted paths into the JSON records)`,
+    )
+  }
+
+  const notes = command.notes || findCommand(command.aliasOf)?.notes || []
+
+  if (notes.length > 0) {
+    print('')
+    for (const note of notes) {
+      print(note)
+    }
+  }
+
+  if (command.examples?.length > 0) {
+    print('')
+    print('Examples:')
+    for (const example of command.examples) {
+      print(`  ${example}`)
+    }
+  }
+
+  print('')
+  print('Global options are listed by `asosuite help`.')
+}
+
+function printHelpTopic(words) {
+  if (words.length === 0) {
+    printHelp()
+    return
+  }
+
+  const [name, subcommand = ''] = words.map((word) => String(word).trim())
+  const command =
+    findCommand(`${name} ${subcommand.toLowerCase()}`) || findCommand(name)
+
+  if (command) {
+    printCommandHelp(command)
+    return
+  }
+
+  const group = getCommandGroup(name)
+  if (group.length === 0) {
+    throw createUsageError(`Unknown command: ${name}`)
+  }
+
+  printGroupHelp(name, group)
+}
+
+// Ctrl-C rejects like an interrupted request instead of waiting for EOF.
+function readStdin() {
+  const { signal } = interruptController
+  const chunks = []
+
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(createInterruptedError())
+      return
+    }
+
+    const cleanup = () => {
+      signal.removeEventListener('abort', onAbort)
+      process.stdin.off('data', onData)
+      process.stdin.off('end', onEnd)
+      process.stdin.off('error', onError)
+    }
+    const onAbort = () => {
+      cleanup()
+      process.stdin.destroy()
+      reject(createInterruptedError())
+    }
+    const onData = (chunk) => chunks.push(chunk)
+    const onEnd = () => {
+      cleanup()
+      resolve(Buffer.concat(chunks).toString('utf8'))
+    }
+    const onError = (error) => {
+      cleanup()
+      reject(error)
+    }
+
+    signal.addEventListener('abort', onAbort, { once: true })
+    process.stdin.on('data', onData)
+    process.stdin.once('end', onEnd)
+    process.stdin.once('error', onError)
+  })
+}
+
+function parseCsvRow(line) {
+  const cells = []
+  let cell = ''
+  let quoted = false
+
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index]
+
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        cell += '"'
+        index += 1
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      cells.push(cell)
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+
+  cells.push(cell)
+  return cells
+}
+
+function readCsvRows(text) {
+  return text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .filter((line) => line.trim() && !line.trim().startsWith('#'))
+    .map(parseCsvRow)
+}
+
+function findCsvColumn(rows, pattern) {
+  return rows.length > 0
+    ? rows[0].findIndex((cell) => pattern.test(cell.trim()))
+    : -1
+}
+
+// One keyword per line, or CSV with the keywords in the column headed
+// `keyword` (the first column otherwise). Blank lines and `#` comments are
+// skipped.
+function parseKeywordList(text) {
+  const rows = readCsvRows(text)
+  const headerIndex = findCsvColumn(rows, /^keywords?$/i)
+  const column = Math.max(headerIndex, 0)
+
+  return normalizeKeywordArgs(
+    (headerIndex === -1 ? rows : rows.slice(1)).map((row) => row[column]),
   )
-  print('  asosuite unplan-app --id my-next-app --platform iphone --region US')
-  print(
-    '  asosuite tracked-keywords add --app 6448311069 --region US "step counter"',
+}
+
+// Drops repeats, compared case-insensitively, keeping the first.
+function uniqueKeywords(keywords) {
+  const seen = new Set()
+
+  return keywords.filter((keyword) => {
+    const key = keyword.toLowerCase()
+    if (seen.has(key)) {
+      return false
+    }
+    seen.add(key)
+    return true
+  })
+}
+
+// Reads a --file value, with `-` meaning stdin.
+async function readInputFile(file, description) {
+  if (file === '-') {
+    if (process.stdin.isTTY) {
+      printError(`Enter ${description}, then press Ctrl-D:`)
+    }
+    return readStdin()
+  }
+
+  try {
+    return await fs.readFile(file, 'utf8')
+  } catch (error) {
+    throw createUsageError(`Could not read ${file}: ${error.message}`)
+  }
+}
+
+// Keywords come from the arguments, then --file, then stdin (`-` as an
+// argument or --file -). Keywords from files and stdin are dropped when they
+// repeat, including ones already given as arguments; the arguments themselves
+// are sent as given.
+async function readKeywordInput(file, positionals) {
+  const keywords = normalizeKeywordArgs(
+    positionals.filter((value) => value !== '-'),
   )
-  print(
-    '  asosuite tracked-keywords remove --app 6448311069 --region US "step counter"',
+  const listed = []
+
+  if (file != null) {
+    listed.push(
+      ...parseKeywordList(await readInputFile(file, 'keywords, one per line')),
+    )
+  }
+
+  if (file !== '-' && positionals.includes('-')) {
+    listed.push(
+      ...parseKeywordList(await readInputFile('-', 'keywords, one per line')),
+    )
+  }
+
+  const given = new Set(keywords.map((keyword) => keyword.toLowerCase()))
+  keywords.push(
+    ...uniqueKeywords(listed).filter(
+      (keyword) => !given.has(keyword.toLowerCase()),
+    ),
   )
-  print(
-    '  asosuite tracked-keywords remove --app my-next-app --region US "step counter"',
+
+  if (keywords.length === 0) {
+    throw createUsageError(
+      'Provide keywords as arguments, with --file <PATH> or - (stdin)',
+    )
+  }
+
+  return keywords
+}
+
+function chunkArray(items, size) {
+  const chunks = []
+
+  for (let index = 0; index < items.length; index += size) {
+    chunks.push(items.slice(index, index + size))
+  }
+
+  return chunks
+}
+
+// Runs `task` over `items` with at most `limit` in flight and resolves with
+// the results in input order. The first failure rejects and stops new tasks
+// from starting.
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length)
+  let next = 0
+  let failed = false
+
+  const worker = async () => {
+    while (next < items.length && !failed) {
+      const index = next
+      next += 1
+
+      try {
+        results[index] = await task(items[index], index)
+      } catch (error) {
+        failed = true
+        throw error
+      }
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
   )
-  print('  asosuite related-apps list --app 6448311069 --platform iphone')
-  print(
-    '  asosuite related-apps add --app 6448311069 --related 333903271 --platform iphone --region US',
+  return results
+}
+
+// A one-line `label: done/total` counter on stderr for multi-request work.
+// Only drawn on a terminal, and not alongside --verbose traces.
+function createProgress(label, total) {
+  const enabled = total > 1 && Boolean(process.stderr.isTTY) && !runtime.verbose
+  let completed = 0
+
+  const render = () => {
+    if (enabled) {
+      process.stderr.write(`\r${label}: ${completed}/${total}`)
+    }
+  }
+
+  render()
+
+  return {
+    tick() {
+      completed += 1
+      render()
+    },
+    finish() {
+      if (enabled) {
+        process.stderr.write('\r\u001b[2K')
+      }
+    },
+  }
+}
+
+async function runAuthLogin({ noOpen, token }) {
+  if (token != null) {
+    await runAuthLoginWithToken(token)
+    return
+  }
+
+  const start = await createClient().startDeviceAuth()
+
+  const userCode = String(start.userCode || '').trim()
+  const verificationUrl = `${runtime.webBaseUrl}/cli/auth?code=${encodeURIComponent(userCode)}`
+  const deviceCode = String(start.deviceCode || '').trim()
+  const pollIntervalSeconds =
+    Number(start.pollIntervalSeconds) > 0
+      ? Number(start.pollIntervalSeconds)
+      : DEFAULT_POLL_INTERVAL_SECONDS
+  const expiresInSeconds =
+    Number(start.expiresInSeconds) > 0 ? Number(start.expiresInSeconds) : 600
+
+  if (!deviceCode || !verificationUrl || !userCode) {
+    throw createError(
+      'server_error',
+      'Server returned an invalid authentication payload',
+    )
+  }
+
+  print('To authenticate, open:')
+  print(`  ${verificationUrl}`)
+  print(`Code: ${userCode}`)
+
+  if (!noOpen) {
+    try {
+      const opened = await openInBrowser(verificationUrl)
+      if (opened) {
+        print('Opened browser for authentication.')
+      } else {
+        print(
+          'Could not open browser automatically. Open the URL above manually.',
+        )
+      }
+    } catch (_error) {
+      print(
+        'Could not open browser automatically. Open the URL above manually.',
+      )
+    }
+  }
+
+  print('Waiting for approval...')
+
+  const deadline = Date.now() + expiresInSeconds * 1000
+
+  while (Date.now() < deadline) {
+    try {
+      const tokenResponse = await createClient().exchangeDeviceCode(deviceCode)
+
+      const accessToken = String(tokenResponse.accessToken || '').trim()
+      const expiresAt = String(tokenResponse.expiresAt || '').trim()
+
+      if (!accessToken || !expiresAt) {
+        throw createError(
+          'server_error',
+          'Server returned an invalid token response',
+        )
+      }
+
+      const saved = await saveConfig(
+        withProfile(await loadConfig(), runtime.profile, {
+          accessToken,
+          expiresAt,
+        }),
+      )
+
+      print('Authenticated successfully.')
+      print(`Profile: ${runtime.profile}`)
+      print(`Token expires at: ${formatDate(expiresAt)}`)
+      if (saved) {
+        print(`Stored config: ${CONFIG_PATH}`)
+      }
+      return
+    } catch (error) {
+      const status = Number(error?.status || 0)
+
+      if (status === 428) {
+        await sleep(pollIntervalSeconds * 1000)
+        continue
+      }
+
+      if (status === 410) {
+        throw createError(
+          'auth_error',
+          'Authorization request expired. Run `asosuite login` again.',
+        )
+      }
+
+      if (status === 409 || status === 400) {
+        throw createError(
+          'auth_error',
+          'Authorization request is no longer valid. Run `asosuite login` again.',
+        )
+      }
+
+      throw error
+    }
+  }
+
+  throw createError(
+    'auth_error',
+    'Authentication timed out. Run `asosuite login` again.',
   )
-  print(
-    '  asosuite related-apps remove --app 6448311069 --related 333903271 --platform iphone',
+}
+
+async function runAuthLoginWithToken(tokenValue) {
+  if (tokenValue === '-' && process.stdin.isTTY) {
+    printError('Paste the access token, then press Ctrl-D:')
+  }
+
+  const accessToken = (
+    tokenValue === '-' ? await readStdin() : String(tokenValue)
+  ).trim()
+
+  if (!accessToken) {
+    throw createUsageError(
+      'Provide a token via --token <TOKEN> or --token - (stdin)',
+    )
+  }
+
+  try {
+    await createClient(accessToken).getSubscription()
+  } catch (error) {
+    if (Number(error?.status || 0) === 401) {
+      throw createError(
+        'auth_error',
+        'The server rejected this token. Nothing was saved.',
+      )
+    }
+
+    throw error
+  }
+
+  const saved = await saveConfig(
+    withProfile(await loadConfig(), runtime.profile, { accessToken }),
   )
-  print('  asosuite events list --app 6448311069')
-  print('  asosuite events add --app 6448311069 --text "Release v2.0"')
-  print('  asosuite events delete 123')
+
+  print('Authenticated successfully.')
+  print(`Profile: ${runtime.profile}`)
+  if (saved) {
+    print(`Stored config: ${CONFIG_PATH}`)
+  }
+}
+
+async function runAuthLogout() {
+  await saveConfig(withProfile(await loadConfig(), runtime.profile, null))
   print(
-    '  asosuite tracked-keywords list --app 6448311069 --platform iphone --page 1 --sort keyword --order asc',
+    `Cleared local credentials for profile ${runtime.profile} from ${CONFIG_PATH}`,
   )
+}
+
+// Tokens from ASOSUITE_TOKEN carry no expiry information.
+function getTokenInfo(config) {
+  const envToken = getEnvAccessToken()
+
+  if (envToken) {
+    return { accessToken: envToken, source: 'env', expiresAt: null }
+  }
+
+  const accessToken = getStoredAccessToken(config)
+  const expiresAt = new Date(getProfile(config).expiresAt || '')
+
+  return {
+    accessToken,
+    source: accessToken ? 'config' : null,
+    expiresAt: Number.isNaN(expiresAt.getTime()) ? null : expiresAt,
+  }
+}
+
+function getSecondsUntil(date) {
+  return Math.floor((date.getTime() - Date.now()) / 1000)
+}
+
+function getLoginCommand() {
+  return runtime.profile === DEFAULT_PROFILE
+    ? '`asosuite login`'
+    : `\`asosuite login --profile ${runtime.profile}\``
+}
+
+function requireAuthenticatedAccessToken(config) {
+  const { accessToken, expiresAt } = getTokenInfo(config)
+
+  // Replays ignore the token, so they run without signing in.
+  if (!accessToken && runtime.replayDir) {
+    return REDACTED
+  }
+
+  if (!accessToken) {
+    throw createError(
+      'auth_error',
+      runtime.profile === DEFAULT_PROFILE
+        ? 'Not authenticated. Run `asosuite login` first.'
+        : `Not authenticated for profile ${runtime.profile}. Run ${getLoginCommand()} first.`,
+    )
+  }
+
+  if (expiresAt) {
+    const remainingSeconds = getSecondsUntil(expiresAt)
+
+    if (remainingSeconds <= 0) {
+      throw createError(
+        'auth_error',
+        `Access token expired at ${formatDate(expiresAt.toISOString())}. Run ${getLoginCommand()} again.`,
+      )
+    }
+
+    if (remainingSeconds <= TOKEN_EXPIRY_WARNING_SECONDS) {
+      printError(
+        `Warning: access token expires in ${formatDuration(remainingSeconds)}. Run ${getLoginCommand()} to renew it.`,
+      )
+    }
+  }
+
+  return accessToken
+}
+
+// API calls go through apiRequest for retries, caching and tracing.
+// `cacheMode` applies to this client's requests only.
+function createClient(accessToken = null, { cacheMode } = {}) {
+  return new AsoSuiteClient({
+    accessToken,
+    request: cacheMode
+      ? (options) => apiRequest({ ...options, cacheMode })
+      : apiRequest,
+  })
+}
+
+// For reads a change is computed from: skips cached copies unless the user
+// chose --offline or --no-cache.
+function getFreshCacheMode() {
+  return runtime.cacheMode === 'default' ? 'refresh' : runtime.cacheMode
+}
+
+async function runAuthStatus({ json: outputJson }) {
+  const config = await loadConfig()
+
+  const { source, expiresAt } = getTokenInfo(config)
+  const remainingSeconds = expiresAt ? getSecondsUntil(expiresAt) : null
+  const expired = remainingSeconds != null && remainingSeconds <= 0
+  const subscription =
+    source && !expired
+      ? await createClient(
+          requireAuthenticatedAccessToken(config),
+        ).getSubscription()
+      : null
+
+  if (!source || expired) {
+    process.exitCode = EXIT_CODES.auth
+  }
+
+  if (outputJson) {
+    printJson({
+      profile: runtime.profile,
+      authenticated: Boolean(source) && !expired,
+      tokenSource: source,
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      expiresInSeconds: remainingSeconds,
+      expired,
+      plan: subscription?.plan ?? null,
+      active: subscription ? Boolean(subscription.active) : null,
+    })
+    return
+  }
+
+  print(`Profile: ${runtime.profile}`)
+
+  if (!source) {
+    print('Authenticated: no')
+    print(`Run ${getLoginCommand()} to sign in.`)
+    return
+  }
+
+  print(`Authenticated: ${expired ? 'no (token expired)' : 'yes'}`)
   print(
-    '  asosuite tracked-keywords list --app my-next-app --platform iphone --page 1 --sort relevance --order desc',
+    `Token source: ${source === 'env' ? 'ASOSUITE_TOKEN environment variable' : CONFIG_PATH}`,
   )
-  print('  asosuite charts --app 6448311069 --platform iphone --period 30')
-  print('  asosuite features --app 6448311069 --platform iphone')
-  print('  asosuite ratings --app 6448311069 --platform iphone --period 30')
   print(
-    '  asosuite keywords --app "https://apps.apple.com/us/app/chatgpt/id6448311069" --platform iphone "ai assistant"',
+    `Token expires at: ${expiresAt ? formatDate(expiresAt.toISOString()) : 'unknown'}`,
+  )
+
+  if (remainingSeconds != null) {
+    print(
+      expired
+        ? `Time remaining: expired ${formatDuration(remainingSeconds)} ago`
+        : `Time remaining: ${formatDuration(remainingSeconds)}`,
+    )
+  }
+
+  if (subscription) {
+    print(`Plan: ${subscription.plan}`)
+    print(`Active: ${subscription.active ? 'yes' : 'no'}`)
+  } else {
+    print(`Run ${getLoginCommand()} to sign in again.`)
+  }
+}
+
+async function runProfileList({ json: outputJson }) {
+  const config = await loadConfig()
+
+  const names = Object.keys(getProfiles(config))
+  if (!names.includes(runtime.profile)) {
+    names.push(runtime.profile)
+  }
+  names.sort()
+
+  const profiles = names.map((name) => {
+    const profile = getProfile(config, name)
+    return {
+      name,
+      current: name === runtime.profile,
+      authenticated: Boolean(getStoredAccessToken(config, name)),
+      expiresAt: profile.expiresAt || null,
+    }
+  })
+
+  if (outputJson) {
+    printJson({ currentProfile: runtime.profile, profiles })
+    return
+  }
+
+  print(`Current profile: ${runtime.profile}`)
+  print('')
+  printTable(
+    ['Profile', 'Current', 'Authenticated', 'Expires At'],
+    profiles.map((profile) => [
+      profile.name,
+      profile.current ? 'yes' : 'no',
+      profile.authenticated ? 'yes' : 'no',
+      profile.expiresAt ? formatDate(profile.expiresAt) : '-',
+    ]),
+  )
+}
+
+async function runProfileUse({ json: outputJson }, [nameValue]) {
+  const config = await loadConfig()
+  const name = resolveProfileName(nameValue, 'profile name')
+  await saveConfig({ ...config, currentProfile: name })
+
+  const authenticated = Boolean(getStoredAccessToken(config, name))
+
+  if (outputJson) {
+    printJson({ ok: true, currentProfile: name, authenticated })
+    return
+  }
+
+  print(`Current profile: ${name}`)
+  if (!authenticated) {
+    print('Profile has no credentials yet. Run `asosuite login` to sign in.')
+  }
+}
+
+async function runProfileRemove({ json: outputJson }, [nameValue]) {
+  const config = await loadConfig()
+  const name = resolveProfileName(nameValue, 'profile name')
+
+  if (!Object.hasOwn(getProfiles(config), name)) {
+    throw createUsageError(`Unknown profile: ${name}`)
+  }
+
+  const next = withProfile(config, name, null)
+  if (next.currentProfile === name) {
+    delete next.currentProfile
+  }
+  await saveConfig(next)
+
+  if (outputJson) {
+    printJson({ ok: true, profile: name })
+    return
+  }
+
+  print(`Removed profile: ${name}`)
+}
+
+async function runCacheClear({ json: outputJson }) {
+  const entries = await listCacheEntries()
+  await fs.rm(CACHE_DIR, { recursive: true, force: true })
+
+  if (outputJson) {
+    printJson({ ok: true, removedEntries: entries.length })
+    return
+  }
+
+  print(`Removed cached responses: ${entries.length}`)
+}
+
+async function runCacheStats({ json: outputJson }) {
+  const entries = await listCacheEntries()
+  const now = Date.now()
+  const fresh = entries.filter(
+    ({ entry }) => new Date(entry?.expiresAt || 0).getTime() > now,
+  ).length
+  const totalBytes = entries.reduce((sum, { size }) => sum + size, 0)
+  const profiles = Array.from(
+    new Set(entries.map(({ entry }) => entry?.profile).filter(Boolean)),
+  ).sort()
+
+  if (outputJson) {
+    printJson({
+      directory: CACHE_DIR,
+      entries: entries.length,
+      fresh,
+      expired: entries.length - fresh,
+      totalBytes,
+      profiles,
+    })
+    return
+  }
+
+  print(`Directory: ${CACHE_DIR}`)
+  print(`Entries: ${entries.length}`)
+  print(`Fresh: ${fresh}`)
+  print(`Expired: ${entries.length - fresh}`)
+  print(`Size: ${(totalBytes / 1024).toFixed(1)} KiB`)
+  print(`Profiles: ${profiles.length > 0 ? profiles.join(', ') : '-'}`)
+}
+
+async function runSubscriptionStatus({ json: outputJson }) {
+  const config = await loadConfig()
+  const subscription = await createClient(
+    requireAuthenticatedAccessToken(config),
+  ).getSubscription()
+
+  if (outputJson) {
+    printJson(subscription)
+    return
+  }
+
+  print(`Plan: ${subscription.plan}`)
+  print(`Active: ${subscription.active ? 'yes' : 'no'}`)
+  print(`Subscriber: ${subscription.isSubscriber ? 'yes' : 'no'}`)
+  print(`Billing period: ${subscription.billingPeriod || 'n/a'}`)
+  print(`Expires at: ${formatDate(subscription.expiresAt)}`)
+
+  if (!subscription.isSubscriber && subscription.subscribeUrl) {
+    print('')
+    print(`Subscribe: ${subscription.subscribeUrl}`)
+  }
+}
+
+function formatMetricValue(value, pending) {
+  if (pending) {
+    return 'pending'
+  }
+
+  if (typeof value !== 'number') {
+    return 'n/a'
+  }
+
+  return String(value)
+}
+
+function formatPositionValue(position) {
+  if (typeof position !== 'number') {
+    return '-'
+  }
+
+  return `#${position}`
+}
+
+const ANSI_STYLES = {
+  green: [32, 39],
+  yellow: [33, 39],
+  red: [31, 39],
+  dim: [2, 22],
+}
+
+const MIN_FITTED_COLUMN_WIDTH = 8
+
+function colorize(text, style) {
+  if (!runtime.color || !ANSI_STYLES[style]) {
+    return text
+  }
+
+  const [open, close] = ANSI_STYLES[style]
+  return `\u001b[${open}m${text}\u001b[${close}m`
+}
+
+function getTrendStyle(value) {
+  if (typeof value !== 'number' || value === 0) {
+    return null
+  }
+
+  return value > 0 ? 'green' : 'red'
+}
+
+function getPositionStyle(position) {
+  if (typeof position !== 'number' || position <= 0) {
+    return null
+  }
+
+  if (position <= 10) {
+    return 'green'
+  }
+
+  return position <= 50 ? 'yellow' : null
+}
+
+function getPendingStyle(pending) {
+  return pending ? 'dim' : null
+}
+
+function getTableWidth() {
+  if (runtime.wide || !process.stdout.isTTY) {
+    return Infinity
+  }
+
+  return process.stdout.columns || Infinity
+}
+
+// Narrows the widest `fit` columns, one character at a time, until the table
+// fits. They never shrink below their header or MIN_FITTED_COLUMN_WIDTH.
+function fitColumnWidths(widths, headers, fit, maxWidth) {
+  const fitted = [...widths]
+  const minWidths = headers.map((header, index) =>
+    fit.includes(index)
+      ? Math.min(
+          widths[index],
+          Math.max(header.length, MIN_FITTED_COLUMN_WIDTH),
+        )
+      : widths[index],
+  )
+  const separators = 2 * (widths.length - 1)
+  let total = fitted.reduce((sum, width) => sum + width, separators)
+
+  while (total > maxWidth) {
+    let widest = -1
+
+    for (let index = 0; index < fitted.length; index += 1) {
+      if (
+        fitted[index] > minWidths[index] &&
+        (widest === -1 || fitted[index] > fitted[widest])
+      ) {
+        widest = index
+      }
+    }
+
+    if (widest === -1) {
+      break
+    }
+
+    fitted[widest] -= 1
+    total -= 1
+  }
+
+  return fitted
+}
+
+function truncateCell(text, width) {
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text
+}
+
+// Cells are strings or `{ text, style }`. On a terminal, tables are narrowed
+// to its width (unless --wide) by truncating the `fit` column indexes, and
+// styled cells are colored (unless --no-color or NO_COLOR).
+function printTable(headers, rows, { fit = [] } = {}) {
+  const cells = rows.map((row) =>
+    row.map((cell) =>
+      cell != null && typeof cell === 'object'
+        ? { text: String(cell.text), style: cell.style }
+        : { text: String(cell), style: null },
+    ),
+  )
+  const widths = headers.map((header) => header.length)
+
+  for (const row of cells) {
+    for (let index = 0; index < row.length; index += 1) {
+      widths[index] = Math.max(widths[index], row[index].text.length)
+    }
+  }
+
+  const fitted = fitColumnWidths(widths, headers, fit, getTableWidth())
+
+  const formatRow = (row) =>
+    row
+      .map(({ text, style }, index) => {
+        const value = truncateCell(text, fitted[index])
+        const padding = ' '.repeat(fitted[index] - value.length)
+        const cell = colorize(value, style)
+        return index === 0 ? `${cell}${padding}` : `${padding}${cell}`
+      })
+      .join('  ')
+
+  print(formatRow(headers.map((header) => ({ text: header, style: null }))))
+  print(fitted.map((width) => '-'.repeat(width)).join('  '))
+
+  for (const row of cells) {
+    print(formatRow(row))
+  }
+}
+
+const YAML_RESERVED_WORDS = new Set([
+  'null',
+  'true',
+  'false',
+  'yes',
+  'no',
+  'on',
+  'off',
+  'y',
+  'n',
+])
+
+// Strings that could read as another type, or that contain YAML syntax, are
+// written as JSON strings, which YAML accepts as double-quoted scalars.
+function formatYamlScalar(value) {
+  if (
+    typeof value === 'string' &&
+    /^[A-Za-z_/][\w ./()@-]*$/.test(value) &&
+    !value.endsWith(' ') &&
+    !YAML_RESERVED_WORDS.has(value.toLowerCase())
+  ) {
+    return value
+  }
+
+  return JSON.stringify(value ?? null)
+}
+
+function isYamlBlock(value) {
+  return (
+    value != null && typeof value === 'object' && Object.keys(value).length > 0
+  )
+}
+
+function formatYaml(value, indent = '') {
+  if (!isYamlBlock(value)) {
+    return `${indent}${formatYamlScalar(value)}`
+  }
+
+  if (Array.isArray(value)) {
+    return value
+      .map((item) =>
+        isYamlBlock(item)
+          ? `${indent}- ${formatYaml(item, `${indent}  `).trimStart()}`
+          : `${indent}- ${formatYamlScalar(item)}`,
+      )
+      .join('\n')
+  }
+
+  return Object.entries(value)
+    .map(([key, item]) =>
+      isYamlBlock(item)
+        ? `${indent}${formatYamlScalar(key)}:\n${formatYaml(item, `${indent}  `)}`
+        : `${indent}${formatYamlScalar(key)}: ${formatYamlScalar(item)}`,
+    )
+    .join('\n')
+}
+
+// Reads the YAML subset that manifests need: block mappings and sequences,
+// `- key: value` items, `[a, b]` flow lists, quoted and plain scalars and
+// comments. Anchors, tags and multi-line strings are not supported. Plain
+// scalars stay strings, so a keyword like `007` keeps its digits; readManifest
+// converts the values it needs.
+function parseYaml(text) {
+  const lines = text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line, index) => ({
+      number: index + 1,
+      indent: line.search(/\S/),
+      content: stripYamlComment(line).trim(),
+    }))
+    .filter(
+      (line) => line.indent !== -1 && line.content && line.content !== '---',
+    )
+
+  if (lines.length === 0) {
+    return null
+  }
+
+  const { value, next } = parseYamlBlock(lines, 0, lines[0].indent)
+
+  if (next < lines.length) {
+    throw new Error(`line ${lines[next].number}: unexpected indentation`)
+  }
+
+  return value
+}
+
+function stripYamlComment(line) {
+  let quote = null
+
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index]
+
+    if (quote) {
+      if (char === quote) {
+        quote = null
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '#' && (index === 0 || /\s/.test(line[index - 1]))) {
+      return line.slice(0, index)
+    }
+  }
+
+  return line
+}
+
+function isYamlSequenceItem(content) {
+  return content === '-' || content.startsWith('- ')
+}
+
+function parseYamlBlock(lines, start, indent) {
+  return isYamlSequenceItem(lines[start].content)
+    ? parseYamlSequence(lines, start, indent)
+    : parseYamlMapping(lines, start, indent)
+}
+
+function parseYamlSequence(lines, start, indent) {
+  const items = []
+  let index = start
+
+  while (
+    index < lines.length &&
+    lines[index].indent === indent &&
+    isYamlSequenceItem(lines[index].content)
+  ) {
+    const content = lines[index].content.slice(1).trim()
+
+    if (!content) {
+      const nested = lines[index + 1]
+      if (nested && nested.indent > indent) {
+        const { value, next } = parseYamlBlock(lines, index + 1, nested.indent)
+        items.push(value)
+        index = next
+      } else {
+        items.push(null)
+        index += 1
+      }
+    } else if (matchYamlKey(content)) {
+      // `- key: value` starts a mapping indented past the dash.
+      const itemIndent = indent + lines[index].content.indexOf(content)
+      const itemLines = [
+        { ...lines[index], indent: itemIndent, content },
+        ...lines.slice(index + 1),
+      ]
+      const { value, next } = parseYamlMapping(itemLines, 0, itemIndent)
+      items.push(value)
+      index += next
+    } else {
+      items.push(parseYamlScalar(content, lines[index].number))
+      index += 1
+    }
+  }
+
+  return { value: items, next: index }
+}
+
+function matchYamlKey(content) {
+  return content.match(/^("[^"]*"|'[^']*'|[^\s"'[{#][^:]*?)\s*:(?:\s+(.*))?$/)
+}
+
+function parseYamlMapping(lines, start, indent) {
+  const mapping = {}
+  let index = start
+
+  while (index < lines.length && lines[index].indent === indent) {
+    const line = lines[index]
+    const match = matchYamlKey(line.content)
+
+    if (!match) {
+      throw new Error(`line ${line.number}: expected "key: value"`)
+    }
+
+    const key = String(parseYamlScalar(match[1], line.number))
+    const nested = lines[index + 1]
+    index += 1
+
+    if (match[2] != null && match[2] !== '') {
+      mapping[key] = parseYamlScalar(match[2], line.number)
+    } else if (
+      nested &&
+      (nested.indent > indent ||
+        (nested.indent === indent && isYamlSequenceItem(nested.content)))
+    ) {
+      const { value, next } = parseYamlBlock(lines, index, nested.indent)
+      mapping[key] = value
+      index = next
+    } else {
+      mapping[key] = null
+    }
+  }
+
+  if (index < lines.length && lines[index].indent > indent) {
+    throw new Error(`line ${lines[index].number}: unexpected indentation`)
+  }
+
+  return { value: mapping, next: index }
+}
+
+function parseYamlScalar(text, lineNumber) {
+  const value = text.trim()
+
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value)
+    } catch {
+      throw new Error(`line ${lineNumber}: invalid double-quoted string`)
+    }
+  }
+
+  if (value.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) {
+      throw new Error(`line ${lineNumber}: invalid single-quoted string`)
+    }
+    return value.slice(1, -1).replace(/''/g, "'")
+  }
+
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) {
+      throw new Error(`line ${lineNumber}: unterminated [ list`)
+    }
+    const inner = value.slice(1, -1).trim()
+    return inner
+      ? splitYamlFlowItems(inner).map((item) =>
+          parseYamlScalar(item, lineNumber),
+        )
+      : []
+  }
+
+  if (value === '{}') {
+    return {}
+  }
+
+  if (/^[|>&*!{]/.test(value)) {
+    throw new Error(`line ${lineNumber}: unsupported YAML syntax`)
+  }
+
+  if (value === '~' || value === 'null') {
+    return null
+  }
+
+  return value
+}
+
+function splitYamlFlowItems(text) {
+  const items = []
+  let quote = null
+  let item = ''
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) {
+        quote = null
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === ',') {
+      items.push(item)
+      item = ''
+      continue
+    }
+    item += char
+  }
+
+  items.push(item)
+  return items
+}
+
+function formatCsvCell(cell) {
+  const value = String(cell)
+  return /[",\r\n]|^\s|\s$/.test(value)
+    ? `"${value.replace(/"/g, '""')}"`
+    : value
+}
+
+function formatMarkdownRow(row) {
+  return `| ${row
+    .map((cell) =>
+      String(cell)
+        .replace(/\|/g, '\\|')
+        .replace(/\s*[\r\n]+\s*/g, ' '),
+    )
+    .join(' | ')} |`
+}
+
+function formatCell(value) {
+  if (value == null || value === '') {
+    return '-'
+  }
+
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.map(formatCell).join(',') : '-'
+  }
+
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+function getPathValue(record, pathName) {
+  return pathName
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), record)
+}
+
+// Table columns: `key` names the column for --fields, --where and --sort-by,
+// `value` reads the raw value they compare (default: the record field named
+// `key`), `format` turns it into the table cell and `style` picks its color.
+// `fit` columns hold free text and may be truncated to fit the terminal.
+// `extra` columns are shown only when asked for.
+// Names that match no column are read as dotted paths into the record.
+function findColumn(columns, name) {
+  return (
+    columns.find(
+      (column) => column.key.toLowerCase() === name.toLowerCase(),
+    ) || { key: name, header: name }
   )
 }
 
-async function runAuthLogin(rest) {
-  const noOpen = takeFlag(rest, '--no-open')
+function getCellValue(column, record) {
+  return column.value ? column.value(record) : getPathValue(record, column.key)
+}
+
+function formatColumnCell(column, record) {
+  const value = getCellValue(column, record)
+  return column.format ? column.format(value, record) : formatCell(value)
+}
+
+function hasRowOptions() {
+  const { fields, where, sortBy } = runtime.rowOptions
+  return fields != null || where.length > 0 || sortBy.length > 0
+}
+
+// Numbers compare numerically; everything else as case-insensitive text, with
+// digit runs compared by value. Rows without a value never pass <, <=, > or
+// >=.
+function matchesCondition(value, { operator, operand }) {
+  const text = value == null ? '' : String(value)
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+  if (operator === '~') {
+    return text.toLowerCase().includes(operand.toLowerCase())
   }
 
-  const start = await apiRequest({
-    pathName: '/api/cli/auth/start',
-    method: 'POST',
-  })
+  const number = operand === '' ? Number.NaN : Number(operand)
+  let order
 
-  const userCode = String(start.userCode || '').trim()
-  const verificationUrl = `${WEB_BASE_URL}/cli/auth?code=${encodeURIComponent(userCode)}`
-  const deviceCode = String(start.deviceCode || '').trim()
-  const pollIntervalSeconds =
-    Number(start.pollIntervalSeconds) > 0
-      ? Number(start.pollIntervalSeconds)
-      : DEFAULT_POLL_INTERVAL_SECONDS
-  const expiresInSeconds =
-    Number(start.expiresInSeconds) > 0 ? Number(start.expiresInSeconds) : 600
+  if (typeof value === 'number' && Number.isFinite(number)) {
+    order = value - number
+  } else if (value == null && operator !== '=' && operator !== '!=') {
+    return false
+  } else {
+    order = text.localeCompare(operand, undefined, {
+      sensitivity: 'base',
+      numeric: true,
+    })
+  }
 
-  if (!deviceCode || !verificationUrl || !userCode) {
-    throw new Error('Server returned an invalid authentication payload')
+  switch (operator) {
+    case '=':
+      return order === 0
+    case '!=':
+      return order !== 0
+    case '>':
+      return order > 0
+    case '>=':
+      return order >= 0
+    case '<':
+      return order < 0
+    default:
+      return order <= 0
   }
+}
 
-  print('To authenticate, open:')
-  print(`  ${verificationUrl}`)
-  print(`Code: ${userCode}`)
+function compareCellValues(left, right) {
+  if (typeof left === 'number' && typeof right === 'number') {
+    return left - right
+  }
 
-  if (!noOpen) {
-    try {
-      const opened = await openInBrowser(verificationUrl)
-      if (opened) {
-        print('Opened browser for authentication.')
-      } else {
-        print(
-          'Could not open browser automatically. Open the URL above manually.',
-        )
-      }
-    } catch (_error) {
-      print(
-        'Could not open browser automatically. Open the URL above manually.',
+  return String(left).localeCompare(String(right), undefined, {
+    sensitivity: 'base',
+    numeric: true,
+  })
+}
+
+function warnUnknownFields(records, columns) {
+  const { fields, where, sortBy } = runtime.rowOptions
+  const names = new Set([
+    ...(fields || []),
+    ...where.map((condition) => condition.field),
+    ...sortBy.map((sortKey) => sortKey.field),
+  ])
+
+  for (const name of names) {
+    const column = findColumn(columns, name)
+    if (
+      !column.value &&
+      records.length > 0 &&
+      records.every((record) => getPathValue(record, column.key) === undefined)
+    ) {
+      printError(
+        `Warning: no rows have a field named ${name}. Columns: ${columns.map((entry) => entry.key).join(', ')}`,
       )
     }
   }
+}
 
-  print('Waiting for approval...')
-
-  const deadline = Date.now() + expiresInSeconds * 1000
+// Applies --where, --sort-by and --fields to the records behind a table.
+// Rows without a value sort last in either direction.
+function selectRows(records, columns, { extras = false, quiet = false } = {}) {
+  const { fields, where, sortBy } = runtime.rowOptions
 
-  while (Date.now() < deadline) {
-    try {
-      const tokenResponse = await apiRequest({
-        pathName: '/api/cli/auth/token',
-        method: 'POST',
-        body: { deviceCode },
-      })
+  if (!quiet) {
+    warnUnknownFields(records, columns)
+  }
 
-      const accessToken = String(tokenResponse.accessToken || '').trim()
-      const expiresAt = String(tokenResponse.expiresAt || '').trim()
+  const selected = records.filter((record) =>
+    where.every((condition) =>
+      matchesCondition(
+        getCellValue(findColumn(columns, condition.field), record),
+        condition,
+      ),
+    ),
+  )
 
-      if (!accessToken || !expiresAt) {
-        throw new Error('Server returned an invalid token response')
+  if (sortBy.length > 0) {
+    const sortColumns = sortBy.map((sortKey) => ({
+      column: findColumn(columns, sortKey.field),
+      direction: sortKey.descending ? -1 : 1,
+    }))
+
+    selected.sort((left, right) => {
+      for (const { column, direction } of sortColumns) {
+        const leftValue = getCellValue(column, left)
+        const rightValue = getCellValue(column, right)
+
+        if (leftValue == null || rightValue == null) {
+          if (leftValue != null || rightValue != null) {
+            return leftValue == null ? 1 : -1
+          }
+          continue
+        }
+
+        const order = compareCellValues(leftValue, rightValue) * direction
+        if (order !== 0) {
+          return order
+        }
       }
 
-      await saveConfig({
-        accessToken,
-        expiresAt,
-      })
+      return 0
+    })
+  }
 
-      print('Authenticated successfully.')
-      print(`Token expires at: ${formatDate(expiresAt)}`)
-      print(`Stored config: ${CONFIG_PATH}`)
-      return
-    } catch (error) {
-      const status = Number(error?.status || 0)
+  return {
+    records: selected,
+    columns: fields
+      ? fields.map((name) => findColumn(columns, name))
+      : columns.filter((column) => extras || !column.extra),
+  }
+}
 
-      if (status === 428) {
-        await sleep(pollIntervalSeconds * 1000)
-        continue
-      }
+// With --fields, JSON output keeps only the selected fields, keyed by the
+// names given.
+function projectRows({ records, columns }) {
+  if (runtime.rowOptions.fields == null) {
+    return records
+  }
 
-      if (status === 410) {
-        throw new Error(
-          'Authorization request expired. Run `asosuite login` again.',
-        )
-      }
+  return records.map((record) =>
+    Object.fromEntries(
+      columns.map((column) => [column.key, getCellValue(column, record)]),
+    ),
+  )
+}
 
-      if (status === 409 || status === 400) {
-        throw new Error(
-          'Authorization request is no longer valid. Run `asosuite login` again.',
-        )
-      }
+// csv, tsv and markdown render the same cells as the table view. ndjson prints
+// the records behind the rows, one per line. Streamed pages after the first
+// leave out the header.
+function printRows(view, { header = true } = {}) {
+  const headers = view.columns.map((column) => column.header)
+  const rows = view.records.map((record) =>
+    view.columns.map((column) => formatColumnCell(column, record)),
+  )
 
-      throw error
+  if (runtime.outputFormat === 'table') {
+    printTable(
+      headers,
+      view.records.map((record, rowIndex) =>
+        view.columns.map((column, index) => ({
+          text: rows[rowIndex][index],
+          style: column.style?.(getCellValue(column, record), record),
+        })),
+      ),
+      {
+        fit: view.columns.flatMap((column, index) =>
+          column.fit ? [index] : [],
+        ),
+      },
+    )
+    return
+  }
+
+  if (runtime.outputFormat === 'ndjson') {
+    for (const record of projectRows(view)) {
+      print(JSON.stringify(record))
+    }
+    return
+  }
+
+  if (runtime.outputFormat === 'markdown') {
+    if (header) {
+      print(formatMarkdownRow(headers))
+      print(formatMarkdownRow(headers.map(() => '---')))
     }
+    for (const row of rows) {
+      print(formatMarkdownRow(row))
+    }
+    return
   }
 
-  throw new Error('Authentication timed out. Run `asosuite login` again.')
+  for (const row of header ? [headers, ...rows] : rows) {
+    print(
+      runtime.outputFormat === 'csv'
+        ? row.map(formatCsvCell).join(',')
+        : row.map((cell) => String(cell).replace(/[\t\r\n]+/g, ' ')).join('\t'),
+    )
+  }
 }
 
-async function runAuthLogout() {
-  await saveConfig({})
-  print(`Cleared local credentials from ${CONFIG_PATH}`)
+function getLatestPosition(rankings) {
+  return Array.isArray(rankings) && rankings.length > 0
+    ? rankings[rankings.length - 1]?.position
+    : null
 }
 
-function requireAuthenticatedAccessToken(config) {
-  const accessToken = getAccessToken(config)
+const SPARKLINE_BLOCKS = '▁▂▃▄▅▆▇█'
+const SPARKLINE_MAX_POINTS = 30
 
-  if (!accessToken) {
-    throw new Error('Not authenticated. Run `asosuite login` first.')
+// Unranked points are kept as null so gaps stay in place.
+function getRankingPositions(rankings) {
+  return (Array.isArray(rankings) ? rankings : []).map((entry) =>
+    typeof entry?.position === 'number' && entry.position > 0
+      ? entry.position
+      : null,
+  )
+}
+
+// Better (lower) positions draw taller bars, scaled between the best and worst
+// positions shown. Unranked points are drawn as `·`.
+function formatSparkline(positions) {
+  const points = positions.slice(-SPARKLINE_MAX_POINTS)
+  const ranked = points.filter((position) => position != null)
+
+  if (ranked.length === 0) {
+    return '-'
   }
 
-  return accessToken
+  const best = Math.min(...ranked)
+  const worst = Math.max(...ranked)
+  const steps = SPARKLINE_BLOCKS.length - 1
+
+  return points
+    .map((position) => {
+      if (position == null) {
+        return '·'
+      }
+
+      const level =
+        worst === best
+          ? steps
+          : Math.round(((worst - position) / (worst - best)) * steps)
+      return SPARKLINE_BLOCKS[level]
+    })
+    .join('')
+}
+
+// Positive changes mean the keyword climbed.
+function getPositionChange(from, to) {
+  return from == null || to == null ? null : from - to
+}
+
+function describeJsonType(value) {
+  if (value === undefined) {
+    return 'missing'
+  }
+
+  if (value === null) {
+    return 'null'
+  }
+
+  if (Array.isArray(value)) {
+    return 'a list'
+  }
+
+  return typeof value === 'object' ? 'an object' : `a ${typeof value}`
+}
+
+// Table output reads the lists it renders through expectArray. A missing or
+// mistyped list means the server schema has drifted from this CLI version,
+// which should be visible rather than shown as an empty table.
+function expectArray(value, description) {
+  if (Array.isArray(value)) {
+    return value
+  }
+
+  printError(
+    `Warning: unexpected server response: ${description} is ${describeJsonType(value)}, expected a list. Output may be incomplete; try upgrading asosuite.`,
+  )
+  return []
+}
+
+// Pending metrics have no value to filter or sort on yet.
+const KEYWORD_METRICS_COLUMNS = [
+  { key: 'keyword', header: 'Keyword', fit: true },
+  {
+    key: 'popularity',
+    header: 'Popularity',
+    value: (metric) => (metric.popularityPending ? null : metric.popularity),
+    format: (value, metric) =>
+      formatMetricValue(value, metric.popularityPending),
+    style: (value, metric) => getPendingStyle(metric.popularityPending),
+  },
+  {
+    key: 'difficulty',
+    header: 'Difficulty',
+    value: (metric) => (metric.difficultyPending ? null : metric.difficulty),
+    format: (value, metric) =>
+      formatMetricValue(value, metric.difficultyPending),
+    style: (value, metric) => getPendingStyle(metric.difficultyPending),
+  },
+  {
+    key: 'position',
+    header: 'Position',
+    format: formatPositionValue,
+    style: getPositionStyle,
+  },
+]
+
+// Batches of MAX_KEYWORDS are merged back into one response, in input order.
+function mergeKeywordMetricsResponses(responses) {
+  if (responses.length === 1) {
+    return responses[0]
+  }
+
+  const metrics = responses.flatMap((response) =>
+    expectArray(response?.metrics, '`metrics`'),
+  )
+  return { ...responses[0], keywordCount: metrics.length, metrics }
 }
 
-async function runSubscriptionStatus(rest) {
+async function runKeywordMetrics(
+  { region, platform, app: appId, file },
+  positionals,
+) {
   const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
+  const keywords = await readKeywordInput(file, positionals)
+  const client = createClient(requireAuthenticatedAccessToken(config))
+  const batches = chunkArray(keywords, MAX_KEYWORDS)
+  const progress = createProgress('Fetching keyword metrics', batches.length)
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+  let responses
+  try {
+    responses = await mapWithConcurrency(
+      batches,
+      KEYWORD_BATCH_CONCURRENCY,
+      async (batch) => {
+        const batchResponse = await client.getKeywordMetrics({
+          keywords: batch,
+          region,
+          platform,
+          appId,
+        })
+        progress.tick()
+        return batchResponse
+      },
+    )
+  } finally {
+    progress.finish()
   }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
+  const response = mergeKeywordMetricsResponses(responses)
 
-  const subscription = await apiRequest({
-    pathName: '/api/cli/subscription',
-    accessToken,
-  })
+  if (isDocumentFormat() && !hasRowOptions()) {
+    printJson(response)
+    return
+  }
 
-  if (outputJson) {
-    printJson(subscription)
+  // Positions are only returned for an --app.
+  const view = selectRows(
+    expectArray(response?.metrics, '`metrics`'),
+    KEYWORD_METRICS_COLUMNS.filter(
+      (column) => column.key !== 'position' || response?.appId,
+    ),
+  )
+
+  if (isDocumentFormat()) {
+    printJson({ ...response, metrics: projectRows(view) })
     return
   }
 
-  print(`Plan: ${subscription.plan}`)
-  print(`Active: ${subscription.active ? 'yes' : 'no'}`)
-  print(`Subscriber: ${subscription.isSubscriber ? 'yes' : 'no'}`)
-  print(`Billing period: ${subscription.billingPeriod || 'n/a'}`)
-  print(`Expires at: ${formatDate(subscription.expiresAt)}`)
+  if (runtime.outputFormat !== 'table') {
+    printRows(view)
+    return
+  }
 
-  if (!subscription.isSubscriber && subscription.subscribeUrl) {
-    print('')
-    print(`Subscribe: ${subscription.subscribeUrl}`)
+  print(`Region: ${response.region}`)
+  print(`Keywords: ${response.keywordCount}`)
+  if (response.appId) {
+    print(`App ID: ${response.appId}`)
+    print(`Platform: ${response.platform}`)
   }
+  print('')
+  printRows(view)
 }
 
-function formatMetricValue(value, pending) {
-  if (pending) {
-    return 'pending'
+function formatTrendValue(value) {
+  if (typeof value !== 'number') {
+    return '-'
   }
 
-  if (typeof value !== 'number') {
-    return 'n/a'
+  if (value > 0) {
+    return `+${value}`
   }
 
   return String(value)
 }
 
-function formatPositionValue(position) {
-  if (typeof position !== 'number') {
-    return '-'
+function formatRankingListLabel(list) {
+  const chart = typeof list?.chart === 'string' ? list.chart : null
+
+  if (typeof list?.category === 'string' && list.category) {
+    return chart ? `${list.category} (${chart})` : list.category
   }
 
-  return `#${position}`
-}
+  if (typeof list?.collection === 'string' && list.collection) {
+    return list.collection
+  }
 
-function printTable(headers, rows) {
-  const widths = headers.map((header) => header.length)
+  return chart || 'unknown'
+}
 
-  for (const row of rows) {
-    for (let index = 0; index < row.length; index += 1) {
-      widths[index] = Math.max(widths[index], String(row[index]).length)
-    }
+// Servers that predate pagination return `{ apps }` or a bare list of apps.
+function extractTrackedKeywordApps(payload) {
+  if (Array.isArray(payload)) {
+    return payload
   }
 
-  const formatRow = (row) =>
-    row
-      .map((cell, index) =>
-        index === 0
-          ? String(cell).padEnd(widths[index])
-          : String(cell).padStart(widths[index]),
+  return expectArray(payload?.apps ?? payload?.items, '`items`')
+}
+
+// Reshapes the first app of a pre-pagination response into `items`, for the
+// formats that need a single table.
+function flattenLegacyTrackedKeywords(payload) {
+  const [app] = extractTrackedKeywordApps(payload)
+
+  return (app?.regions || []).flatMap((regionEntry) =>
+    (regionEntry.keywords || []).map((keyword) => ({
+      keyword: keyword.name,
+      region: regionEntry.code,
+      metrics: keyword.metrics,
+    })),
+  )
+}
+
+const TRACKED_KEYWORDS_COLUMNS = [
+  { key: 'keyword', header: 'Keyword', fit: true },
+  { key: 'region', header: 'Region' },
+  {
+    key: 'popularity',
+    header: 'Popularity',
+    value: (item) =>
+      item?.metrics?.popularity?.pendingData
+        ? null
+        : item?.metrics?.popularity?.value,
+    format: (value, item) =>
+      formatMetricValue(value, item?.metrics?.popularity?.pendingData),
+    style: (value, item) =>
+      getPendingStyle(item?.metrics?.popularity?.pendingData),
+  },
+  {
+    key: 'difficulty',
+    header: 'Difficulty',
+    value: (item) =>
+      item?.metrics?.difficulty?.pendingData
+        ? null
+        : item?.metrics?.difficulty?.value,
+    format: (value, item) =>
+      formatMetricValue(value, item?.metrics?.difficulty?.pendingData),
+    style: (value, item) =>
+      getPendingStyle(item?.metrics?.difficulty?.pendingData),
+  },
+  {
+    key: 'position',
+    header: 'Position',
+    value: (item) => getLatestPosition(item?.metrics?.rankings?.entries),
+    format: formatPositionValue,
+    style: getPositionStyle,
+  },
+]
+
+const getKeywordPositions = (item) =>
+  getRankingPositions(item?.metrics?.rankings?.entries)
+
+// Shown with --history. Changes compare the latest point with the first ranked
+// point and with the point before it.
+const TRACKED_KEYWORDS_HISTORY_COLUMNS = [
+  {
+    key: 'history',
+    header: 'History',
+    extra: true,
+    value: getKeywordPositions,
+    format: formatSparkline,
+  },
+  {
+    key: 'sinceFirst',
+    header: 'Since First',
+    extra: true,
+    value: (item) => {
+      const positions = getKeywordPositions(item)
+      return getPositionChange(
+        positions.find((position) => position != null),
+        positions.at(-1),
       )
-      .join('  ')
+    },
+    format: formatTrendValue,
+    style: getTrendStyle,
+  },
+  {
+    key: 'sincePrevious',
+    header: 'Since Prev',
+    extra: true,
+    value: (item) => {
+      const positions = getKeywordPositions(item)
+      return getPositionChange(positions.at(-2), positions.at(-1))
+    },
+    format: formatTrendValue,
+    style: getTrendStyle,
+  },
+  {
+    key: 'best',
+    header: 'Best',
+    extra: true,
+    value: (item) => {
+      const ranked = getKeywordPositions(item).filter(
+        (position) => position != null,
+      )
+      return ranked.length > 0 ? Math.min(...ranked) : null
+    },
+    format: formatPositionValue,
+    style: getPositionStyle,
+  },
+  {
+    key: 'worst',
+    header: 'Worst',
+    extra: true,
+    value: (item) => {
+      const ranked = getKeywordPositions(item).filter(
+        (position) => position != null,
+      )
+      return ranked.length > 0 ? Math.max(...ranked) : null
+    },
+    format: formatPositionValue,
+  },
+]
+
+const SEARCH_APPS_COLUMNS = [
+  { key: 'appId', header: 'App ID' },
+  {
+    key: 'isTracked',
+    header: 'Tracked',
+    format: (value) => (value ? 'yes' : 'no'),
+  },
+  { key: 'trackedRegions', header: 'Tracked Regions' },
+  { key: 'name', header: 'Name', fit: true },
+  { key: 'developer', header: 'Developer', fit: true },
+]
+
+async function runSearchApps({ region, platform }, positionals) {
+  const config = await loadConfig()
+  const query = positionals
+    .map((value) => String(value || '').trim())
+    .filter((value) => value.length > 0)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+
+  if (!query) {
+    throw createUsageError('Provide a search query')
+  }
 
-  print(formatRow(headers))
-  print(widths.map((width) => '-'.repeat(width)).join('  '))
+  const client = createClient(requireAuthenticatedAccessToken(config))
+  const payload = await client.searchApps({ query, platform, region })
 
-  for (const row of rows) {
-    print(formatRow(row))
+  if (isDocumentFormat() && !hasRowOptions()) {
+    printJson(payload)
+    return
   }
-}
 
-function printKeywordMetricsTable(metrics, options = { showPosition: false }) {
-  const showPosition = Boolean(options.showPosition)
-  const headers = showPosition
-    ? ['Keyword', 'Popularity', 'Difficulty', 'Position']
-    : ['Keyword', 'Popularity', 'Difficulty']
+  const view = selectRows(
+    expectArray(payload, 'the search result'),
+    SEARCH_APPS_COLUMNS,
+  )
 
-  const rows = metrics.map((metric) => {
-    const base = [
-      metric.keyword,
-      formatMetricValue(metric.popularity, metric.popularityPending),
-      formatMetricValue(metric.difficulty, metric.difficultyPending),
-    ]
+  if (isDocumentFormat()) {
+    printJson(projectRows(view))
+    return
+  }
 
-    if (showPosition) {
-      base.push(formatPositionValue(metric.position))
-    }
+  if (runtime.outputFormat !== 'table') {
+    printRows(view)
+    return
+  }
 
-    return base
-  })
+  print(`Query: ${query}`)
+  print(`Platform: ${platform}`)
+  print(`Region: ${region}`)
+  print(`Results: ${view.records.length}`)
+
+  if (view.records.length === 0) {
+    return
+  }
 
-  printTable(headers, rows)
+  print('')
+  printRows(view)
 }
 
-async function runKeywordMetrics(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const regionValue = takeOption(rest, '--region')
-  const platformValue = takeOption(rest, '--platform')
-  const appId = consumeAppId(rest, { required: false })
-  const keywords = normalizeKeywordArgs(rest)
+const LIST_APPS_COLUMNS = [
+  { key: 'type', header: 'Type' },
+  {
+    key: 'id',
+    header: 'ID',
+    value: (app) => app.appId ?? app.plannedTrackedAppId,
+  },
+  { key: 'platform', header: 'Platform' },
+  {
+    key: 'regions',
+    header: 'Regions',
+    value: (app) =>
+      Array.isArray(app.regions)
+        ? app.regions.map((region) => region.region)
+        : null,
+  },
+  {
+    key: 'totalKeywordCount',
+    header: 'Keywords',
+    format: (value) => String(value ?? 0),
+  },
+  { key: 'name', header: 'Name', fit: true },
+]
+
+// The table view shows tracked and planned apps separately; the other
+// formats need a single table, so they get one with a Type column.
+async function runListApps() {
+  const config = await loadConfig()
+  const client = createClient(requireAuthenticatedAccessToken(config))
+  const payload = await client.listApps()
+
+  if (isDocumentFormat() && !hasRowOptions()) {
+    printJson(payload)
+    return
+  }
+
+  const view = selectRows(
+    [
+      ...expectArray(payload?.tracked, '`tracked`').map((entry) => ({
+        type: 'tracked',
+        ...entry,
+      })),
+      ...expectArray(payload?.planned, '`planned`').map((entry) => ({
+        type: 'planned',
+        ...entry,
+      })),
+    ],
+    LIST_APPS_COLUMNS,
+  )
+  const getTypeView = (type, idHeader) => ({
+    records: view.records
+      .filter((entry) => entry.type === type)
+      .map(({ type: _type, ...entry }) => entry),
+    columns: view.columns
+      .filter((column) => column.key !== 'type')
+      .map((column) =>
+        column.key === 'id' ? { ...column, header: idHeader } : column,
+      ),
+  })
+  const tracked = getTypeView('tracked', 'App ID')
+  const planned = getTypeView('planned', 'Planned ID')
+
+  if (isDocumentFormat()) {
+    printJson({
+      ...payload,
+      tracked: projectRows(tracked),
+      planned: projectRows(planned),
+    })
+    return
+  }
+
+  if (runtime.outputFormat !== 'table') {
+    printRows(view)
+    return
+  }
+
+  print(`Tracked apps: ${tracked.records.length}`)
+  print(`Planned apps: ${planned.records.length}`)
 
-  if (keywords.length === 0) {
-    throw new Error('Provide at least one keyword')
+  if (tracked.records.length > 0) {
+    print('')
+    print('Tracked:')
+    printRows(tracked)
   }
 
-  if (keywords.length > MAX_KEYWORDS) {
-    throw new Error(`At most ${MAX_KEYWORDS} keywords are allowed per request`)
+  if (planned.records.length > 0) {
+    print('')
+    print('Planned:')
+    printRows(planned)
   }
+}
 
-  const accessToken = requireAuthenticatedAccessToken(config)
+const RELATED_APPS_COLUMNS = [
+  { key: 'appId', header: 'App ID' },
+  { key: 'platform', header: 'Platform' },
+  { key: 'iconUrl', header: 'Icon', fit: true },
+]
 
-  const region = (regionValue ?? DEFAULT_REGION).trim().toUpperCase()
-  const platform =
-    platformValue == null ? DEFAULT_PLATFORM : normalizePlatform(platformValue)
+async function runRelatedAppsList({ platform, app: appId }) {
+  const config = await loadConfig()
+  const client = createClient(requireAuthenticatedAccessToken(config))
+  const payload = await client.listRelatedApps({ appId, platform })
 
-  if (!platform) {
-    throw new Error(
-      `Invalid --platform value. Supported values: ${Array.from(SUPPORTED_PLATFORMS).join(', ')}`,
-    )
+  if (isDocumentFormat() && !hasRowOptions()) {
+    printJson(payload)
+    return
   }
 
-  const response = await apiRequest({
-    pathName: '/api/cli/keywords/metrics',
-    method: 'POST',
-    accessToken,
-    body: {
-      region,
-      keywords,
-      appId,
-      platform,
-    },
-  })
+  const view = selectRows(
+    expectArray(payload, 'the related apps list'),
+    RELATED_APPS_COLUMNS,
+  )
 
-  if (outputJson) {
-    printJson(response)
+  if (isDocumentFormat()) {
+    printJson(projectRows(view))
     return
   }
 
-  print(`Region: ${response.region}`)
-  print(`Keywords: ${response.keywordCount}`)
-  if (response.appId) {
-    print(`App ID: ${response.appId}`)
-    print(`Platform: ${response.platform}`)
+  if (runtime.outputFormat !== 'table') {
+    printRows(view)
+    return
   }
-  print('')
-  printKeywordMetricsTable(
-    Array.isArray(response.metrics) ? response.metrics : [],
-    {
-      showPosition: Boolean(response.appId),
-    },
-  )
-}
 
-function formatTrendValue(value) {
-  if (typeof value !== 'number') {
-    return '-'
-  }
+  print(`App ID: ${appId}`)
+  print(`Platform: ${platform}`)
+  print(`Related apps: ${view.records.length}`)
 
-  if (value > 0) {
-    return `+${value}`
+  if (view.records.length === 0) {
+    return
   }
 
-  return String(value)
+  print('')
+  printRows(view)
 }
 
-function formatRankingListLabel(list) {
-  const chart = typeof list?.chart === 'string' ? list.chart : null
+async function runRelatedAppsAdd({
+  json: outputJson,
+  related: relatedAppId,
+  platform,
+  region,
+  app: appId,
+}) {
+  const config = await loadConfig()
+  const client = createClient(requireAuthenticatedAccessToken(config))
 
-  if (typeof list?.category === 'string' && list.category) {
-    return chart ? `${list.category} (${chart})` : list.category
-  }
+  await client.addRelatedApp({
+    appId,
+    relatedAppId,
+    platform,
+    region,
+  })
 
-  if (typeof list?.collection === 'string' && list.collection) {
-    return list.collection
+  if (outputJson) {
+    printJson({
+      ok: true,
+      appId,
+      platform,
+      relatedAppId,
+      ...(region ? { region } : {}),
+    })
+    return
   }
 
-  return chart || 'unknown'
+  print(`Base app: ${appId}`)
+  print(`Platform: ${platform}`)
+  print(`Added related app: ${relatedAppId}`)
+  if (region) {
+    print(`Region: ${region}`)
+  }
 }
 
-function extractTrackedKeywordApps(payload) {
-  if (payload && typeof payload === 'object' && Array.isArray(payload.apps)) {
-    return payload.apps
-  }
+async function runRelatedAppsRemove({
+  json: outputJson,
+  related: relatedAppId,
+  platform,
+  app: appId,
+}) {
+  const config = await loadConfig()
+  const client = createClient(requireAuthenticatedAccessToken(config))
 
-  if (Array.isArray(payload)) {
-    return payload
+  await client.removeRelatedApp({ appId, relatedAppId, platform })
+
+  if (outputJson) {
+    printJson({
+      ok: true,
+      appId,
+      platform,
+      relatedAppId,
+    })
+    return
   }
 
-  return []
+  print(`Base app: ${appId}`)
+  print(`Platform: ${platform}`)
+  print(`Removed related app: ${relatedAppId}`)
 }
 
-function resolvePlatformArg(value) {
-  const platform = value == null ? DEFAULT_PLATFORM : normalizePlatform(value)
+const EVENTS_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'date', header: 'Date' },
+  {
+    key: 'scope',
+    header: 'Scope',
+    value: (event) => (event.appId ? 'app' : 'global'),
+  },
+  { key: 'appId', header: 'App ID' },
+  { key: 'text', header: 'Text', fit: true },
+]
+
+async function runEventsList({ app: appId }) {
+  const config = await loadConfig()
+  const client = createClient(requireAuthenticatedAccessToken(config))
+  const payload = await client.listEvents({ appId })
 
-  if (!platform) {
-    throw new Error(
-      `Invalid --platform value. Supported values: ${Array.from(SUPPORTED_PLATFORMS).join(', ')}`,
-    )
+  if (isDocumentFormat() && !hasRowOptions()) {
+    printJson(payload)
+    return
   }
 
-  return platform
-}
-
-function resolveRegionArg(value, optionName = '--region') {
-  const region = value == null ? DEFAULT_REGION : normalizeRegionCode(value)
+  const view = selectRows(
+    expectArray(payload, 'the events list'),
+    EVENTS_COLUMNS,
+  )
 
-  if (!region) {
-    throw new Error(`Invalid ${optionName} value. Use a 2-letter region code.`)
+  if (isDocumentFormat()) {
+    printJson(projectRows(view))
+    return
   }
 
-  return region
-}
-
-function resolveOptionalRegionArg(value, optionName = '--region') {
-  if (value == null) {
-    return null
+  if (runtime.outputFormat !== 'table') {
+    printRows(view)
+    return
   }
 
-  const region = normalizeRegionCode(value)
+  print(`Events: ${view.records.length}`)
+  if (appId) {
+    print(`App filter: ${appId} (including global events)`)
+  }
 
-  if (!region) {
-    throw new Error(`Invalid ${optionName} value. Use a 2-letter region code.`)
+  if (view.records.length === 0) {
+    return
   }
 
-  return region
+  print('')
+  printRows(view)
 }
 
-function resolveTrackedKeywordsPageArg(value) {
-  if (value == null) {
-    return 1
+async function runEventsAdd({
+  json: outputJson,
+  text: textValue,
+  date = toLocalDateOnly(),
+  app: appId,
+}) {
+  const config = await loadConfig()
+  const text = String(textValue || '').trim()
+
+  if (!text) {
+    throw createUsageError('Provide event text via --text <TEXT>')
   }
 
-  const parsed = Number.parseInt(String(value), 10)
-  if (
-    !Number.isFinite(parsed) ||
-    parsed < 1 ||
-    parsed > TRACKED_KEYWORDS_MAX_PAGE
-  ) {
-    throw new Error(
-      `Invalid --page value. Use an integer between 1 and ${TRACKED_KEYWORDS_MAX_PAGE}.`,
-    )
+  const client = createClient(requireAuthenticatedAccessToken(config))
+  const payload = await client.addEvent({ date, text, appId })
+
+  if (outputJson) {
+    printJson(payload)
+    return
   }
 
-  return parsed
+  print(`Added event: ${payload?.id ?? 'ok'}`)
+  print(`Date: ${payload?.date || date}`)
+  print(`Scope: ${payload?.appId ? `app (${payload.appId})` : 'global'}`)
+  print(`Text: ${payload?.text || text}`)
 }
 
-function resolveTrackedKeywordsSortArg(value) {
-  if (value == null) {
-    return TRACKED_KEYWORDS_SORT_DEFAULT
+async function runEventsDelete({ json: outputJson }, [idValue]) {
+  const config = await loadConfig()
+  const value = String(idValue).trim()
+  const id = /^\d+$/.test(value) ? Number(value) : Number.NaN
+  if (!Number.isSafeInteger(id) || id <= 0) {
+    throw createUsageError('Invalid event id. Use a positive integer.')
   }
 
-  const normalized = String(value).trim().toLowerCase()
-  const canonical = normalized === 'lastupdate' ? 'lastUpdate' : normalized
+  const client = createClient(requireAuthenticatedAccessToken(config))
+  await client.deleteEvent(id)
 
-  if (!TRACKED_KEYWORDS_SORT_FIELDS.has(canonical)) {
-    throw new Error(
-      `Invalid --sort value. Supported values: ${Array.from(TRACKED_KEYWORDS_SORT_FIELDS).join(', ')}`,
-    )
+  if (outputJson) {
+    printJson({
+      ok: true,
+      id,
+    })
+    return
   }
 
-  return canonical
+  print(`Deleted event: ${id}`)
 }
 
-function resolveTrackedKeywordsOrderArg(value) {
-  if (value == null) {
-    return TRACKED_KEYWORDS_ORDER_DEFAULT
-  }
+async function runTrackApp({ json: outputJson, platform, region, app: appId }) {
+  const config = await loadConfig()
+  const client = createClient(requireAuthenticatedAccessToken(config))
+
+  await client.trackApp({ appId, platform, region })
 
-  const normalized = String(value).trim().toLowerCase()
-  if (!TRACKED_KEYWORDS_ORDER_VALUES.has(normalized)) {
-    throw new Error('Invalid --order value. Supported values: asc, desc')
+  if (outputJson) {
+    printJson({
+      ok: true,
+      appId,
+      platform,
+      region,
+    })
+    return
   }
 
-  return normalized
+  print(`Tracked app: ${appId}`)
+  print(`Platform: ${platform}`)
+  print(`Region: ${region}`)
 }
 
-async function runSearchApps(rest) {
+async function runUntrackApp({
+  json: outputJson,
+  platform,
+  region,
+  app: appId,
+}) {
   const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const platformValue = takeOption(rest, '--platform')
-  const regionValue = takeOption(rest, '--region')
-  const unknownFlags = rest.filter((value) =>
-    String(value || '').startsWith('--'),
-  )
+  const client = createClient(requireAuthenticatedAccessToken(config))
+
+  await client.untrackApp({ appId, platform, region })
 
-  if (unknownFlags.length > 0) {
-    throw new Error(`Unknown arguments: ${unknownFlags.join(' ')}`)
+  if (outputJson) {
+    printJson({
+      ok: true,
+      appId,
+      platform,
+      region,
+    })
+    return
   }
 
-  const query = rest
-    .map((value) => String(value || '').trim())
-    .filter((value) => value.length > 0)
-    .join(' ')
-    .replace(/\s+/g, ' ')
-    .trim()
+  print(`Untracked app: ${appId}`)
+  print(`Platform: ${platform}`)
+  print(`Region: ${region}`)
+}
 
-  if (!query) {
-    throw new Error('Provide a search query')
+async function runPlanApp({
+  json: outputJson,
+  name: nameValue,
+  id: plannedTrackedAppId,
+  platform,
+  region,
+}) {
+  const config = await loadConfig()
+  const name = String(nameValue || '').trim()
+
+  if (!name) {
+    throw createUsageError('Provide a name via --name <APP_NAME>')
   }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const region = resolveRegionArg(regionValue)
+  const client = createClient(requireAuthenticatedAccessToken(config))
 
-  const payload = await apiRequest({
-    pathName: '/api/cli/apps/search',
-    method: 'POST',
-    accessToken,
-    body: {
-      query,
-      platform,
-      region,
-    },
+  await client.planApp({
+    name,
+    plannedTrackedAppId,
+    platform,
+    region,
   })
 
   if (outputJson) {
-    printJson(payload)
+    printJson({
+      ok: true,
+      name,
+      platform,
+      region,
+      ...(plannedTrackedAppId ? { plannedTrackedAppId } : {}),
+    })
     return
   }
 
-  const apps = Array.isArray(payload) ? payload : []
-
-  print(`Query: ${query}`)
+  print(`Planned app: ${name}`)
   print(`Platform: ${platform}`)
   print(`Region: ${region}`)
-  print(`Results: ${apps.length}`)
-
-  if (apps.length === 0) {
-    return
+  if (plannedTrackedAppId) {
+    print(`Planned ID: ${plannedTrackedAppId}`)
   }
-
-  print('')
-
-  const rows = apps.map((app) => [
-    app.appId || '-',
-    app.isTracked ? 'yes' : 'no',
-    Array.isArray(app.trackedRegions) && app.trackedRegions.length > 0
-      ? app.trackedRegions.join(',')
-      : '-',
-    app.name || '-',
-    app.developer || '-',
-  ])
-
-  printTable(
-    ['App ID', 'Tracked', 'Tracked Regions', 'Name', 'Developer'],
-    rows,
-  )
 }
 
-async function runListApps(rest) {
+async function runUnplanApp({
+  json: outputJson,
+  id: plannedTrackedAppId,
+  platform,
+  region,
+}) {
   const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
-  }
+  const client = createClient(requireAuthenticatedAccessToken(config))
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const payload = await apiRequest({
-    pathName: '/api/cli/apps/list',
-    accessToken,
-  })
+  await client.unplanApp({ plannedTrackedAppId, platform, region })
 
   if (outputJson) {
-    printJson(payload)
+    printJson({
+      ok: true,
+      plannedTrackedAppId,
+      platform,
+      region,
+    })
     return
   }
 
-  const tracked = Array.isArray(payload?.tracked) ? payload.tracked : []
-  const planned = Array.isArray(payload?.planned) ? payload.planned : []
+  print(`Unplanned app: ${plannedTrackedAppId}`)
+  print(`Platform: ${platform}`)
+  print(`Region: ${region}`)
+}
 
-  print(`Tracked apps: ${tracked.length}`)
-  print(`Planned apps: ${planned.length}`)
+// Yields `{ response, items }` per page, requesting every page with the same
+// sort and order until `hasMore` or `total` says the list is exhausted.
+// Keywords already seen on an earlier page (when the list shifts between
+// requests) are skipped. Servers without pagination return everything at once.
+async function* iterateTrackedKeywordPages(client, params) {
+  const seen = new Set()
+
+  for (let page = 1; page <= TRACKED_KEYWORDS_MAX_PAGE; page += 1) {
+    const response = await client.listTrackedKeywords({ ...params, page })
+
+    if (!Array.isArray(response?.items)) {
+      yield {
+        response,
+        items: flattenLegacyTrackedKeywords(response).filter(
+          (item) => params.region == null || item.region === params.region,
+        ),
+      }
+      return
+    }
 
-  if (tracked.length > 0) {
-    print('')
-    print('Tracked:')
+    const items = response.items.filter((item) => {
+      const key = `${item.keyword}\n${item.region}`.toLowerCase()
+      if (seen.has(key)) {
+        return false
+      }
+      seen.add(key)
+      return true
+    })
 
-    const trackedRows = tracked.map((entry) => [
-      entry.appId || '-',
-      entry.platform || '-',
-      Array.isArray(entry.regions)
-        ? entry.regions.map((region) => region.region).join(',')
-        : '-',
-      String(entry.totalKeywordCount ?? 0),
-      entry.name || '-',
-    ])
+    yield { response, items }
 
-    printTable(
-      ['App ID', 'Platform', 'Regions', 'Keywords', 'Name'],
-      trackedRows,
-    )
+    if (
+      !response.hasMore ||
+      response.items.length === 0 ||
+      (typeof response.total === 'number' && seen.size >= response.total)
+    ) {
+      return
+    }
   }
 
-  if (planned.length > 0) {
-    print('')
-    print('Planned:')
+  printError(
+    `Warning: stopped after page ${TRACKED_KEYWORDS_MAX_PAGE}; more tracked keywords remain.`,
+  )
+}
 
-    const plannedRows = planned.map((entry) => [
-      entry.plannedTrackedAppId || '-',
-      entry.platform || '-',
-      Array.isArray(entry.regions)
-        ? entry.regions.map((region) => region.region).join(',')
-        : '-',
-      String(entry.totalKeywordCount ?? 0),
-      entry.name || '-',
-    ])
+async function listAllTrackedKeywords(client, params) {
+  const items = []
 
-    printTable(
-      ['Planned ID', 'Platform', 'Regions', 'Keywords', 'Name'],
-      plannedRows,
-    )
+  for await (const page of iterateTrackedKeywordPages(client, params)) {
+    items.push(...page.items)
   }
+
+  return items
+}
+
+// `skipped` counts keywords the edit leaves as they were: already tracked when
+// adding, not tracked when removing.
+const TRACKED_KEYWORDS_EDITS = {
+  add: {
+    method: 'addTrackedKeywords',
+    progressLabel: 'Adding keywords',
+    doneKey: 'added',
+    doneLabel: 'Added',
+    skippedKey: 'alreadyTracked',
+    skippedLabel: 'Already tracked',
+  },
+  remove: {
+    method: 'removeTrackedKeywords',
+    progressLabel: 'Removing keywords',
+    doneKey: 'removed',
+    doneLabel: 'Removed',
+    skippedKey: 'notTracked',
+    skippedLabel: 'Not tracked',
+  },
+}
+
+// Reads a count the server reported for a batch, or null when it didn't.
+function getReportedCount(response, key) {
+  const value = response?.[key]
+  return Number.isInteger(value) && value >= 0 ? value : null
 }
 
-function parseRequiredAppId(value, optionName) {
-  const parsed = parseAppInput(value)
+// Lists over MAX_TRACKED_KEYWORDS_ADD are sent in sequential batches, one
+// request each. A failed batch doesn't stop the rest unless the failure is
+// about the account (auth or payment), which every later batch would hit too.
+// Counts are the ones the server reports; without them, every keyword in a
+// successful batch counts as done.
+async function runTrackedKeywordsEdit(
+  edit,
+  { json: outputJson, platform, region, file, app: target },
+  positionals,
+) {
+  const config = await loadConfig()
+  const keywords = await readKeywordInput(file, positionals)
+  const client = createClient(requireAuthenticatedAccessToken(config))
+  const isPlannedTarget = !target.appId
+  const batches = chunkArray(keywords, MAX_TRACKED_KEYWORDS_ADD)
+  const progress = createProgress(edit.progressLabel, batches.length)
+  const results = []
+  let firstError = null
+
+  try {
+    for (const batch of batches) {
+      if (
+        firstError &&
+        ['auth', 'payment'].includes(classifyError(firstError))
+      ) {
+        results.push({
+          keywordCount: batch.length,
+          [edit.doneKey]: 0,
+          [edit.skippedKey]: 0,
+          failed: batch.length,
+          error: 'Not sent after an earlier batch failed',
+        })
+        continue
+      }
+
+      try {
+        const response = await client[edit.method]({
+          app: target.appIdentifier,
+          keywords: batch,
+          platform,
+          region,
+        })
+        const skipped = getReportedCount(response, edit.skippedKey)
+        results.push({
+          keywordCount: batch.length,
+          [edit.doneKey]:
+            getReportedCount(response, edit.doneKey) ??
+            batch.length - (skipped ?? 0),
+          [edit.skippedKey]: skipped,
+          failed: 0,
+        })
+      } catch (error) {
+        if (error?.code === 'interrupted') {
+          throw error
+        }
+
+        firstError ??= error
+        results.push({
+          keywordCount: batch.length,
+          [edit.doneKey]: 0,
+          [edit.skippedKey]: 0,
+          failed: batch.length,
+          error: error?.message || String(error),
+        })
+      }
 
-  if (!parsed) {
-    throw new Error(
-      `Invalid ${optionName} value. Use an App Store URL, id-prefixed value, or numeric id.`,
-    )
+      progress.tick()
+    }
+  } finally {
+    progress.finish()
   }
 
-  return parsed.appId
-}
-
-async function runRelatedApps(rest) {
-  const subcommand = String(rest.shift() || '')
-    .trim()
-    .toLowerCase()
+  // null when a batch's count wasn't reported.
+  const sum = (key) =>
+    results.some((result) => result[key] == null)
+      ? null
+      : results.reduce((total, result) => total + result[key], 0)
 
-  if (!subcommand) {
-    throw new Error('Provide a subcommand: related-apps <list|add|remove> ...')
+  if (firstError) {
+    process.exitCode = EXIT_CODES[classifyError(firstError)]
   }
 
-  if (subcommand === 'list') {
-    await runRelatedAppsList(rest)
+  if (outputJson) {
+    printJson({
+      ok: firstError == null,
+      platform,
+      region,
+      keywordCount: keywords.length,
+      keywords,
+      [edit.doneKey]: sum(edit.doneKey),
+      [edit.skippedKey]: sum(edit.skippedKey),
+      failed: sum('failed'),
+      batches: results,
+      ...(isPlannedTarget
+        ? { plannedTrackedAppId: target.plannedTrackedAppId }
+        : { appId: target.appId }),
+    })
     return
   }
 
-  if (subcommand === 'add') {
-    await runRelatedAppsAdd(rest)
-    return
+  print(`${edit.doneLabel} keywords: ${sum(edit.doneKey)}`)
+  if (sum(edit.skippedKey) != null) {
+    print(`${edit.skippedLabel}: ${sum(edit.skippedKey)}`)
   }
+  if (firstError) {
+    print(`Failed: ${sum('failed')}`)
+  }
+  print(
+    isPlannedTarget
+      ? `Planned ID: ${target.plannedTrackedAppId}`
+      : `App ID: ${target.appId}`,
+  )
+  print(`Platform: ${platform}`)
+  print(`Region: ${region}`)
 
-  if (subcommand === 'remove') {
-    await runRelatedAppsRemove(rest)
-    return
+  if (batches.length > 1) {
+    print('')
+    printTable(
+      ['Batch', 'Keywords', edit.doneLabel, edit.skippedLabel, 'Failed'],
+      results.map((result, index) => [
+        String(index + 1),
+        String(result.keywordCount),
+        String(result[edit.doneKey]),
+        String(result[edit.skippedKey] ?? 'n/a'),
+        {
+          text: String(result.failed),
+          style: result.failed > 0 ? 'red' : null,
+        },
+      ]),
+    )
   }
 
-  throw new Error(
-    `Unknown related-apps subcommand: ${subcommand}. Use list, add, or remove.`,
+  results.forEach((result, index) => {
+    if (result.error) {
+      printError(`Batch ${index + 1} failed: ${result.error}`)
+    }
+  })
+}
+
+function runTrackedKeywordsAdd(options, positionals) {
+  return runTrackedKeywordsEdit(
+    TRACKED_KEYWORDS_EDITS.add,
+    options,
+    positionals,
   )
 }
 
-async function runRelatedAppsList(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const platformValue = takeOption(rest, '--platform')
-  const appId = consumeAppId(rest, { required: true })
+function runTrackedKeywordsRemove(options, positionals) {
+  return runTrackedKeywordsEdit(
+    TRACKED_KEYWORDS_EDITS.remove,
+    options,
+    positionals,
+  )
+}
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+// A sync file lists the keywords each region should track: text or CSV (with
+// an optional `region` column) for --region, or JSON mapping region codes to
+// keyword lists, where a bare list is for --region.
+async function readKeywordSets(file, region) {
+  const text = await readInputFile(file, 'keywords, one per line')
+  const sets = new Map()
+
+  const addKeywords = (regionValue, keywords) => {
+    const code = normalizeRegionCode(regionValue)
+    if (!code) {
+      throw createUsageError(
+        `Invalid region in ${file}: ${regionValue}. Use a 2-letter region code.`,
+      )
+    }
+    sets.set(code, [...(sets.get(code) || []), ...keywords])
   }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const payload = await apiRequest({
-    pathName: `/api/cli/apps/${encodeURIComponent(appId)}/${platform}/related-apps`,
-    accessToken,
-  })
+  if (/\.json$/i.test(file) || /^\s*[[{]/.test(text)) {
+    let payload
 
-  if (outputJson) {
-    printJson(payload)
-    return
-  }
+    try {
+      payload = JSON.parse(text)
+    } catch (error) {
+      throw createUsageError(`Could not parse ${file}: ${error.message}`)
+    }
 
-  const relatedApps = Array.isArray(payload) ? payload : []
+    const regions = Array.isArray(payload)
+      ? { [region]: payload }
+      : payload?.regions ?? payload
 
-  print(`App ID: ${appId}`)
-  print(`Platform: ${platform}`)
-  print(`Related apps: ${relatedApps.length}`)
+    if (!regions || typeof regions !== 'object' || Array.isArray(regions)) {
+      throw createUsageError(
+        `Expected ${file} to map region codes to keyword lists`,
+      )
+    }
 
-  if (relatedApps.length === 0) {
-    return
+    for (const [code, keywords] of Object.entries(regions)) {
+      if (!Array.isArray(keywords)) {
+        throw createUsageError(`Expected a list of keywords for ${code}`)
+      }
+      addKeywords(code, normalizeKeywordArgs(keywords))
+    }
+  } else {
+    const rows = readCsvRows(text)
+    const keywordColumn = findCsvColumn(rows, /^keywords?$/i)
+    const regionColumn =
+      keywordColumn === -1 ? -1 : findCsvColumn(rows, /^region$/i)
+
+    if (regionColumn === -1) {
+      addKeywords(region, parseKeywordList(text))
+    } else {
+      for (const row of rows.slice(1)) {
+        addKeywords(
+          row[regionColumn]?.trim() || region,
+          normalizeKeywordArgs([row[keywordColumn]]),
+        )
+      }
+    }
+
+    // An empty JSON list untracks a region on purpose; an empty text file is
+    // more likely a mistake.
+    if ([...sets.values()].every((keywords) => keywords.length === 0)) {
+      throw createUsageError(
+        `No keywords found in ${file}. To untrack every keyword in a region, use a JSON file with an empty list.`,
+      )
+    }
   }
 
-  print('')
-  printTable(
-    ['App ID', 'Platform', 'Icon'],
-    relatedApps.map((entry) => [
-      entry.appId || '-',
-      entry.platform || '-',
-      entry.iconUrl || '-',
-    ]),
+  return new Map(
+    [...sets].map(([code, keywords]) => [code, uniqueKeywords(keywords)]),
   )
 }
 
-async function runRelatedAppsAdd(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const relatedValue = takeOption(rest, '--related')
-  const platformValue = takeOption(rest, '--platform')
-  const regionValue = takeOption(rest, '--region')
-  const appId = consumeAppId(rest, { required: true })
-
-  if (!relatedValue) {
-    throw new Error('Provide a related app via --related <APP_ID_OR_URL>')
-  }
+// Regions missing from the file are left alone.
+function planKeywordSync(sets, trackedItems) {
+  const tracked = new Map()
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+  for (const item of trackedItems) {
+    const code = String(item.region || '').toUpperCase()
+    const keywords = tracked.get(code) || new Map()
+    keywords.set(String(item.keyword).toLowerCase(), item.keyword)
+    tracked.set(code, keywords)
   }
 
-  const relatedAppId = parseRequiredAppId(relatedValue, '--related')
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const region = resolveOptionalRegionArg(regionValue)
+  return [...sets].map(([region, keywords]) => {
+    const current = tracked.get(region) || new Map()
+    const wanted = new Set(keywords.map((keyword) => keyword.toLowerCase()))
+    const add = keywords.filter(
+      (keyword) => !current.has(keyword.toLowerCase()),
+    )
 
-  await apiRequest({
-    pathName: `/api/cli/apps/${encodeURIComponent(appId)}/${platform}/related-apps`,
-    method: 'POST',
-    accessToken,
-    body: {
-      relatedAppId,
-      ...(region ? { region } : {}),
-    },
+    return {
+      region,
+      keep: keywords.length - add.length,
+      add,
+      remove: [...current.values()].filter(
+        (keyword) => !wanted.has(keyword.toLowerCase()),
+      ),
+    }
   })
-
-  if (outputJson) {
-    printJson({
-      ok: true,
-      appId,
-      platform,
-      relatedAppId,
-      ...(region ? { region } : {}),
-    })
-    return
-  }
-
-  print(`Base app: ${appId}`)
-  print(`Platform: ${platform}`)
-  print(`Added related app: ${relatedAppId}`)
-  if (region) {
-    print(`Region: ${region}`)
-  }
 }
 
-async function runRelatedAppsRemove(rest) {
+// Reads the tracked list fresh, so the plan isn't computed from a cached copy.
+// Removals go first so a region never holds both sets at once.
+async function runTrackedKeywordsSync({
+  json: outputJson,
+  platform,
+  region,
+  file,
+  dryRun,
+  app: target,
+}) {
   const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const relatedValue = takeOption(rest, '--related')
-  const platformValue = takeOption(rest, '--platform')
-  const appId = consumeAppId(rest, { required: true })
+  const sets = await readKeywordSets(file, region)
+  const accessToken = requireAuthenticatedAccessToken(config)
+  const client = createClient(accessToken)
+  const isPlannedTarget = !target.appId
+  const plan = planKeywordSync(
+    sets,
+    await listAllTrackedKeywords(
+      createClient(accessToken, { cacheMode: getFreshCacheMode() }),
+      { app: target.appIdentifier, platform },
+    ),
+  )
+  const steps = plan.flatMap((entry) => [
+    ...chunkArray(entry.remove, MAX_TRACKED_KEYWORDS_ADD).map((keywords) => ({
+      method: 'removeTrackedKeywords',
+      region: entry.region,
+      keywords,
+    })),
+    ...chunkArray(entry.add, MAX_TRACKED_KEYWORDS_ADD).map((keywords) => ({
+      method: 'addTrackedKeywords',
+      region: entry.region,
+      keywords,
+    })),
+  ])
 
-  if (!relatedValue) {
-    throw new Error('Provide a related app via --related <APP_ID_OR_URL>')
-  }
+  if (!dryRun) {
+    const progress = createProgress('Syncing keywords', steps.length)
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+    try {
+      for (const step of steps) {
+        await client[step.method]({
+          app: target.appIdentifier,
+          keywords: step.keywords,
+          platform,
+          region: step.region,
+        })
+        progress.tick()
+      }
+    } finally {
+      progress.finish()
+    }
   }
 
-  const relatedAppId = parseRequiredAppId(relatedValue, '--related')
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-
-  await apiRequest({
-    pathName: `/api/cli/apps/${encodeURIComponent(appId)}/${platform}/related-apps`,
-    method: 'DELETE',
-    accessToken,
-    body: {
-      relatedAppId,
-    },
-  })
-
   if (outputJson) {
     printJson({
       ok: true,
-      appId,
+      dryRun,
       platform,
-      relatedAppId,
+      ...(isPlannedTarget
+        ? { plannedTrackedAppId: target.plannedTrackedAppId }
+        : { appId: target.appId }),
+      regions: plan,
     })
     return
   }
 
-  print(`Base app: ${appId}`)
+  print(
+    isPlannedTarget
+      ? `Planned ID: ${target.plannedTrackedAppId}`
+      : `App ID: ${target.appId}`,
+  )
   print(`Platform: ${platform}`)
-  print(`Removed related app: ${relatedAppId}`)
-}
-
-async function runEvents(rest) {
-  const subcommand = String(rest.shift() || '')
-    .trim()
-    .toLowerCase()
 
-  if (!subcommand) {
-    throw new Error('Provide a subcommand: events <list|add|delete> ...')
+  if (steps.length === 0) {
+    print('Already in sync.')
+  } else if (dryRun) {
+    print('Dry run: nothing was changed.')
+  } else {
+    print(`Applied: ${steps.length} requests`)
   }
 
-  if (subcommand === 'list') {
-    await runEventsList(rest)
-    return
-  }
+  print('')
+  printTable(
+    ['Region', 'Keep', 'Add', 'Remove'],
+    plan.map((entry) => [
+      entry.region,
+      String(entry.keep),
+      String(entry.add.length),
+      String(entry.remove.length),
+    ]),
+  )
 
-  if (subcommand === 'add') {
-    await runEventsAdd(rest)
-    return
+  for (const entry of plan) {
+    if (entry.add.length === 0 && entry.remove.length === 0) {
+      continue
+    }
+
+    print('')
+    print(`${entry.region}:`)
+    for (const keyword of entry.remove) {
+      print(colorize(`  - ${keyword}`, 'red'))
+    }
+    for (const keyword of entry.add) {
+      print(colorize(`  + ${keyword}`, 'green'))
+    }
   }
+}
+
+function printTrackedKeywordsPage(
+  response,
+  view,
+  { platform, page, sort, order },
+) {
+  const appId = typeof response.appId === 'string' ? response.appId : ''
+  const responsePlatform =
+    typeof response.platform === 'string' ? response.platform : platform
+  const pageValueResolved =
+    typeof response.page === 'number' ? response.page : page
+  const pageSize =
+    typeof response.pageSize === 'number'
+      ? response.pageSize
+      : TRACKED_KEYWORDS_PAGE_SIZE
+  const total = typeof response.total === 'number' ? response.total : 0
+  const hasMore = Boolean(response.hasMore)
+  const regionFilter =
+    typeof response.regionFilter === 'string' ? response.regionFilter : null
+  const responseSort = typeof response.sort === 'string' ? response.sort : sort
+  const responseOrder =
+    typeof response.order === 'string' ? response.order : order
 
-  if (subcommand === 'delete') {
-    await runEventsDelete(rest)
+  print(`App ID: ${appId}`)
+  print(`Platform: ${responsePlatform}`)
+  print(`Region: ${regionFilter || 'all'}`)
+  print(`Page: ${pageValueResolved}`)
+  print(`Page Size: ${pageSize}`)
+  print(`Sort: ${responseSort} ${responseOrder}`)
+  print(`Total: ${total}`)
+  print(`Has More: ${hasMore}`)
+
+  if (view.records.length === 0) {
+    print('')
+    print('No tracked keywords found.')
     return
   }
 
-  throw new Error(
-    `Unknown events subcommand: ${subcommand}. Use list, add, or delete.`,
-  )
+  print('')
+  printRows(view)
 }
 
-async function runEventsList(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const appOptionValue = takeOption(rest, '--app')
+async function runTrackedKeywordsListAll(
+  client,
+  { platform, region, sort, order, history, limit, app: target },
+) {
+  const columns = [
+    ...TRACKED_KEYWORDS_COLUMNS,
+    ...TRACKED_KEYWORDS_HISTORY_COLUMNS,
+  ]
+
+  // --json prints NDJSON rows. Row formats print each page as it arrives,
+  // unless --sort-by needs every row first.
+  if (runtime.outputFormat === 'json') {
+    runtime.outputFormat = 'ndjson'
+  }
+
+  const rowFormat = runtime.outputFormat !== 'table' && !isDocumentFormat()
+  const streamed = rowFormat && runtime.rowOptions.sortBy.length === 0
+  const items = []
+  let first = null
+  let pageCount = 0
+  let remaining = limit ?? Infinity
+  let progress = null
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
-  }
+  try {
+    for await (const {
+      response,
+      items: pageItems,
+    } of iterateTrackedKeywordPages(client, {
+      app: target.appIdentifier,
+      platform,
+      region,
+      sort,
+      order,
+    })) {
+      first ??= response
+      pageCount += 1
+      const kept = pageItems.slice(0, remaining)
+      remaining -= kept.length
+
+      if (streamed) {
+        printRows(
+          selectRows(kept, columns, { extras: history, quiet: pageCount > 1 }),
+          { header: pageCount === 1 },
+        )
+      } else {
+        items.push(...kept)
+        progress ??= createProgress(
+          'Fetching tracked keywords',
+          Math.ceil(
+            Math.min(Number(response.total) || 0, limit ?? Infinity) /
+              (Number(response.pageSize) || TRACKED_KEYWORDS_PAGE_SIZE),
+          ),
+        )
+        progress.tick()
+      }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const appId = appOptionValue
-    ? parseRequiredAppId(appOptionValue, '--app')
-    : null
-  const searchParams = new URLSearchParams()
+      if (remaining <= 0) {
+        break
+      }
+    }
+  } finally {
+    progress?.finish()
+  }
 
-  if (appId) {
-    searchParams.set('appId', appId)
+  if (streamed) {
+    return
   }
 
-  const query = searchParams.toString()
-  const payload = await apiRequest({
-    pathName: `/api/cli/events${query ? `?${query}` : ''}`,
-    accessToken,
-  })
+  const view = selectRows(items, columns, { extras: history })
 
-  if (outputJson) {
-    printJson(payload)
+  if (isDocumentFormat()) {
+    const {
+      page: _page,
+      pageSize: _pageSize,
+      hasMore: _hasMore,
+      ...summary
+    } = first || {}
+    printJson({ ...summary, items: projectRows(view) })
     return
   }
 
-  const events = Array.isArray(payload) ? payload : []
+  if (rowFormat) {
+    printRows(view)
+    return
+  }
 
-  print(`Events: ${events.length}`)
-  if (appId) {
-    print(`App filter: ${appId} (including global events)`)
+  // On stderr, so stdout holds only the table.
+  printError(`App ID: ${first?.appId || target.appIdentifier}`)
+  printError(`Platform: ${first?.platform || platform}`)
+  printError(`Region: ${first?.regionFilter || region || 'all'}`)
+  printError(`Sort: ${first?.sort || sort} ${first?.order || order}`)
+  if (typeof first?.total === 'number') {
+    printError(`Total: ${first.total}`)
   }
+  printError(`Pages: ${pageCount}`)
+  printError(`Shown: ${view.records.length}`)
 
-  if (events.length === 0) {
+  if (view.records.length === 0) {
+    printError('No tracked keywords found.')
     return
   }
 
-  print('')
-  printTable(
-    ['ID', 'Date', 'Scope', 'App ID', 'Text'],
-    events.map((event) => [
-      String(event.id ?? '-'),
-      event.date || '-',
-      event.appId ? 'app' : 'global',
-      event.appId || '-',
-      event.text || '-',
-    ]),
-  )
+  printError('')
+  printRows(view)
 }
 
-async function runEventsAdd(rest) {
+async function runTrackedKeywordsList(options) {
+  const {
+    platform,
+    region,
+    page,
+    sort,
+    order,
+    history,
+    all,
+    limit,
+    app: target,
+  } = options
   const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const textValue = takeOption(rest, '--text')
-  const dateValue = takeOption(rest, '--date')
-  const appOptionValue = takeOption(rest, '--app')
+  const client = createClient(requireAuthenticatedAccessToken(config))
+
+  if (all || limit != null) {
+    if (page !== 1) {
+      throw createUsageError('Use either --page or --all/--limit, not both')
+    }
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+    await runTrackedKeywordsListAll(client, options)
+    return
   }
 
-  const text = String(textValue || '').trim()
+  const response = await client.listTrackedKeywords({
+    app: target.appIdentifier,
+    platform,
+    region,
+    page,
+    sort,
+    order,
+  })
 
-  if (!text) {
-    throw new Error('Provide event text via --text <TEXT>')
+  if (isDocumentFormat() && !hasRowOptions()) {
+    printJson(response)
+    return
   }
 
-  const date =
-    dateValue == null ? toLocalDateOnly() : normalizeDateOnly(dateValue)
+  const isPaged = Array.isArray(response?.items)
 
-  if (!date) {
-    throw new Error('Invalid --date value. Use YYYY-MM-DD.')
-  }
+  // Responses from servers that predate pagination keep their per-region
+  // tables unless rows are being selected or history shown.
+  if (
+    isPaged ||
+    history ||
+    runtime.outputFormat !== 'table' ||
+    hasRowOptions()
+  ) {
+    const view = selectRows(
+      isPaged ? response.items : flattenLegacyTrackedKeywords(response),
+      [...TRACKED_KEYWORDS_COLUMNS, ...TRACKED_KEYWORDS_HISTORY_COLUMNS],
+      { extras: history },
+    )
 
-  const appId = appOptionValue
-    ? parseRequiredAppId(appOptionValue, '--app')
-    : null
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const payload = await apiRequest({
-    pathName: '/api/cli/events',
-    method: 'POST',
-    accessToken,
-    body: {
-      date,
-      text,
-      ...(appId ? { appId } : {}),
-    },
-  })
+    if (isDocumentFormat()) {
+      printJson({ ...response, items: projectRows(view) })
+      return
+    }
 
-  if (outputJson) {
-    printJson(payload)
+    if (runtime.outputFormat !== 'table') {
+      printRows(view)
+      return
+    }
+
+    if (isPaged) {
+      printTrackedKeywordsPage(response, view, { platform, page, sort, order })
+    } else {
+      printRows(view)
+    }
     return
   }
 
-  print(`Added event: ${payload?.id ?? 'ok'}`)
-  print(`Date: ${payload?.date || date}`)
-  print(`Scope: ${payload?.appId ? `app (${payload.appId})` : 'global'}`)
-  print(`Text: ${payload?.text || text}`)
-}
-
-async function runEventsDelete(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
+  const apps = extractTrackedKeywordApps(response)
 
-  if (rest.length !== 1) {
-    throw new Error('Provide an event id: events delete <EVENT_ID>')
+  if (apps.length === 0) {
+    print('No tracked keywords found.')
+    return
   }
 
-  const id = Number.parseInt(String(rest[0]).trim(), 10)
-  if (!Number.isFinite(id) || id <= 0) {
-    throw new Error('Invalid event id. Use a positive integer.')
-  }
+  const app = apps[0]
+  print(`App ID: ${app.appId}`)
+  print(`Platform: ${app.platform}`)
+  print(`Regions: ${Array.isArray(app.regions) ? app.regions.length : 0}`)
+  print('')
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  await apiRequest({
-    pathName: `/api/cli/events/${id}`,
-    method: 'DELETE',
-    accessToken,
-  })
+  for (const regionEntry of app.regions || []) {
+    const keywordRows = (regionEntry.keywords || []).map((keyword) => {
+      const rankings = keyword?.metrics?.rankings?.entries || []
+      const latestPosition =
+        rankings.length > 0 ? rankings[rankings.length - 1]?.position : null
 
-  if (outputJson) {
-    printJson({
-      ok: true,
-      id,
+      return [
+        keyword.name,
+        ...['popularity', 'difficulty'].map((name) => ({
+          text: formatMetricValue(
+            keyword?.metrics?.[name]?.value,
+            keyword?.metrics?.[name]?.pendingData,
+          ),
+          style: getPendingStyle(keyword?.metrics?.[name]?.pendingData),
+        })),
+        {
+          text: formatPositionValue(latestPosition),
+          style: getPositionStyle(latestPosition),
+        },
+      ]
     })
-    return
+
+    print(
+      `Region ${regionEntry.code}${regionEntry.name ? ` (${regionEntry.name})` : ''}: ${regionEntry.keywords.length} keywords`,
+    )
+
+    if (keywordRows.length === 0) {
+      print('  No keywords tracked.')
+      print('')
+      continue
+    }
+
+    printTable(
+      ['Keyword', 'Popularity', 'Difficulty', 'Position'],
+      keywordRows,
+      { fit: [0] },
+    )
+    print('')
   }
-
-  print(`Deleted event: ${id}`)
 }
 
-async function runTrackApp(rest) {
+const CHARTS_COLUMNS = [
+  { key: 'region', header: 'Region' },
+  {
+    key: 'list',
+    header: 'List',
+    fit: true,
+    value: formatRankingListLabel,
+  },
+  {
+    key: 'latest',
+    header: 'Latest',
+    value: (entry) => getLatestPosition(entry?.rankings),
+    format: formatPositionValue,
+    style: getPositionStyle,
+  },
+  {
+    key: 'points',
+    header: 'Points',
+    value: (entry) =>
+      Array.isArray(entry?.rankings) ? entry.rankings.length : 0,
+  },
+  {
+    key: 'pendingData',
+    header: 'Pending',
+    format: (value) => (value ? 'yes' : 'no'),
+  },
+]
+
+async function runRankings({
+  platform,
+  period,
+  regions: regionsValues,
+  region,
+  app: appId,
+}) {
   const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const platformValue = takeOption(rest, '--platform')
-  const regionValue = takeOption(rest, '--region')
-  const appId = consumeAppId(rest, { required: true })
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+  if (regionsValues.length > 0 && region != null) {
+    throw createUsageError('Use either --region or --regions, not both')
   }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const region = resolveRegionArg(regionValue)
+  const client = createClient(requireAuthenticatedAccessToken(config))
+  const regions =
+    region != null ? [region] : Array.from(new Set(regionsValues.flat()))
 
-  await apiRequest({
-    pathName: '/api/cli/apps/track',
-    method: 'POST',
-    accessToken,
-    body: {
-      appId,
-      platform,
-      region,
-    },
-  })
+  const response = await client.getCharts({ appId, platform, period, regions })
 
-  if (outputJson) {
-    printJson({
-      ok: true,
-      appId,
-      platform,
-      region,
-    })
+  if (isDocumentFormat() && !hasRowOptions()) {
+    printJson(response)
     return
   }
 
-  print(`Tracked app: ${appId}`)
-  print(`Platform: ${platform}`)
-  print(`Region: ${region}`)
-}
-
-async function runUntrackApp(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const platformValue = takeOption(rest, '--platform')
-  const regionValue = takeOption(rest, '--region')
-  const appId = consumeAppId(rest, { required: true })
+  const view = selectRows(
+    expectArray(response?.lists, '`lists`'),
+    CHARTS_COLUMNS,
+  )
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+  if (isDocumentFormat()) {
+    printJson({ ...response, lists: projectRows(view) })
+    return
   }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const region = resolveRegionArg(regionValue)
+  if (runtime.outputFormat !== 'table') {
+    printRows(view)
+    return
+  }
 
-  await apiRequest({
-    pathName: '/api/cli/apps/track',
-    method: 'DELETE',
-    accessToken,
-    body: {
-      appId,
-      platform,
-      region,
-    },
-  })
+  print(`App ID: ${appId}`)
+  print(`Platform: ${platform}`)
+  print(`Period: ${period} days`)
+  print(`Lists: ${view.records.length}`)
+  if (response?.lastUpdate) {
+    print(`Last update: ${formatDate(response.lastUpdate)}`)
+  }
 
-  if (outputJson) {
-    printJson({
-      ok: true,
-      appId,
-      platform,
-      region,
-    })
+  if (view.records.length === 0) {
     return
   }
 
-  print(`Untracked app: ${appId}`)
-  print(`Platform: ${platform}`)
-  print(`Region: ${region}`)
+  print('')
+  printRows(view)
 }
 
-async function runPlanApp(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const nameValue = takeOption(rest, '--name')
-  const plannedTrackedAppIdValue = takeOption(rest, '--id')
-  const platformValue = takeOption(rest, '--platform')
-  const regionValue = takeOption(rest, '--region')
+const FEATURES_COLUMNS = [
+  { key: 'region', header: 'Region' },
+  { key: 'platform', header: 'Platform' },
+  {
+    key: 'position',
+    header: 'Position',
+    format: formatPositionValue,
+    style: getPositionStyle,
+  },
+  {
+    key: 'firstSeen',
+    header: 'First Seen',
+    format: (value) => (value ? formatDate(value) : '-'),
+  },
+  { key: 'lastSeen', header: 'Last Seen', format: formatDate },
+  {
+    key: 'path',
+    header: 'Path',
+    fit: true,
+    value: (item) => {
+      const pathParts = Array.isArray(item.path) ? [...item.path] : []
+      if (typeof item.name === 'string' && item.name.trim()) {
+        pathParts.push(item.name.trim())
+      }
+      return pathParts.length > 0 ? pathParts.join(' / ') : null
+    },
+  },
+]
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
-  }
+async function runFeatured({ platform, app: appId }) {
+  const config = await loadConfig()
+  const client = createClient(requireAuthenticatedAccessToken(config))
 
-  const name = String(nameValue || '').trim()
+  const payload = await client.getFeatures({ appId, platform })
 
-  if (!name) {
-    throw new Error('Provide a name via --name <APP_NAME>')
+  if (isDocumentFormat() && !hasRowOptions()) {
+    printJson(payload)
+    return
   }
 
-  const plannedTrackedAppId = normalizePlannedTrackedAppId(
-    plannedTrackedAppIdValue,
+  const view = selectRows(
+    Array.isArray(payload) ? payload : expectArray(payload?.items, '`items`'),
+    FEATURES_COLUMNS,
   )
-
-  if (plannedTrackedAppIdValue != null && !plannedTrackedAppId) {
-    throw new Error(
-      `Invalid --id value. Planned app ids must be 1-${MAX_PLANNED_TRACKED_APP_ID_LENGTH} chars.`,
+  const remainingCount = Array.isArray(payload)
+    ? 0
+    : Number(payload?.remainingCount || 0)
+
+  if (isDocumentFormat()) {
+    printJson(
+      Array.isArray(payload)
+        ? projectRows(view)
+        : { ...payload, items: projectRows(view) },
     )
+    return
   }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const region = resolveRegionArg(regionValue)
-
-  const body = {
-    name,
-    platform,
-    region,
+  if (runtime.outputFormat !== 'table') {
+    printRows(view)
+    return
   }
 
-  if (plannedTrackedAppId) {
-    body.plannedTrackedAppId = plannedTrackedAppId
+  print(`App ID: ${appId}`)
+  print(`Platform: ${platform}`)
+  print(`Feature items: ${view.records.length}`)
+  if (remainingCount > 0) {
+    print(`Locked items: ${remainingCount}`)
   }
 
-  await apiRequest({
-    pathName: '/api/cli/apps/planned',
-    method: 'POST',
-    accessToken,
-    body,
-  })
-
-  if (outputJson) {
-    printJson({
-      ok: true,
-      name,
-      platform,
-      region,
-      ...(plannedTrackedAppId ? { plannedTrackedAppId } : {}),
-    })
+  if (view.records.length === 0) {
     return
   }
 
-  print(`Planned app: ${name}`)
-  print(`Platform: ${platform}`)
-  print(`Region: ${region}`)
-  if (plannedTrackedAppId) {
-    print(`Planned ID: ${plannedTrackedAppId}`)
-  }
+  print('')
+  printRows(view)
 }
 
-async function runUnplanApp(rest) {
+const RATINGS_COLUMNS = [
+  { key: 'region', header: 'Region' },
+  {
+    key: 'totalCount',
+    header: 'Total',
+    format: (value) => String(value ?? 0),
+  },
+  {
+    key: 'average',
+    header: 'Average',
+    format: (value) => (typeof value === 'number' ? String(value) : 'n/a'),
+  },
+  {
+    key: 'trend',
+    header: 'Trend',
+    format: formatTrendValue,
+    style: getTrendStyle,
+  },
+  { key: 'lastUpdate', header: 'Last Update', format: formatDate },
+]
+
+async function runRatings({ platform, period, app: appId }) {
   const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const plannedTrackedAppIdValue = takeOption(rest, '--id')
-  const platformValue = takeOption(rest, '--platform')
-  const regionValue = takeOption(rest, '--region')
+  const client = createClient(requireAuthenticatedAccessToken(config))
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+  const payload = await client.getRatings({ appId, platform, period })
+
+  if (isDocumentFormat() && !hasRowOptions()) {
+    printJson(payload)
+    return
   }
 
-  const plannedTrackedAppId = normalizePlannedTrackedAppId(
-    plannedTrackedAppIdValue,
+  const view = selectRows(
+    expectArray(payload?.regions, '`regions`'),
+    RATINGS_COLUMNS,
   )
 
-  if (!plannedTrackedAppId) {
-    throw new Error('Provide a planned app id via --id <PLANNED_APP_ID>')
+  if (isDocumentFormat()) {
+    printJson({ ...payload, regions: projectRows(view) })
+    return
+  }
+
+  if (runtime.outputFormat !== 'table') {
+    printRows(view)
+    return
   }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const region = resolveRegionArg(regionValue)
+  const series = expectArray(payload?.series, '`series`')
+  const latestSeries = series.length > 0 ? series[series.length - 1] : null
 
-  await apiRequest({
-    pathName: '/api/cli/apps/planned',
-    method: 'DELETE',
-    accessToken,
-    body: {
-      plannedTrackedAppId,
-      platform,
-      region,
-    },
-  })
+  print(`App ID: ${appId}`)
+  print(`Platform: ${platform}`)
+  print(`Period: ${period} days`)
+  print(`Last update: ${formatDate(payload?.lastUpdate)}`)
+  print(`Series points: ${series.length}`)
 
-  if (outputJson) {
-    printJson({
-      ok: true,
-      plannedTrackedAppId,
-      platform,
-      region,
-    })
+  if (latestSeries) {
+    const average =
+      typeof latestSeries.average === 'number' ? latestSeries.average : 'n/a'
+    print(
+      `Latest day: ${latestSeries.date} (average=${average}, count=${latestSeries.count})`,
+    )
+  }
+
+  if (view.records.length === 0) {
     return
   }
 
-  print(`Unplanned app: ${plannedTrackedAppId}`)
-  print(`Platform: ${platform}`)
-  print(`Region: ${region}`)
+  print('')
+  printRows(view)
 }
 
-async function runTrackedKeywords(rest) {
-  const subcommand = String(rest.shift() || '')
-    .trim()
-    .toLowerCase()
+// Manifest sections: `apps` and `planned` list apps with their regions,
+// related apps and tracked keywords; `events` lists timeline events. With
+// --prune, each section in the manifest is the full list for the account.
+const MANIFEST_SECTIONS = ['apps', 'planned', 'events']
+const MANIFEST_APP_KEYS = ['id', 'platform', 'regions', 'related', 'keywords']
+const MANIFEST_PLANNED_KEYS = ['id', 'name', 'platform', 'regions', 'keywords']
+const MANIFEST_EVENT_KEYS = ['date', 'text', 'app']
+
+// Additions run in this order and removals in reverse, so apps are tracked
+// before their keywords are added and keywords are removed before the app.
+const MANIFEST_CHANGE_TYPES = [
+  'trackedApp',
+  'plannedApp',
+  'relatedApp',
+  'keywords',
+  'event',
+]
+
+async function readManifest(file) {
+  const text = await readInputFile(file, 'a YAML or JSON manifest')
+  let payload
 
-  // Backward compatibility for: tracked-keywords --app ...
-  if (!subcommand || subcommand.startsWith('--')) {
-    if (subcommand) {
-      rest.unshift(subcommand)
-    }
-    await runTrackedKeywordsList(rest)
-    return
+  try {
+    payload =
+      /\.json$/i.test(file) || /^\s*\{/.test(text)
+        ? JSON.parse(text)
+        : parseYaml(text)
+  } catch (error) {
+    throw createUsageError(`Could not parse ${file}: ${error.message}`)
   }
 
-  if (subcommand === 'list') {
-    await runTrackedKeywordsList(rest)
-    return
+  const fail = (location, message) => {
+    throw createUsageError(`${file}: ${location}: ${message}`)
   }
 
-  if (subcommand === 'add') {
-    await runTrackedKeywordsAdd(rest)
-    return
+  if (!isPlainObject(payload)) {
+    fail('manifest', `expected a mapping with ${MANIFEST_SECTIONS.join(', ')}`)
   }
 
-  if (subcommand === 'remove') {
-    await runTrackedKeywordsRemove(rest)
-    return
+  checkManifestKeys(payload, MANIFEST_SECTIONS, 'manifest', fail)
+
+  const readList = (value, location) => {
+    if (value == null) {
+      return []
+    }
+    if (!Array.isArray(value)) {
+      fail(location, 'expected a list')
+    }
+    return value
   }
 
-  if (parseAppInput(subcommand) || normalizePlannedTrackedAppId(subcommand)) {
-    rest.unshift(subcommand)
-    await runTrackedKeywordsList(rest)
-    return
+  const readPlatform = (value, location) => {
+    const platform = String(value ?? DEFAULT_PLATFORM)
+      .trim()
+      .toLowerCase()
+    if (!SUPPORTED_PLATFORMS.has(platform)) {
+      fail(location, `use one of ${Array.from(SUPPORTED_PLATFORMS).join(', ')}`)
+    }
+    return platform
+  }
+
+  // Regions default to the ones named in a keyword mapping.
+  const readTarget = (entry, location) => {
+    const platform = readPlatform(entry.platform, `${location}.platform`)
+    const keywordValue = entry.keywords
+    const regions = readList(
+      entry.regions ??
+        (isPlainObject(keywordValue) ? Object.keys(keywordValue) : null),
+      `${location}.regions`,
+    ).map((value, index) => {
+      const region = normalizeRegionCode(value)
+      if (!region) {
+        fail(`${location}.regions[${index}]`, 'use a 2-letter region code')
+      }
+      return region
+    })
+
+    if (regions.length === 0) {
+      fail(`${location}.regions`, 'list at least one region')
+    }
+
+    let keywords = null
+
+    if (isPlainObject(keywordValue)) {
+      keywords = new Map(regions.map((region) => [region, []]))
+      for (const [code, list] of Object.entries(keywordValue)) {
+        const region = normalizeRegionCode(code)
+        if (!keywords.has(region)) {
+          fail(`${location}.keywords.${code}`, `${code} is not in regions`)
+        }
+        keywords.set(
+          region,
+          uniqueKeywords(
+            normalizeKeywordArgs(
+              readList(list, `${location}.keywords.${code}`),
+            ),
+          ),
+        )
+      }
+    } else if (keywordValue != null) {
+      const list = uniqueKeywords(
+        normalizeKeywordArgs(readList(keywordValue, `${location}.keywords`)),
+      )
+      keywords = new Map(regions.map((region) => [region, list]))
+    }
+
+    return { platform, regions: [...new Set(regions)], keywords }
   }
 
-  throw new Error(
-    `Unknown tracked-keywords subcommand: ${subcommand}. Use list, add, or remove.`,
-  )
+  const seen = new Set()
+  const checkUnique = (key, location, label) => {
+    if (seen.has(key)) {
+      fail(location, `${label} is listed twice`)
+    }
+    seen.add(key)
+  }
+
+  const apps =
+    payload.apps === undefined
+      ? null
+      : readList(payload.apps, 'apps').map((entry, index) => {
+          const location = `apps[${index}]`
+          if (!isPlainObject(entry)) {
+            fail(location, 'expected a mapping with id and regions')
+          }
+          checkManifestKeys(entry, MANIFEST_APP_KEYS, location, fail)
+
+          const appId = parseAppId(entry.id)
+          if (!appId) {
+            fail(`${location}.id`, 'use an App Store URL or numeric id')
+          }
+
+          const target = readTarget(entry, location)
+          checkUnique(
+            `app:${appId}:${target.platform}`,
+            location,
+            `${appId} (${target.platform})`,
+          )
+
+          return {
+            appId,
+            ...target,
+            related:
+              entry.related === undefined
+                ? null
+                : [
+                    ...new Set(
+                      readList(entry.related, `${location}.related`).map(
+                        (value, relatedIndex) =>
+                          parseAppId(value) ||
+                          fail(
+                            `${location}.related[${relatedIndex}]`,
+                            'use an App Store URL or numeric id',
+                          ),
+                      ),
+                    ),
+                  ],
+          }
+        })
+
+  const planned =
+    payload.planned === undefined
+      ? null
+      : readList(payload.planned, 'planned').map((entry, index) => {
+          const location = `planned[${index}]`
+          if (!isPlainObject(entry)) {
+            fail(location, 'expected a mapping with id, name and regions')
+          }
+          checkManifestKeys(entry, MANIFEST_PLANNED_KEYS, location, fail)
+
+          const plannedTrackedAppId = normalizePlannedTrackedAppId(entry.id)
+          if (!plannedTrackedAppId) {
+            fail(
+              `${location}.id`,
+              `use 1-${MAX_PLANNED_TRACKED_APP_ID_LENGTH} characters`,
+            )
+          }
+
+          const name = String(entry.name ?? '').trim()
+          if (!name) {
+            fail(`${location}.name`, 'a name is required')
+          }
+
+          const target = readTarget(entry, location)
+          checkUnique(
+            `planned:${plannedTrackedAppId}:${target.platform}`,
+            location,
+            `${plannedTrackedAppId} (${target.platform})`,
+          )
+
+          return { plannedTrackedAppId, name, ...target }
+        })
+
+  const events =
+    payload.events === undefined
+      ? null
+      : readList(payload.events, 'events').map((entry, index) => {
+          const location = `events[${index}]`
+          if (!isPlainObject(entry)) {
+            fail(location, 'expected a mapping with date and text')
+          }
+          checkManifestKeys(entry, MANIFEST_EVENT_KEYS, location, fail)
+
+          const date = normalizeDateOnly(entry.date)
+          if (!date) {
+            fail(`${location}.date`, 'use YYYY-MM-DD')
+          }
+
+          const text = String(entry.text ?? '').trim()
+          if (!text) {
+            fail(`${location}.text`, 'event text is required')
+          }
+
+          const appId = entry.app == null ? null : parseAppId(entry.app)
+          if (entry.app != null && !appId) {
+            fail(`${location}.app`, 'use an App Store URL or numeric id')
+          }
+
+          return { date, text, appId }
+        })
+
+  return { apps, planned, events }
 }
 
-async function runTrackedKeywordsAdd(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const platformValue = takeOption(rest, '--platform')
-  const regionValue = takeOption(rest, '--region')
-  const target = consumeTrackedKeywordsAppTarget(rest)
-  const keywords = normalizeKeywordArgs(rest)
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
 
-  if (keywords.length === 0) {
-    throw new Error('Provide at least one keyword')
+function checkManifestKeys(entry, allowed, location, fail) {
+  for (const key of Object.keys(entry)) {
+    if (!allowed.includes(key)) {
+      fail(`${location}.${key}`, `unknown key, expected ${allowed.join(', ')}`)
+    }
   }
+}
+
+// The server may send a timestamp; events match on the calendar date.
+function getEventDate(value) {
+  const date = String(value ?? '')
+  return normalizeDateOnly(date.slice(0, 10)) ?? date
+}
 
-  if (keywords.length > MAX_TRACKED_KEYWORDS_ADD) {
-    throw new Error(
-      `At most ${MAX_TRACKED_KEYWORDS_ADD} keywords are allowed per request`,
+function getEventKey(event) {
+  return `${getEventDate(event.date)}\n${event.appId || ''}\n${event.text}`
+}
+
+// Reads only what the manifest manages: related apps and tracked keywords for
+// listed apps that exist, and events for every tracked app plus global ones
+// (a few apps at a time). `client` should skip the cache (getFreshCacheMode).
+async function fetchAccountState(client, manifest) {
+  const payload = await client.listApps()
+  const tracked = expectArray(payload?.tracked, '`tracked`')
+  const planned = expectArray(payload?.planned, '`planned`')
+  const findApp = (list, key, id, platform) =>
+    list.find(
+      (entry) => String(entry[key]) === id && entry.platform === platform,
     )
+
+  const related = new Map()
+  for (const app of manifest.apps || []) {
+    if (app.related && findApp(tracked, 'appId', app.appId, app.platform)) {
+      const items = await client.listRelatedApps({
+        appId: app.appId,
+        platform: app.platform,
+      })
+      related.set(
+        `${app.appId}:${app.platform}`,
+        expectArray(items, 'the related apps list').map((item) =>
+          String(item.appId),
+        ),
+      )
+    }
   }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const region = resolveRegionArg(regionValue)
-  const isPlannedTarget = !target.appId
+  const keywords = new Map()
+  const keywordTargets = [
+    ...(manifest.apps || []).map((app) => ({
+      id: app.appId,
+      exists: findApp(tracked, 'appId', app.appId, app.platform),
+      ...app,
+    })),
+    ...(manifest.planned || []).map((app) => ({
+      id: app.plannedTrackedAppId,
+      exists: findApp(
+        planned,
+        'plannedTrackedAppId',
+        app.plannedTrackedAppId,
+        app.platform,
+      ),
+      ...app,
+    })),
+  ]
+  for (const target of keywordTargets) {
+    if (target.keywords && target.exists) {
+      keywords.set(
+        `${target.id}:${target.platform}`,
+        await listAllTrackedKeywords(client, {
+          app: target.id,
+          platform: target.platform,
+        }),
+      )
+    }
+  }
 
-  const pathName = isPlannedTarget
-    ? '/api/cli/apps/planned/keywords'
-    : '/api/cli/apps/keywords'
-  const body = isPlannedTarget
-    ? {
-        plannedTrackedAppId: target.plannedTrackedAppId,
-        platform,
-        region,
-        keywords,
-      }
-    : {
-        appId: target.appId,
-        platform,
-        region,
-        keywords,
+  const events = new Map()
+  if (manifest.events) {
+    const appIds = new Set([
+      ...tracked.map((entry) => String(entry.appId)),
+      ...manifest.events.map((event) => event.appId).filter(Boolean),
+    ])
+    const lists = await mapWithConcurrency(
+      [null, ...appIds],
+      KEYWORD_BATCH_CONCURRENCY,
+      (appId) => client.listEvents({ appId }),
+    )
+    for (const list of lists) {
+      for (const event of expectArray(list, 'the events list')) {
+        events.set(event.id, event)
       }
+    }
+  }
 
-  await apiRequest({
-    pathName,
-    method: 'POST',
-    accessToken,
-    body,
-  })
+  return { tracked, planned, related, keywords, events: [...events.values()] }
+}
 
-  if (outputJson) {
-    printJson({
-      ok: true,
-      platform,
-      region,
-      keywordCount: keywords.length,
-      keywords,
-      ...(isPlannedTarget
-        ? { plannedTrackedAppId: target.plannedTrackedAppId }
-        : { appId: target.appId }),
-    })
-    return
+// Returns `{ additions, removals }`. Removals are what --prune would delete:
+// items in a manifest section's scope that the manifest doesn't list.
+function planManifestChanges(manifest, state) {
+  const additions = []
+  const removals = []
+
+  const diffRegions = (type, idKey, wanted, current, extra) => {
+    const currentRegions = new Map(
+      current.map((entry) => [
+        `${entry[idKey]}:${entry.platform}`,
+        expectArray(entry.regions, '`regions`').map((item) =>
+          String(item.region).toUpperCase(),
+        ),
+      ]),
+    )
+    const wantedKeys = new Set()
+
+    for (const app of wanted) {
+      const key = `${app[idKey]}:${app.platform}`
+      const regions = currentRegions.get(key) || []
+      wantedKeys.add(key)
+
+      for (const region of app.regions) {
+        if (!regions.includes(region)) {
+          additions.push({
+            action: 'add',
+            type,
+            [idKey]: app[idKey],
+            ...extra(app),
+            platform: app.platform,
+            region,
+          })
+        }
+      }
+      for (const region of regions) {
+        if (!app.regions.includes(region)) {
+          removals.push({
+            action: 'remove',
+            type,
+            [idKey]: app[idKey],
+            platform: app.platform,
+            region,
+          })
+        }
+      }
+    }
+
+    for (const entry of current) {
+      if (!wantedKeys.has(`${entry[idKey]}:${entry.platform}`)) {
+        for (const region of currentRegions.get(
+          `${entry[idKey]}:${entry.platform}`,
+        )) {
+          removals.push({
+            action: 'remove',
+            type,
+            [idKey]: String(entry[idKey]),
+            platform: entry.platform,
+            region,
+          })
+        }
+      }
+    }
   }
 
-  print(`Added keywords: ${keywords.length}`)
-  print(
-    isPlannedTarget
-      ? `Planned ID: ${target.plannedTrackedAppId}`
-      : `App ID: ${target.appId}`,
-  )
-  print(`Platform: ${platform}`)
-  print(`Region: ${region}`)
-}
+  if (manifest.apps) {
+    diffRegions('trackedApp', 'appId', manifest.apps, state.tracked, () => ({}))
 
-async function runTrackedKeywordsRemove(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const platformValue = takeOption(rest, '--platform')
-  const regionValue = takeOption(rest, '--region')
-  const target = consumeTrackedKeywordsAppTarget(rest)
-  const keywords = normalizeKeywordArgs(rest)
+    for (const app of manifest.apps) {
+      if (!app.related) {
+        continue
+      }
 
-  if (keywords.length === 0) {
-    throw new Error('Provide at least one keyword')
+      const current = state.related.get(`${app.appId}:${app.platform}`) || []
+      for (const relatedAppId of app.related) {
+        if (!current.includes(relatedAppId)) {
+          additions.push({
+            action: 'add',
+            type: 'relatedApp',
+            appId: app.appId,
+            platform: app.platform,
+            relatedAppId,
+          })
+        }
+      }
+      for (const relatedAppId of current) {
+        if (!app.related.includes(relatedAppId)) {
+          removals.push({
+            action: 'remove',
+            type: 'relatedApp',
+            appId: app.appId,
+            platform: app.platform,
+            relatedAppId,
+          })
+        }
+      }
+    }
   }
 
-  if (keywords.length > MAX_TRACKED_KEYWORDS_ADD) {
-    throw new Error(
-      `At most ${MAX_TRACKED_KEYWORDS_ADD} keywords are allowed per request`,
+  if (manifest.planned) {
+    diffRegions(
+      'plannedApp',
+      'plannedTrackedAppId',
+      manifest.planned,
+      state.planned,
+      (app) => ({ name: app.name }),
     )
   }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const region = resolveRegionArg(regionValue)
-  const isPlannedTarget = !target.appId
+  const keywordTargets = [
+    ...(manifest.apps || []).map((app) => ({ app: app.appId, ...app })),
+    ...(manifest.planned || []).map((app) => ({
+      app: app.plannedTrackedAppId,
+      ...app,
+    })),
+  ]
+
+  for (const target of keywordTargets) {
+    if (!target.keywords) {
+      continue
+    }
+
+    const current = state.keywords.get(`${target.app}:${target.platform}`) || []
+    const sets = new Map(target.keywords)
+    // Keywords in regions the manifest leaves out are unmanaged too.
+    for (const item of current) {
+      const region = String(item.region || '').toUpperCase()
+      if (!sets.has(region)) {
+        sets.set(region, [])
+      }
+    }
 
-  const pathName = isPlannedTarget
-    ? '/api/cli/apps/planned/keywords'
-    : '/api/cli/apps/keywords'
-  const body = isPlannedTarget
-    ? {
-        plannedTrackedAppId: target.plannedTrackedAppId,
-        platform,
-        region,
-        keywords,
+    for (const entry of planKeywordSync(sets, current)) {
+      const change = {
+        type: 'keywords',
+        app: target.app,
+        platform: target.platform,
+        region: entry.region,
+      }
+      if (entry.add.length > 0) {
+        additions.push({ action: 'add', ...change, keywords: entry.add })
       }
-    : {
-        appId: target.appId,
-        platform,
-        region,
-        keywords,
+      if (entry.remove.length > 0) {
+        removals.push({ action: 'remove', ...change, keywords: entry.remove })
       }
+    }
+  }
 
-  await apiRequest({
-    pathName,
-    method: 'DELETE',
-    accessToken,
-    body,
-  })
+  if (manifest.events) {
+    const currentKeys = new Set(state.events.map(getEventKey))
+    const wantedKeys = new Set(manifest.events.map(getEventKey))
 
-  if (outputJson) {
-    printJson({
-      ok: true,
-      platform,
-      region,
-      keywordCount: keywords.length,
-      keywords,
-      ...(isPlannedTarget
-        ? { plannedTrackedAppId: target.plannedTrackedAppId }
-        : { appId: target.appId }),
-    })
-    return
+    for (const event of manifest.events) {
+      if (!currentKeys.has(getEventKey(event))) {
+        currentKeys.add(getEventKey(event))
+        additions.push({ action: 'add', type: 'event', ...event })
+      }
+    }
+    for (const event of state.events) {
+      const current = {
+        id: event.id,
+        date: getEventDate(event.date),
+        text: String(event.text),
+        appId: event.appId ? String(event.appId) : null,
+      }
+      if (!wantedKeys.has(getEventKey(current))) {
+        removals.push({ action: 'remove', type: 'event', ...current })
+      }
+    }
+  }
+
+  const byType = (direction) => (a, b) =>
+    direction *
+    (MANIFEST_CHANGE_TYPES.indexOf(a.type) -
+      MANIFEST_CHANGE_TYPES.indexOf(b.type))
+
+  return {
+    additions: additions.sort(byType(1)),
+    removals: removals.sort(byType(-1)),
   }
+}
 
-  print(`Removed keywords: ${keywords.length}`)
-  print(
-    isPlannedTarget
-      ? `Planned ID: ${target.plannedTrackedAppId}`
-      : `App ID: ${target.appId}`,
+function countManifestChanges(changes) {
+  return changes.reduce(
+    (count, change) => count + (change.keywords ? change.keywords.length : 1),
+    0,
   )
-  print(`Platform: ${platform}`)
-  print(`Region: ${region}`)
 }
 
-async function runTrackedKeywordsList(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const platformValue = takeOption(rest, '--platform')
-  const regionValue = takeOption(rest, '--region')
-  const pageValue = takeOption(rest, '--page')
-  const sortValue = takeOption(rest, '--sort')
-  const orderValue = takeOption(rest, '--order')
-  const target = consumeTrackedKeywordsAppTarget(rest)
-
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+function describeManifestChange(change) {
+  const platform = `(${change.platform})`
+
+  switch (change.type) {
+    case 'trackedApp':
+      return `tracked app ${change.appId} ${platform} in ${change.region}`
+    case 'plannedApp':
+      return `planned app ${change.plannedTrackedAppId}${change.name ? ` "${change.name}"` : ''} ${platform} in ${change.region}`
+    case 'relatedApp':
+      return `related app ${change.relatedAppId} for ${change.appId} ${platform}`
+    case 'keywords':
+      return `keywords for ${change.app} ${platform} in ${change.region}`
+    case 'event':
+      return `${change.appId ? `event for ${change.appId}` : 'global event'} on ${change.date}: ${change.text}`
+    default:
+      return change.type
   }
+}
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const region = resolveOptionalRegionArg(regionValue)
-  const page = resolveTrackedKeywordsPageArg(pageValue)
-  const sort = resolveTrackedKeywordsSortArg(sortValue)
-  const order = resolveTrackedKeywordsOrderArg(orderValue)
+function printManifestChanges(changes) {
+  for (const change of changes) {
+    const sign = change.action === 'add' ? '+' : '-'
+    const style = change.action === 'add' ? 'green' : 'red'
 
-  const searchParams = new URLSearchParams()
-  if (region) {
-    searchParams.set('region', region)
+    print(colorize(`${sign} ${describeManifestChange(change)}`, style))
+    for (const keyword of change.keywords || []) {
+      print(colorize(`    ${sign} ${keyword}`, style))
+    }
   }
-  searchParams.set('page', String(page))
-  searchParams.set('sort', sort)
-  searchParams.set('order', order)
-
-  const query = searchParams.toString()
-  const response = await apiRequest({
-    pathName: `/api/cli/apps/${encodeURIComponent(target.appIdentifier)}/${platform}/tracked-keywords${query ? `?${query}` : ''}`,
-    accessToken,
-  })
+}
 
-  if (outputJson) {
-    printJson(response)
-    return
+async function applyManifestChange(client, change) {
+  const add = change.action === 'add'
+
+  switch (change.type) {
+    case 'trackedApp':
+      return add ? client.trackApp(change) : client.untrackApp(change)
+    case 'plannedApp':
+      return add ? client.planApp(change) : client.unplanApp(change)
+    case 'relatedApp':
+      return add
+        ? client.addRelatedApp(change)
+        : client.removeRelatedApp(change)
+    case 'keywords':
+      for (const keywords of chunkArray(
+        change.keywords,
+        MAX_TRACKED_KEYWORDS_ADD,
+      )) {
+        await (add
+          ? client.addTrackedKeywords({ ...change, keywords })
+          : client.removeTrackedKeywords({ ...change, keywords }))
+      }
+      return undefined
+    case 'event':
+      return add ? client.addEvent(change) : client.deleteEvent(change.id)
+    default:
+      throw new Error(`Unknown manifest change: ${change.type}`)
   }
+}
 
-  if (
-    response &&
-    typeof response === 'object' &&
-    Array.isArray(response.items)
-  ) {
-    const appId = typeof response.appId === 'string' ? response.appId : ''
-    const responsePlatform =
-      typeof response.platform === 'string' ? response.platform : platform
-    const pageValueResolved =
-      typeof response.page === 'number' ? response.page : page
-    const pageSize =
-      typeof response.pageSize === 'number' ? response.pageSize : 50
-    const total = typeof response.total === 'number' ? response.total : 0
-    const hasMore = Boolean(response.hasMore)
-    const regionFilter =
-      typeof response.regionFilter === 'string' ? response.regionFilter : null
-    const responseSort =
-      typeof response.sort === 'string' ? response.sort : sort
-    const responseOrder =
-      typeof response.order === 'string' ? response.order : order
-    const items = response.items
-
-    print(`App ID: ${appId}`)
-    print(`Platform: ${responsePlatform}`)
-    print(`Region: ${regionFilter || 'all'}`)
-    print(`Page: ${pageValueResolved}`)
-    print(`Page Size: ${pageSize}`)
-    print(`Sort: ${responseSort} ${responseOrder}`)
-    print(`Total: ${total}`)
-    print(`Has More: ${hasMore}`)
-
-    if (items.length === 0) {
+// `plan` and `apply` share everything up to making the changes. Without
+// --prune, removals are only counted. apply stops at the first failed request;
+// running it again picks up from there.
+async function runManifest({ json: outputJson, file, prune }, apply) {
+  const config = await loadConfig()
+  const manifest = await readManifest(file)
+  const accessToken = requireAuthenticatedAccessToken(config)
+  const client = createClient(accessToken)
+  const { additions, removals } = planManifestChanges(
+    manifest,
+    await fetchAccountState(
+      createClient(accessToken, { cacheMode: getFreshCacheMode() }),
+      manifest,
+    ),
+  )
+  const changes = prune ? [...removals, ...additions] : additions
+  const unmanaged = prune ? 0 : countManifestChanges(removals)
+
+  if (!outputJson) {
+    if (changes.length === 0) {
+      print('No changes. The account matches the manifest.')
+    } else {
+      printManifestChanges(changes)
       print('')
-      print('No tracked keywords found.')
-      return
+      print(
+        `Plan: ${countManifestChanges(additions)} to add, ${prune ? countManifestChanges(removals) : 0} to remove.`,
+      )
+    }
+    if (unmanaged > 0) {
+      print(
+        `${unmanaged} unmanaged ${unmanaged === 1 ? 'item' : 'items'} would be removed with --prune.`,
+      )
     }
+  }
 
-    const keywordRows = items.map((item) => {
-      const rankings = item?.metrics?.rankings?.entries || []
-      const latestPosition =
-        rankings.length > 0 ? rankings[rankings.length - 1]?.position : null
+  if (apply && changes.length > 0) {
+    const progress = createProgress('Applying', changes.length)
+    let completed = 0
 
-      return [
-        item.keyword || '-',
-        item.region || '-',
-        formatMetricValue(
-          item?.metrics?.popularity?.value,
-          item?.metrics?.popularity?.pendingData,
-        ),
-        formatMetricValue(
-          item?.metrics?.difficulty?.value,
-          item?.metrics?.difficulty?.pendingData,
-        ),
-        formatPositionValue(latestPosition),
-      ]
-    })
+    try {
+      for (const change of changes) {
+        await applyManifestChange(client, change)
+        completed += 1
+        progress.tick()
+      }
+    } catch (error) {
+      progress.finish()
+      printError(`Stopped after ${completed} of ${changes.length} changes.`)
+      throw error
+    }
 
-    print('')
-    printTable(
-      ['Keyword', 'Region', 'Popularity', 'Difficulty', 'Position'],
-      keywordRows,
-    )
-    return
+    progress.finish()
   }
 
-  const apps = extractTrackedKeywordApps(response)
-
-  if (apps.length === 0) {
-    print('No tracked keywords found.')
+  if (outputJson) {
+    printJson({
+      ok: true,
+      applied: apply,
+      prune,
+      changes,
+      unmanaged,
+    })
     return
   }
 
-  const app = apps[0]
-  print(`App ID: ${app.appId}`)
-  print(`Platform: ${app.platform}`)
-  print(`Regions: ${Array.isArray(app.regions) ? app.regions.length : 0}`)
-  print('')
-
-  for (const regionEntry of app.regions || []) {
-    const keywordRows = (regionEntry.keywords || []).map((keyword) => {
-      const rankings = keyword?.metrics?.rankings?.entries || []
-      const latestPosition =
-        rankings.length > 0 ? rankings[rankings.length - 1]?.position : null
-
-      return [
-        keyword.name,
-        formatMetricValue(
-          keyword?.metrics?.popularity?.value,
-          keyword?.metrics?.popularity?.pendingData,
-        ),
-        formatMetricValue(
-          keyword?.metrics?.difficulty?.value,
-          keyword?.metrics?.difficulty?.pendingData,
-        ),
-        formatPositionValue(latestPosition),
-      ]
-    })
-
+  if (apply && changes.length > 0) {
     print(
-      `Region ${regionEntry.code}${regionEntry.name ? ` (${regionEntry.name})` : ''}: ${regionEntry.keywords.length} keywords`,
+      `Apply complete: ${countManifestChanges(additions)} added, ${prune ? countManifestChanges(removals) : 0} removed.`,
     )
-
-    if (keywordRows.length === 0) {
-      print('  No keywords tracked.')
-      print('')
-      continue
-    }
-
-    printTable(['Keyword', 'Popularity', 'Difficulty', 'Position'], keywordRows)
-    print('')
   }
 }
 
-async function runRankings(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const platformValue = takeOption(rest, '--platform')
-  const periodValue = takeOption(rest, '--period')
-  const regionsValue = takeOption(rest, '--regions')
-  const regionValue = takeOption(rest, '--region')
-  const appId = consumeAppId(rest, { required: true })
+function runPlan(options) {
+  return runManifest(options, false)
+}
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
-  }
+function runApply(options) {
+  return runManifest(options, true)
+}
 
-  if (regionsValue != null && regionValue != null) {
-    throw new Error('Use either --region or --regions, not both')
-  }
+const COMPLETION_SHELLS = ['bash', 'zsh', 'fish']
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const period =
-    periodValue == null ? DEFAULT_PERIOD : parsePeriodValue(periodValue)
+// Each script hands the words typed so far to the hidden `__complete`
+// command, which prints one candidate per line.
+const COMPLETION_SCRIPTS = {
+  bash: `# asosuite bash completion. Load with: source <(asosuite completion bash)
+_asosuite_completion() {
+  local IFS=$'\\n'
+  COMPREPLY=($(asosuite __complete -- "\${COMP_WORDS[@]:1:COMP_CWORD}" 2>/dev/null))
+}
+complete -o default -F _asosuite_completion asosuite
+`,
+  zsh: `#compdef asosuite
+# asosuite zsh completion. Load with: source <(asosuite completion zsh)
+_asosuite() {
+  local -a candidates
+  candidates=(\${(f)"$(asosuite __complete -- "\${(@)words[2,CURRENT]}" 2>/dev/null)"})
+  if (( \${#candidates} )); then
+    compadd -a candidates
+  else
+    _files
+  fi
+}
+if [ "$funcstack[1]" = "_asosuite" ]; then
+  _asosuite "$@"
+else
+  compdef _asosuite asosuite
+fi
+`,
+  fish: `# asosuite fish completion. Load with: asosuite completion fish | source
+function __asosuite_complete
+    set -l tokens (commandline -opc)
+    set -l current (commandline -ct)
+    asosuite __complete -- $tokens[2..-1] "$current" 2>/dev/null
+end
+complete -c asosuite -f -a '(__asosuite_complete)'
+`,
+}
+
+async function runCompletion(_options, [shellValue]) {
+  const shell = String(shellValue).trim().toLowerCase()
 
-  if (!period) {
-    throw new Error('Invalid --period value. Allowed values: 7, 30, 90')
+  if (!COMPLETION_SHELLS.includes(shell)) {
+    throw createUsageError(
+      `Unsupported shell: ${shellValue}. Use ${formatChoices(COMPLETION_SHELLS)}.`,
+    )
   }
 
-  let regions = []
+  process.stdout.write(COMPLETION_SCRIPTS[shell])
+}
 
-  if (regionsValue != null) {
-    regions = parseRegionsOption(regionsValue)
-    if (regions.length === 0) {
-      throw new Error(
-        'Invalid --regions value. Use comma-separated region codes.',
-      )
-    }
-  } else if (regionValue != null) {
-    const region = normalizeRegionCode(regionValue)
-    if (!region) {
-      throw new Error('Invalid --region value. Use a 2-letter region code.')
-    }
-    regions = [region]
-  }
+// Never calls the API: app ids come from the cached `list-apps` response,
+// even when it has expired.
+async function getCachedAppIds(kind, config) {
+  const payload = await createClient(getAccessToken(config), {
+    cacheMode: 'offline',
+  }).listApps()
+  const tracked = Array.isArray(payload?.tracked)
+    ? payload.tracked.map((app) => app.appId)
+    : []
+  const planned = Array.isArray(payload?.planned)
+    ? payload.planned.map((app) => app.plannedTrackedAppId)
+    : []
 
-  const response = await apiRequest({
-    pathName: `/api/cli/apps/${encodeURIComponent(appId)}/${platform}/charts`,
-    method: 'POST',
-    accessToken,
-    body: {
-      period,
-      ...(regions.length > 0 ? { regions } : {}),
-    },
-  })
+  if (kind === 'apps') {
+    return tracked
+  }
 
-  if (outputJson) {
-    printJson(response)
-    return
+  if (kind === 'planned') {
+    return planned
   }
 
-  const lists = Array.isArray(response?.lists) ? response.lists : []
+  return [...tracked, ...planned]
+}
 
-  print(`App ID: ${appId}`)
-  print(`Platform: ${platform}`)
-  print(`Period: ${period} days`)
-  print(`Lists: ${lists.length}`)
-  if (response?.lastUpdate) {
-    print(`Last update: ${formatDate(response.lastUpdate)}`)
+async function getValueCompletions(spec, config) {
+  if (spec.values) {
+    return spec.values.map(String)
   }
 
-  if (lists.length === 0) {
-    return
+  if (spec.complete === 'profiles') {
+    return Object.keys(getProfiles(config))
   }
 
-  print('')
-
-  const rows = lists.map((entry) => {
-    const rankings = Array.isArray(entry?.rankings) ? entry.rankings : []
-    const latestPosition =
-      rankings.length > 0 ? rankings[rankings.length - 1]?.position : null
+  if (spec.complete === 'environments') {
+    return Object.keys(config.environments || {})
+  }
 
-    return [
-      entry.region || '-',
-      formatRankingListLabel(entry),
-      formatPositionValue(latestPosition),
-      String(rankings.length),
-      entry.pendingData ? 'yes' : 'no',
-    ]
-  })
+  if (spec.complete) {
+    return getCachedAppIds(spec.complete, config)
+  }
 
-  printTable(['Region', 'List', 'Latest', 'Points', 'Pending'], rows)
+  return []
 }
 
-async function runFeatured(rest) {
+async function getCompletions(words) {
+  const previous = words.slice(0, -1)
+  const lastWord = previous.at(-1) || ''
   const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const platformValue = takeOption(rest, '--platform')
-  const appId = consumeAppId(rest, { required: true })
+  const globalSpec = findOptionSpec(GLOBAL_OPTIONS, lastWord)
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+  if (globalSpec && globalSpec.type !== 'boolean') {
+    return getValueCompletions(globalSpec, config)
   }
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
+  const { values: globals, rest: args } = extractOptions(
+    previous,
+    GLOBAL_OPTIONS,
+    { valueFlags: getCommandValueFlags() },
+  )
+  applyBaseUrls(config, globals)
+  applyProfile(config, globals)
 
-  const payload = await apiRequest({
-    pathName: `/api/cli/apps/${encodeURIComponent(appId)}/${platform}/features`,
-    accessToken,
-  })
+  const visible = COMMANDS.filter(
+    (command) => !command.aliasOf && !command.hidden,
+  )
+  const current = words.at(-1) || ''
+  const globalFlags = GLOBAL_OPTIONS.map((spec) => `--${spec.name}`)
 
-  if (outputJson) {
-    printJson(payload)
-    return
+  if (args.length === 0) {
+    return current.startsWith('-')
+      ? [...globalFlags, '--help']
+      : visible.map((command) => command.name.split(' ')[0])
   }
 
-  const items = Array.isArray(payload)
-    ? payload
-    : Array.isArray(payload?.items)
-      ? payload.items
-      : []
-  const remainingCount =
-    payload && typeof payload === 'object' && !Array.isArray(payload)
-      ? Number(payload.remainingCount || 0)
-      : 0
+  const group = getCommandGroup(args[0])
 
-  print(`App ID: ${appId}`)
-  print(`Platform: ${platform}`)
-  print(`Feature items: ${items.length}`)
-  if (remainingCount > 0) {
-    print(`Locked items: ${remainingCount}`)
+  if (group.length > 0 && args.length === 1 && !current.startsWith('-')) {
+    return group.map((command) => command.name.slice(args[0].length + 1))
   }
 
-  if (items.length === 0) {
-    return
+  const command =
+    findCommand(`${args[0]} ${args[1]}`) ||
+    findCommand(args[0]) ||
+    group.find((entry) => entry.default)
+
+  if (!command) {
+    return []
   }
 
-  print('')
+  const options = command.options || []
+  const optionSpec = findOptionSpec(options, lastWord)
 
-  const rows = items.map((item) => {
-    const pathParts = Array.isArray(item.path) ? [...item.path] : []
-    if (typeof item.name === 'string' && item.name.trim()) {
-      pathParts.push(item.name.trim())
-    }
+  if (optionSpec && optionSpec.type !== 'boolean') {
+    return getValueCompletions(optionSpec, config)
+  }
 
+  if (current.startsWith('-')) {
     return [
-      item.region || '-',
-      item.platform || '-',
-      formatPositionValue(item.position),
-      item.firstSeen ? formatDate(item.firstSeen) : '-',
-      formatDate(item.lastSeen),
-      pathParts.length > 0 ? pathParts.join(' / ') : '-',
+      ...options.map((spec) => `--${spec.name}`),
+      ...globalFlags,
+      '--help',
     ]
-  })
+  }
 
-  printTable(
-    ['Region', 'Platform', 'Position', 'First Seen', 'Last Seen', 'Path'],
-    rows,
+  const positionalSpec = options.find(
+    (spec) =>
+      spec.positional &&
+      spec.required &&
+      !args.some((arg) => findOptionSpec([spec], arg)),
   )
+
+  if (positionalSpec) {
+    return getValueCompletions(positionalSpec, config)
+  }
+
+  if (command.positionals?.[0]?.values && args.length === 1) {
+    return command.positionals[0].values
+  }
+
+  return []
 }
 
-async function runRatings(rest) {
-  const config = await loadConfig()
-  const outputJson = takeFlag(rest, '--json')
-  const platformValue = takeOption(rest, '--platform')
-  const periodValue = takeOption(rest, '--period')
-  const appId = consumeAppId(rest, { required: true })
+async function runComplete(_options, words) {
+  try {
+    const candidates = await getCompletions(words.map(String))
+    const current = String(words.at(-1) || '')
 
-  if (rest.length > 0) {
-    throw new Error(`Unknown arguments: ${rest.join(' ')}`)
+    for (const candidate of new Set(candidates)) {
+      if (candidate && candidate.startsWith(current)) {
+        print(candidate)
+      }
+    }
+  } catch (_error) {
+    // completion stays silent on errors
   }
+}
 
-  const accessToken = requireAuthenticatedAccessToken(config)
-  const platform = resolvePlatformArg(platformValue)
-  const period =
-    periodValue == null ? DEFAULT_PERIOD : parsePeriodValue(periodValue)
+const OPTIONS = {
+  json: {
+    name: 'json',
+    type: 'boolean',
+    description: 'print single-line JSON output (same as --format json)',
+  },
+  region: {
+    name: 'region',
+    alias: 'r',
+    valueName: '<REGION>',
+    parse: normalizeRegionCode,
+    hint: 'Use a 2-letter region code.',
+    default: DEFAULT_REGION,
+    description: 'App Store region code',
+  },
+  platform: {
+    name: 'platform',
+    alias: 'p',
+    valueName: '<PLATFORM>',
+    type: 'enum',
+    values: Array.from(SUPPORTED_PLATFORMS),
+    default: DEFAULT_PLATFORM,
+    description: 'App Store platform',
+  },
+  app: {
+    name: 'app',
+    alias: 'a',
+    valueName: '<APP_ID_OR_URL>',
+    parse: parseAppId,
+    hint: 'Use an App Store URL, id-prefixed value, or numeric id.',
+    complete: 'apps',
+    description: 'App Store app id or URL',
+  },
+  trackedApp: {
+    name: 'app',
+    alias: 'a',
+    valueName: '<APP_ID_OR_URL_OR_PLANNED_ID>',
+    parse: parseTrackedKeywordsAppTarget,
+    hint: 'Use an App Store URL/id or a planned app id.',
+    complete: 'appsAndPlanned',
+    required: true,
+    positional: true,
+    description: 'tracked app id/URL or planned app id',
+  },
+  plannedId: {
+    name: 'id',
+    valueName: '<PLANNED_APP_ID>',
+    parse: normalizePlannedTrackedAppId,
+    hint: `Planned app ids must be 1-${MAX_PLANNED_TRACKED_APP_ID_LENGTH} chars.`,
+    complete: 'planned',
+    description: 'planned app id',
+  },
+  keywordFile: {
+    name: 'file',
+    valueName: '<PATH>',
+    description: 'read keywords from a text or CSV file (- for stdin)',
+  },
+  period: {
+    name: 'period',
+    valueName: '<7|30|90>',
+    type: 'enum',
+    values: PERIODS,
+    default: DEFAULT_PERIOD,
+    description: 'history window in days',
+  },
+}
+
+// Accepted anywhere on the command line, before command options are parsed.
+// Values stay raw strings; the apply* functions validate them.
+const GLOBAL_OPTIONS = [
+  {
+    name: 'api-url',
+    valueName: '<URL>',
+    description: 'API server (env: ASOSUITE_API_URL)',
+  },
+  {
+    name: 'env',
+    valueName: '<NAME>',
+    complete: 'environments',
+    description: 'named environment from config (env: ASOSUITE_ENV)',
+  },
+  {
+    name: 'profile',
+    valueName: '<NAME>',
+    complete: 'profiles',
+    description: 'account profile to use (env: ASOSUITE_PROFILE)',
+  },
+  {
+    name: 'retries',
+    valueName: '<N>',
+    type: 'integer',
+    min: 0,
+    max: 10,
+    description:
+      'retry rate-limited, 502/503/504 and network failures (default 0)',
+  },
+  {
+    name: 'max-wait',
+    valueName: '<SEC>',
+    description: `longest single wait between retries (default ${DEFAULT_MAX_WAIT_SECONDS})`,
+  },
+  {
+    name: 'timeout',
+    valueName: '<SEC>',
+    description: 'per-request timeout (default: none, 0 disables)',
+  },
+  {
+    name: 'ca-file',
+    valueName: '<PATH>',
+    description: 'extra PEM root certificates (env: ASOSUITE_CA_FILE)',
+  },
+  {
+    name: 'no-cache',
+    type: 'boolean',
+    description: 'bypass the response cache',
+  },
+  {
+    name: 'refresh',
+    type: 'boolean',
+    description: 'refetch and update cached responses',
+  },
+  {
+    name: 'offline',
+    type: 'boolean',
+    description: 'only serve cached responses, never call the API',
+  },
+  {
+    name: 'format',
+    valueName: '<FORMAT>',
+    type: 'enum',
+    values: OUTPUT_FORMATS,
+    description: 'output format, default table (--json is --format json)',
+  },
+  {
+    name: 'fields',
+    valueName: '<FIELDS>',
+    description: 'comma-separated columns or dotted paths to show',
+  },
+  {
+    name: 'where',
+    valueName: '<EXPR>',
+    multiple: true,
+    description: 'keep rows matching FIELD=, !=, >, >=, <, <= or ~ VALUE',
+  },
+  {
+    name: 'sort-by',
+    valueName: '<FIELD[:desc]>',
+    description: 'sort rows by comma-separated fields',
+  },
+  {
+    name: 'wide',
+    type: 'boolean',
+    description: 'print full-width tables instead of fitting the terminal',
+  },
+  {
+    name: 'no-color',
+    type: 'boolean',
+    description: 'disable colored output (env: NO_COLOR)',
+  },
+  {
+    name: 'verbose',
+    type: 'boolean',
+    description: 'trace HTTP requests on stderr (env: ASOSUITE_DEBUG=1)',
+  },
+  {
+    name: 'debug-dump',
+    valueName: '<DIR>',
+    description: 'save raw request/response pairs to DIR',
+  },
+]
+
+// Keyword lists may also come from --file or stdin, so arguments are optional.
+const KEYWORD_INPUT_ARGS = [{ valueName: '[keyword...]', variadic: true }]
+
+const TRACKED_KEYWORDS_EDIT_OPTIONS = [
+  OPTIONS.json,
+  OPTIONS.region,
+  OPTIONS.platform,
+  OPTIONS.trackedApp,
+  OPTIONS.keywordFile,
+]
+
+const TRACKED_KEYWORDS_EDIT_NOTES = [
+  'Keywords can also be read from --file or stdin (`-`), like `keywords`.',
+  `Lists over ${MAX_TRACKED_KEYWORDS_ADD} keywords are sent as ${MAX_TRACKED_KEYWORDS_ADD}-keyword batches, one at a time.`,
+  'Already tracked and not tracked counts are shown when the server reports them.',
+  'An auth or payment error stops the remaining batches.',
+]
+
+const MANIFEST_OPTIONS = [
+  OPTIONS.json,
+  {
+    ...OPTIONS.keywordFile,
+    alias: 'f',
+    required: true,
+    description: 'YAML or JSON manifest (- for stdin)',
+  },
+]
+
+const PRUNE_OPTION = {
+  name: 'prune',
+  type: 'boolean',
+  description:
+    'remove apps, regions, related apps, keywords and events the manifest does not list',
+}
+
+const MANIFEST_NOTES = [
+  'The manifest lists `apps` (id, platform, regions, related, keywords),',
+  '`planned` apps (id, name, platform, regions, keywords) and `events` (date, text, app).',
+  'keywords is a list for every region or a mapping of region codes to lists.',
+  'Without --prune, nothing is removed; sections left out of the manifest are not managed.',
+]
+
+// Multi-word names are subcommands of their first word. Aliases are kept for
+// backward compatibility and listed separately in help. Commands with
+// `columns` print a table and also accept --fields, --where, --sort-by and the
+// csv, tsv and markdown formats. Commands that change the account set
+// `mutates` and are rejected under --offline.
+const COMMANDS = [
+  {
+    name: 'login',
+    summary: 'Sign in via the browser or with an access token',
+    examples: [
+      'asosuite login',
+      'asosuite login --no-open',
+      'asosuite login --token - < token.txt',
+    ],
+    options: [
+      {
+        name: 'no-open',
+        type: 'boolean',
+        description: 'print the sign-in URL without opening a browser',
+      },
+      {
+        name: 'token',
+        valueName: '<TOKEN|->',
+        description: 'store an access token (- reads it from stdin)',
+      },
+    ],
+    run: runAuthLogin,
+  },
+  {
+    name: 'logout',
+    summary: 'Clear credentials for the current profile',
+    examples: ['asosuite logout --profile ci'],
+    run: runAuthLogout,
+  },
+  {
+    name: 'auth status',
+    summary: 'Show sign-in state and token expiry',
+    examples: ['asosuite auth status --json'],
+    options: [OPTIONS.json],
+    run: runAuthStatus,
+  },
+  {
+    name: 'profile list',
+    summary: 'List account profiles',
+    examples: ['asosuite profile list'],
+    options: [OPTIONS.json],
+    run: runProfileList,
+  },
+  {
+    name: 'profile use',
+    summary: 'Switch the default profile',
+    examples: ['asosuite profile use ci'],
+    options: [OPTIONS.json],
+    positionals: [{ valueName: '<NAME>', required: true }],
+    run: runProfileUse,
+  },
+  {
+    name: 'profile remove',
+    summary: 'Delete a profile and its credentials',
+    examples: ['asosuite profile remove ci'],
+    options: [OPTIONS.json],
+    positionals: [{ valueName: '<NAME>', required: true }],
+    run: runProfileRemove,
+  },
+  {
+    name: 'subscription',
+    summary: 'Show the current subscription',
+    examples: ['asosuite subscription --json'],
+    options: [OPTIONS.json],
+    run: runSubscriptionStatus,
+  },
+  {
+    name: 'search-apps',
+    columns: SEARCH_APPS_COLUMNS,
+    summary: 'Search the App Store',
+    examples: ['asosuite search-apps --region US --platform iphone "chat gpt"'],
+    options: [OPTIONS.json, OPTIONS.region, OPTIONS.platform],
+    positionals: [{ valueName: '<query...>', required: true, variadic: true }],
+    run: runSearchApps,
+  },
+  {
+    name: 'list-apps',
+    columns: LIST_APPS_COLUMNS,
+    summary: 'List tracked and planned apps',
+    examples: ['asosuite list-apps'],
+    options: [OPTIONS.json],
+    run: runListApps,
+  },
+  {
+    name: 'keywords',
+    columns: KEYWORD_METRICS_COLUMNS,
+    summary: 'Show keyword popularity, difficulty and app position',
+    notes: [
+      'Keywords can also be read from --file or stdin (`-`): one per line, or a CSV',
+      'column headed `keyword` (else the first column). Repeated keywords are dropped.',
+      `Lists over ${MAX_KEYWORDS} keywords are sent as ${MAX_KEYWORDS}-keyword requests, ${KEYWORD_BATCH_CONCURRENCY} at a time,`,
+      'and merged in input order.',
+      'With --app, the app position is shown for each keyword.',
+    ],
+    examples: [
+      'asosuite keywords keyword1 keyword2',
+      'asosuite keywords --app "https://apps.apple.com/us/app/chatgpt/id6448311069" --platform iphone "ai assistant"',
+      'asosuite keywords --file candidates.csv --format csv > metrics.csv',
+      'cat candidates.txt | asosuite keywords -',
+    ],
+    options: [
+      OPTIONS.json,
+      OPTIONS.region,
+      OPTIONS.platform,
+      { ...OPTIONS.app, positional: true },
+      OPTIONS.keywordFile,
+    ],
+    positionals: KEYWORD_INPUT_ARGS,
+    run: runKeywordMetrics,
+  },
+  {
+    name: 'track-app',
+    summary: 'Start tracking an app in a region',
+    examples: [
+      'asosuite track-app --app 6448311069 --platform iphone --region US',
+    ],
+    options: [
+      OPTIONS.json,
+      OPTIONS.region,
+      OPTIONS.platform,
+      { ...OPTIONS.app, required: true, positional: true },
+    ],
+    mutates: true,
+    run: runTrackApp,
+  },
+  {
+    name: 'untrack-app',
+    summary: 'Stop tracking an app in a region',
+    examples: [
+      'asosuite untrack-app --app 6448311069 --platform iphone --region US',
+    ],
+    options: [
+      OPTIONS.json,
+      OPTIONS.region,
+      OPTIONS.platform,
+      { ...OPTIONS.app, required: true, positional: true },
+    ],
+    mutates: true,
+    run: runUntrackApp,
+  },
+  {
+    name: 'plan-app',
+    summary: 'Create a planned app for keyword research',
+    examples: [
+      'asosuite plan-app --name "My Next App" --platform iphone --region US',
+    ],
+    options: [
+      OPTIONS.json,
+      {
+        name: 'name',
+        valueName: '<APP_NAME>',
+        required: true,
+        description: 'planned app name',
+      },
+      OPTIONS.plannedId,
+      OPTIONS.region,
+      OPTIONS.platform,
+    ],
+    mutates: true,
+    run: runPlanApp,
+  },
+  {
+    name: 'unplan-app',
+    summary: 'Delete a planned app',
+    examples: [
+      'asosuite unplan-app --id my-next-app --platform iphone --region US',
+    ],
+    options: [
+      OPTIONS.json,
+      { ...OPTIONS.plannedId, required: true },
+      OPTIONS.region,
+      OPTIONS.platform,
+    ],
+    mutates: true,
+    run: runUnplanApp,
+  },
+  {
+    name: 'tracked-keywords list',
+    columns: [...TRACKED_KEYWORDS_COLUMNS, ...TRACKED_KEYWORDS_HISTORY_COLUMNS],
+    summary: 'List tracked keywords for an app',
+    notes: [
+      `Results are paginated at ${TRACKED_KEYWORDS_PAGE_SIZE} keywords per page. --all follows every page with the same sort;`,
+      'csv, tsv, markdown and ndjson rows (and --json, as NDJSON) are printed as each page arrives.',
+      'Without --region, keywords from every tracked region are listed.',
+      `--history adds a sparkline of the last ${SPARKLINE_MAX_POINTS} ranking points (taller is better, · is unranked),`,
+      'the change since the first ranked and the previous point (positive is a climb) and the best and worst positions.',
+    ],
+    examples: [
+      'asosuite tracked-keywords list --app 6448311069 --platform iphone --page 1 --sort keyword --order asc',
+      'asosuite tracked-keywords list --app my-next-app --platform iphone --page 1 --sort relevance --order desc',
+      'asosuite tracked-keywords list --app 6448311069 --history --sort-by sinceFirst:desc',
+    ],
+    // Backward compatibility for: tracked-keywords --app ...
+    default: true,
+    options: [
+      OPTIONS.json,
+      { ...OPTIONS.region, default: undefined },
+      OPTIONS.platform,
+      {
+        name: 'page',
+        valueName: '<NUMBER>',
+        type: 'integer',
+        min: 1,
+        max: TRACKED_KEYWORDS_MAX_PAGE,
+        default: 1,
+        description: 'result page',
+      },
+      {
+        name: 'sort',
+        valueName: '<FIELD>',
+        type: 'enum',
+        values: Array.from(TRACKED_KEYWORDS_SORT_FIELDS),
+        default: TRACKED_KEYWORDS_SORT_DEFAULT,
+        description: 'sort field',
+      },
+      {
+        name: 'order',
+        valueName: '<asc|desc>',
+        type: 'enum',
+        values: Array.from(TRACKED_KEYWORDS_ORDER_VALUES),
+        default: TRACKED_KEYWORDS_ORDER_DEFAULT,
+        description: 'sort order',
+      },
+      {
+        name: 'history',
+        type: 'boolean',
+        description: 'add ranking history columns',
+      },
+      {
+        name: 'all',
+        type: 'boolean',
+        description: 'fetch every page',
+      },
+      {
+        name: 'limit',
+        valueName: '<N>',
+        type: 'integer',
+        min: 1,
+        max: TRACKED_KEYWORDS_MAX_PAGE * TRACKED_KEYWORDS_PAGE_SIZE,
+        description: 'stop after N keywords (implies --all)',
+      },
+      OPTIONS.trackedApp,
+    ],
+    run: runTrackedKeywordsList,
+  },
+  {
+    name: 'tracked-keywords add',
+    summary: 'Track keywords for an app',
+    notes: TRACKED_KEYWORDS_EDIT_NOTES,
+    examples: [
+      'asosuite tracked-keywords add --app 6448311069 --region US "step counter"',
+      'asosuite tracked-keywords add --app 6448311069 --region US --file keywords.txt',
+    ],
+    options: TRACKED_KEYWORDS_EDIT_OPTIONS,
+    positionals: KEYWORD_INPUT_ARGS,
+    mutates: true,
+    run: runTrackedKeywordsAdd,
+  },
+  {
+    name: 'tracked-keywords remove',
+    summary: 'Stop tracking keywords for an app',
+    notes: TRACKED_KEYWORDS_EDIT_NOTES,
+    examples: [
+      'asosuite tracked-keywords remove --app 6448311069 --region US "step counter"',
+      'asosuite tracked-keywords remove --app my-next-app --region US "step counter"',
+      'cat stale.txt | asosuite tracked-keywords remove --app 6448311069 --region US -',
+    ],
+    options: TRACKED_KEYWORDS_EDIT_OPTIONS,
+    positionals: KEYWORD_INPUT_ARGS,
+    mutates: true,
+    run: runTrackedKeywordsRemove,
+  },
+  {
+    name: 'tracked-keywords sync',
+    summary: 'Add and remove tracked keywords to match a file',
+    notes: [
+      'The file is text or CSV for --region (a `region` column overrides it), or JSON',
+      'like {"US": ["step counter"], "GB": []}. Regions not in the file are left alone.',
+      'The current keywords are fetched across all pages, bypassing the cache.',
+    ],
+    examples: [
+      'asosuite tracked-keywords sync --app 6448311069 --region US --file keywords.txt --dry-run',
+      'asosuite tracked-keywords sync --app my-next-app --file keywords.json',
+    ],
+    options: [
+      OPTIONS.json,
+      {
+        ...OPTIONS.region,
+        description: 'region for files that do not name regions',
+      },
+      OPTIONS.platform,
+      OPTIONS.trackedApp,
+      {
+        ...OPTIONS.keywordFile,
+        required: true,
+        description: 'text, CSV or JSON keyword file (- for stdin)',
+      },
+      {
+        name: 'dry-run',
+        type: 'boolean',
+        description: 'print the plan without changing anything',
+      },
+    ],
+    mutates: true,
+    run: runTrackedKeywordsSync,
+  },
+  {
+    name: 'add-keywords',
+    aliasOf: 'tracked-keywords add',
+    options: TRACKED_KEYWORDS_EDIT_OPTIONS,
+    positionals: KEYWORD_INPUT_ARGS,
+    mutates: true,
+    run: runTrackedKeywordsAdd,
+  },
+  {
+    name: 'remove-keywords',
+    aliasOf: 'tracked-keywords remove',
+    options: TRACKED_KEYWORDS_EDIT_OPTIONS,
+    positionals: KEYWORD_INPUT_ARGS,
+    mutates: true,
+    run: runTrackedKeywordsRemove,
+  },
+  {
+    name: 'remove-planned-keywords',
+    aliasOf: 'tracked-keywords remove',
+    summary:
+      'Alias of tracked-keywords remove that takes --id <PLANNED_APP_ID>',
+    options: [
+      OPTIONS.json,
+      OPTIONS.region,
+      OPTIONS.platform,
+      { ...OPTIONS.plannedId, required: true },
+      OPTIONS.keywordFile,
+    ],
+    positionals: KEYWORD_INPUT_ARGS,
+    mutates: true,
+    run: (options, positionals) =>
+      runTrackedKeywordsRemove(
+        { ...options, app: parseTrackedKeywordsAppTarget(options.id) },
+        positionals,
+      ),
+  },
+  {
+    name: 'related-apps list',
+    columns: RELATED_APPS_COLUMNS,
+    summary: 'List related apps',
+    examples: ['asosuite related-apps list --app 6448311069 --platform iphone'],
+    options: [
+      OPTIONS.json,
+      { ...OPTIONS.app, required: true, positional: true },
+      OPTIONS.platform,
+    ],
+    run: runRelatedAppsList,
+  },
+  {
+    name: 'related-apps add',
+    summary: 'Add a related app',
+    examples: [
+      'asosuite related-apps add --app 6448311069 --related 333903271 --platform iphone --region US',
+    ],
+    options: [
+      OPTIONS.json,
+      { ...OPTIONS.app, required: true, positional: true },
+      {
+        ...OPTIONS.app,
+        name: 'related',
+        alias: undefined,
+        required: true,
+        description: 'related App Store app id or URL',
+      },
+      OPTIONS.platform,
+      { ...OPTIONS.region, default: undefined },
+    ],
+    mutates: true,
+    run: runRelatedAppsAdd,
+  },
+  {
+    name: 'related-apps remove',
+    summary: 'Remove a related app',
+    examples: [
+      'asosuite related-apps remove --app 6448311069 --related 333903271 --platform iphone',
+    ],
+    options: [
+      OPTIONS.json,
+      { ...OPTIONS.app, required: true, positional: true },
+      {
+        ...OPTIONS.app,
+        name: 'related',
+        alias: undefined,
+        required: true,
+        description: 'related App Store app id or URL',
+      },
+      OPTIONS.platform,
+    ],
+    mutates: true,
+    run: runRelatedAppsRemove,
+  },
+  {
+    name: 'events list',
+    columns: EVENTS_COLUMNS,
+    summary: 'List timeline events',
+    notes: ['With --app, global events are included as well.'],
+    examples: ['asosuite events list --app 6448311069'],
+    options: [OPTIONS.json, OPTIONS.app],
+    run: runEventsList,
+  },
+  {
+    name: 'events add',
+    summary: 'Add a timeline event',
+    examples: ['asosuite events add --app 6448311069 --text "Release v2.0"'],
+    options: [
+      OPTIONS.json,
+      {
+        name: 'text',
+        valueName: '<TEXT>',
+        required: true,
+        description: 'event text',
+      },
+      {
+        name: 'date',
+        valueName: '<YYYY-MM-DD>',
+        parse: normalizeDateOnly,
+        hint: 'Use YYYY-MM-DD.',
+        description: 'event date (default: today)',
+      },
+      OPTIONS.app,
+    ],
+    mutates: true,
+    run: runEventsAdd,
+  },
+  {
+    name: 'events delete',
+    summary: 'Delete a timeline event',
+    examples: ['asosuite events delete 123'],
+    options: [OPTIONS.json],
+    positionals: [{ valueName: '<EVENT_ID>', required: true }],
+    mutates: true,
+    run: runEventsDelete,
+  },
+  {
+    name: 'charts',
+    columns: CHARTS_COLUMNS,
+    summary: 'Show top chart rankings',
+    notes: ['Use either --region or --regions, not both.'],
+    examples: [
+      'asosuite charts --app 6448311069 --platform iphone --period 30',
+      'asosuite charts --app 6448311069 --regions US,GB',
+    ],
+    options: [
+      OPTIONS.json,
+      OPTIONS.period,
+      { ...OPTIONS.region, default: undefined },
+      {
+        name: 'regions',
+        valueName: '<REGION,REGION>',
+        parse: (value) => {
+          const regions = parseRegionsOption(value)
+          return regions.length > 0 ? regions : null
+        },
+        hint: 'Use comma-separated region codes.',
+        multiple: true,
+        description: 'comma-separated region codes',
+      },
+      OPTIONS.platform,
+      { ...OPTIONS.app, required: true, positional: true },
+    ],
+    run: runRankings,
+  },
+  {
+    name: 'features',
+    columns: FEATURES_COLUMNS,
+    summary: 'Show App Store featuring history',
+    examples: ['asosuite features --app 6448311069 --platform iphone'],
+    options: [
+      OPTIONS.json,
+      OPTIONS.platform,
+      { ...OPTIONS.app, required: true, positional: true },
+    ],
+    run: runFeatured,
+  },
+  {
+    name: 'ratings',
+    columns: RATINGS_COLUMNS,
+    summary: 'Show ratings by region',
+    examples: [
+      'asosuite ratings --app 6448311069 --platform iphone --period 30',
+    ],
+    options: [
+      OPTIONS.json,
+      OPTIONS.period,
+      OPTIONS.platform,
+      { ...OPTIONS.app, required: true, positional: true },
+    ],
+    run: runRatings,
+  },
+  {
+    name: 'plan',
+    summary: 'Compare the account with a manifest',
+    notes: MANIFEST_NOTES,
+    examples: [
+      'asosuite plan -f aso.yaml',
+      'asosuite plan -f aso.yaml --prune',
+    ],
+    options: [
+      ...MANIFEST_OPTIONS,
+      { ...PRUNE_OPTION, description: 'include removals in the plan' },
+    ],
+    run: runPlan,
+  },
+  {
+    name: 'apply',
+    summary: 'Change the account to match a manifest',
+    notes: MANIFEST_NOTES,
+    examples: [
+      'asosuite apply -f aso.yaml',
+      'asosuite apply -f aso.yaml --prune',
+    ],
+    options: [...MANIFEST_OPTIONS, PRUNE_OPTION],
+    mutates: true,
+    run: runApply,
+  },
+  {
+    name: 'cache clear',
+    summary: 'Delete all cached responses',
+    examples: ['asosuite cache clear'],
+    options: [OPTIONS.json],
+    run: runCacheClear,
+  },
+  {
+    name: 'cache stats',
+    summary: 'Show response cache usage',
+    examples: ['asosuite cache stats --json'],
+    options: [OPTIONS.json],
+    run: runCacheStats,
+  },
+  {
+    name: 'completion',
+    summary: 'Print a shell completion script',
+    positionals: [
+      {
+        valueName: '<bash|zsh|fish>',
+        required: true,
+        values: COMPLETION_SHELLS,
+      },
+    ],
+    notes: [
+      'App ids and planned ids are completed from the last `asosuite list-apps` result.',
+    ],
+    examples: [
+      'source <(asosuite completion bash)',
+      'source <(asosuite completion zsh)',
+      'asosuite completion fish > ~/.config/fish/completions/asosuite.fish',
+    ],
+    run: runCompletion,
+  },
+  {
+    name: '__complete',
+    hidden: true,
+    positionals: [{ valueName: '[word...]', variadic: true }],
+    run: runComplete,
+  },
+  {
+    name: 'help',
+    summary: 'Show help for all commands or one command',
+    positionals: [{ valueName: '[command...]', variadic: true }],
+    examples: [
+      'asosuite help tracked-keywords add',
+      'asosuite tracked-keywords add --help',
+    ],
+    run: (_options, positionals) => printHelpTopic(positionals),
+  },
+]
+
+function formatChoices(values) {
+  if (values.length <= 2) {
+    return values.join(' or ')
+  }
+
+  return `${values.slice(0, -1).join(', ')}, or ${values.at(-1)}`
+}
+
+function resolveCommand(args) {
+  const name = String(args[0] || 'help').trim()
+  const group = getCommandGroup(name)
 
-  if (!period) {
-    throw new Error('Invalid --period value. Allowed values: 7, 30, 90')
+  if (group.length === 0) {
+    const command = findCommand(name)
+    if (!command) {
+      throw createUsageError(`Unknown command: ${name}`)
+    }
+    return { command, argv: args.slice(1) }
   }
 
-  const payload = await apiRequest({
-    pathName: `/api/cli/apps/${encodeURIComponent(appId)}/${platform}/ratings`,
-    method: 'POST',
-    accessToken,
-    body: {
-      period,
-    },
-  })
+  const subcommand = String(args[1] || '')
+    .trim()
+    .toLowerCase()
+  const command = findCommand(`${name} ${subcommand}`)
 
-  if (outputJson) {
-    printJson(payload)
-    return
+  if (command) {
+    return { command, argv: args.slice(2) }
   }
 
-  const series = Array.isArray(payload?.series) ? payload.series : []
-  const regions = Array.isArray(payload?.regions) ? payload.regions : []
-  const latestSeries = series.length > 0 ? series[series.length - 1] : null
+  const fallback = group.find((entry) => entry.default)
+  if (fallback) {
+    return { command: fallback, argv: args.slice(1) }
+  }
 
-  print(`App ID: ${appId}`)
-  print(`Platform: ${platform}`)
-  print(`Period: ${period} days`)
-  print(`Last update: ${formatDate(payload?.lastUpdate)}`)
-  print(`Series points: ${series.length}`)
+  const subcommands = group.map((entry) => entry.name.slice(name.length + 1))
 
-  if (latestSeries) {
-    const average =
-      typeof latestSeries.average === 'number' ? latestSeries.average : 'n/a'
-    print(
-      `Latest day: ${latestSeries.date} (average=${average}, count=${latestSeries.count})`,
+  if (!subcommand) {
+    throw createUsageError(
+      `Provide a subcommand: ${name} <${subcommands.join('|')}> ...`,
     )
   }
 
-  if (regions.length === 0) {
-    return
-  }
+  throw createUsageError(
+    `Unknown ${name} subcommand: ${subcommand}. Use ${formatChoices(subcommands)}.`,
+  )
+}
 
-  print('')
+// Command options that take a value, so `events add --text --verbose` keeps
+// `--verbose` as the text instead of reading it as the global flag.
+function getCommandValueFlags() {
+  return new Set(
+    COMMANDS.flatMap((command) =>
+      (command.options || [])
+        .filter((spec) => spec.type !== 'boolean')
+        .flatMap((spec) => [
+          `--${spec.name}`,
+          ...(spec.alias ? [`-${spec.alias}`] : []),
+        ]),
+    ),
+  )
+}
 
-  const rows = regions.map((entry) => [
-    entry.region || '-',
-    String(entry.totalCount ?? 0),
-    typeof entry.average === 'number' ? String(entry.average) : 'n/a',
-    formatTrendValue(entry.trend),
-    formatDate(entry.lastUpdate),
-  ])
+function findCommand(name) {
+  return COMMANDS.find((command) => command.name === name) || null
+}
 
-  printTable(['Region', 'Total', 'Average', 'Trend', 'Last Update'], rows)
+function getCommandGroup(name) {
+  return COMMANDS.filter((command) => command.name.startsWith(`${name} `))
 }
 
-async function run() {
-  const { command, rest } = parseArgs(process.argv.slice(2))
+function hasHelpFlag(args) {
+  const end = args.indexOf('--')
+  return (end === -1 ? args : args.slice(0, end)).some(
+    (arg) => arg === '--help' || arg === '-h',
+  )
+}
 
-  if (command === 'help' || command === '--help' || command === '-h') {
-    printHelp()
-    return
+function handleInterrupt() {
+  if (interruptController.signal.aborted) {
+    process.exit(EXIT_CODES.interrupted)
   }
 
-  if (command === 'login') {
-    await runAuthLogin(rest)
-    return
-  }
+  interruptController.abort()
+}
 
-  if (command === 'logout') {
-    await runAuthLogout()
-    return
+// A reader that stops early (`asosuite ... | head`) closes the pipe; that ends
+// the output, not the command with an error.
+function handleOutputError(error) {
+  if (error?.code === 'EPIPE') {
+    process.exit(process.exitCode ?? 0)
   }
 
-  if (command === 'subscription') {
-    await runSubscriptionStatus(rest)
-    return
-  }
+  throw error
+}
 
-  if (command === 'search-apps') {
-    await runSearchApps(rest)
-    return
-  }
+async function run() {
+  process.on('SIGINT', handleInterrupt)
+  process.stdout.on('error', handleOutputError)
+  process.stderr.on('error', handleOutputError)
+
+  const { values: globals, rest: args } = extractOptions(
+    process.argv.slice(2),
+    GLOBAL_OPTIONS,
+    { valueFlags: getCommandValueFlags() },
+  )
+  runtime.outputJson =
+    args.includes('--json') || JSON_FORMATS.has(globals.format)
 
-  if (command === 'list-apps') {
-    await runListApps(rest)
+  const config = await loadConfig()
+  applyBaseUrls(config, globals)
+  applyProfile(config, globals)
+  applyRetryOptions(globals)
+  applyTimeoutOption(config, globals)
+  await applyCaFileOption(config, globals)
+  applyCacheOptions(globals)
+  applyDebugOptions(globals)
+  applyDisplayOptions(globals)
+  applyFixtureOptions()
+
+  if (hasHelpFlag(args)) {
+    printHelpTopic(
+      args.slice(
+        0,
+        args.findIndex((arg) => arg.startsWith('-')),
+      ),
+    )
     return
   }
 
-  if (command === 'keywords') {
-    await runKeywordMetrics(rest)
-    return
-  }
+  const { command, argv } = resolveCommand(args)
+  const { options, positionals } = parseCommandArgs(command, argv)
+  applyOutputFormat(command, options, globals)
+  applyRowOptions(command, globals)
 
-  if (command === 'track-app') {
-    await runTrackApp(rest)
-    return
+  if (command.mutates && !options.dryRun && runtime.cacheMode === 'offline') {
+    throw createUsageError(
+      `Cannot modify the account while offline. Run ${command.name} without --offline.`,
+    )
   }
 
-  if (command === 'untrack-app') {
-    await runUntrackApp(rest)
-    return
+  try {
+    await command.run(options, positionals)
+  } finally {
+    await invalidateCacheTags(runtime.staleCacheTags)
   }
+}
 
-  if (command === 'plan-app') {
-    await runPlanApp(rest)
-    return
-  }
+function classifyError(error) {
+  const status = Number(error?.status || 0)
 
-  if (command === 'unplan-app') {
-    await runUnplanApp(rest)
-    return
+  if (status === 401 || status === 403) {
+    return 'auth'
   }
 
-  if (command === 'add-keywords') {
-    await runTrackedKeywordsAdd(rest)
-    return
+  if (status === 402) {
+    return 'payment'
   }
 
-  if (command === 'remove-keywords') {
-    await runTrackedKeywordsRemove(rest)
-    return
+  if (status === 404) {
+    return 'not_found'
   }
 
-  if (command === 'remove-planned-keywords') {
-    const plannedTrackedAppId = takeOption(rest, '--id')
-
-    if (!plannedTrackedAppId) {
-      throw new Error('Provide a planned app id via --id <PLANNED_APP_ID>')
-    }
-
-    rest.push('--app', plannedTrackedAppId)
-    await runTrackedKeywordsRemove(rest)
-    return
+  if (status === 429) {
+    return 'rate_limit'
   }
 
-  if (command === 'related-apps') {
-    await runRelatedApps(rest)
-    return
+  if (status >= 500) {
+    return 'server'
   }
 
-  if (command === 'events') {
-    await runEvents(rest)
-    return
+  if (status >= 400) {
+    return 'usage'
   }
 
-  if (command === 'tracked-keywords') {
-    await runTrackedKeywords(rest)
-    return
+  return ERROR_CODE_CATEGORIES[error?.code] || 'error'
+}
+
+function buildErrorPayload(error, category) {
+  const payload =
+    error?.payload && typeof error.payload === 'object' ? error.payload : {}
+  const status = Number(error?.status || 0)
+  const result = {
+    error:
+      category === 'not_found'
+        ? 'CLI endpoint not found on server.'
+        : typeof error?.message === 'string'
+          ? error.message
+          : String(error),
+    code: category,
+    exitCode: EXIT_CODES[category],
+    status: status || null,
   }
 
-  if (command === 'charts') {
-    await runRankings(rest)
-    return
+  if (typeof payload.code === 'string') {
+    result.serverCode = payload.code
   }
 
-  if (command === 'features') {
-    await runFeatured(rest)
-    return
+  const retryAfterSeconds = Number(
+    payload.retryAfterSeconds ?? error?.retryAfterSeconds,
+  )
+  if (Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0) {
+    result.retryAfterSeconds = Math.ceil(retryAfterSeconds)
+  }
+
+  for (const key of [
+    'subscribeUrl',
+    'freeUnitLimit',
+    'usedUnits',
+    'remainingUnits',
+  ]) {
+    if (payload[key] != null) {
+      result[key] = payload[key]
+    }
   }
 
-  if (command === 'ratings') {
-    await runRatings(rest)
-    return
+  if (category === 'not_found') {
+    result.expectedServerUrl = runtime.apiBaseUrl
   }
 
-  throw new Error(`Unknown command: ${command}`)
+  return result
 }
 
 run().catch((error) => {
   const status = Number(error?.status || 0)
+  const category = classifyError(error)
+  const exitCode = EXIT_CODES[category]
+
+  if (runtime.outputJson) {
+    printError(JSON.stringify(buildErrorPayload(error, category)))
+    process.exit(exitCode)
+    return
+  }
+
+  if (category === 'interrupted') {
+    printError('Interrupted.')
+    process.exit(exitCode)
+    return
+  }
 
   if (status === 401) {
-    printError('Authentication failed. Run `asosuite login` again.')
-    process.exit(1)
+    printError(
+      getEnvAccessToken()
+        ? 'Authentication failed. Check the ASOSUITE_TOKEN environment variable.'
+        : 'Authentication failed. Run `asosuite login` again.',
+    )
+    process.exit(exitCode)
     return
   }
 
@@ -2383,7 +6684,7 @@ run().catch((error) => {
         printError(`Subscribe: ${subscribeUrl}`)
       }
 
-      process.exit(1)
+      process.exit(exitCode)
       return
     }
 
@@ -2399,7 +6700,7 @@ run().catch((error) => {
     if (typeof subscribeUrl === 'string' && subscribeUrl.trim()) {
       printError(`Subscribe: ${subscribeUrl}`)
     }
-    process.exit(1)
+    process.exit(exitCode)
     return
   }
 
@@ -2419,17 +6720,17 @@ run().catch((error) => {
       printError(`Retry after: ${Math.ceil(retryAfterSeconds)}s`)
     }
 
-    process.exit(1)
+    process.exit(exitCode)
     return
   }
 
   if (status === 404) {
     printError('CLI endpoint not found on server.')
-    printError(`Expected server URL: ${API_BASE_URL}`)
-    process.exit(1)
+    printError(`Expected server URL: ${runtime.apiBaseUrl}`)
+    process.exit(exitCode)
     return
   }
 
   printError(typeof error?.message === 'string' ? error.message : String(error))
-  process.exit(1)
+  process.exit(exitCode)
 })
@@ -0,0 +1,94 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+const DAY = 24 * 60 * 60 * 1000
+
+let server
+
+before(async () => {
+  server = await startServer(() => [200, { plan: 'pro', active: true }])
+})
+
+after(() => server.close())
+
+async function createHome(expiresAt) {
+  const home = await createTempDir()
+  await fs.mkdir(path.join(home, '.asosuite'))
+  await fs.writeFile(
+    path.join(home, '.asosuite', 'config.json'),
+    JSON.stringify({
+      profiles: {
+        default: {
+          accessToken: 'stored-token',
+          expiresAt: new Date(Date.now() + expiresAt).toISOString(),
+        },
+      },
+    }),
+  )
+  return home
+}
+
+// Stored tokens only; ASOSUITE_TOKEN would override them.
+function cli(home, args) {
+  return runCli(['--api-url', server.url, ...args], {
+    home,
+    env: { ASOSUITE_TOKEN: '' },
+  })
+}
+
+test('auth status reports the token and the plan', async () => {
+  const result = await cli(await createHome(30 * DAY), [
+    'auth',
+    'status',
+    '--json',
+  ])
+  const status = JSON.parse(result.stdout)
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.equal(status.profile, 'default')
+  assert.equal(status.authenticated, true)
+  assert.equal(status.tokenSource, 'config')
+  assert.equal(status.expired, false)
+  assert.ok(status.expiresInSeconds > 29 * 24 * 60 * 60)
+  assert.equal(status.plan, 'pro')
+  assert.equal(status.active, true)
+})
+
+test('auth status reports a missing token without a request', async () => {
+  const requestCount = server.requests.length
+  const result = await cli(await createTempDir(), ['auth', 'status', '--json'])
+  const status = JSON.parse(result.stdout)
+
+  assert.notEqual(result.code, 0)
+  assert.equal(status.authenticated, false)
+  assert.equal(status.tokenSource, null)
+  assert.equal(server.requests.length, requestCount)
+})
+
+test('an expired token fails before any request', async () => {
+  const requestCount = server.requests.length
+  const home = await createHome(-DAY)
+
+  const status = await cli(home, ['auth', 'status', '--json'])
+  assert.notEqual(status.code, 0)
+  assert.equal(JSON.parse(status.stdout).expired, true)
+
+  const result = await cli(home, ['subscription'])
+  assert.notEqual(result.code, 0)
+  assert.match(result.stderr, /Access token expired at .*asosuite login/)
+  assert.equal(server.requests.length, requestCount)
+})
+
+test('a token that expires within a week prints a warning', async () => {
+  const result = await cli(await createHome(2 * DAY), ['subscription'])
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.match(result.stderr, /Warning: access token expires in/)
+
+  const later = await cli(await createHome(30 * DAY), ['subscription'])
+  assert.equal(later.stderr, '')
+})
@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+const RELATED_APPS = '/api/cli/apps/6448311069/iphone/related-apps'
+
+test('cached responses are kept per access token', async () => {
+  const server = await startServer(({ pathName }) =>
+    pathName === RELATED_APPS ? [200, []] : [404, { error: 'Not found' }],
+  )
+  const home = await createTempDir()
+  const listRelated = (token, ...args) =>
+    runCli(
+      [
+        '--api-url',
+        server.url,
+        'related-apps',
+        'list',
+        '--app',
+        '6448311069',
+        '--json',
+        ...args,
+      ],
+      { home, env: { ASOSUITE_TOKEN: token } },
+    )
+
+  try {
+    for (const token of ['token-a', 'token-a', 'token-b']) {
+      const result = await listRelated(token)
+      assert.equal(result.code, 0, result.stderr)
+    }
+    assert.equal(server.requests.length, 2)
+
+    assert.equal((await listRelated('token-b', '--offline')).code, 0)
+    const offline = await listRelated('token-c', '--offline')
+    assert.equal(offline.code, 7)
+    assert.match(offline.stderr, /no cached response/)
+    assert.equal(server.requests.length, 2)
+  } finally {
+    await server.close()
+  }
+})
+
+test('a change clears the cached responses it affects', async () => {
+  const server = await startServer(({ method }) =>
+    method === 'GET' ? [200, []] : [200, { ok: true }],
+  )
+  const home = await createTempDir()
+  const cli = (...args) =>
+    runCli(
+      [
+        '--api-url',
+        server.url,
+        'related-apps',
+        ...args,
+        '--app',
+        '6448311069',
+        '--json',
+      ],
+      { home },
+    )
+
+  try {
+    await cli('list')
+    await cli('list')
+    assert.equal(server.requests.length, 1)
+
+    const result = await cli('add', '--related', '333903271')
+    assert.equal(result.code, 0, result.stderr)
+
+    await cli('list')
+    assert.deepEqual(
+      server.requests.map((request) => request.method),
+      ['GET', 'POST', 'GET'],
+    )
+  } finally {
+    await server.close()
+  }
+})
+
+test('changes are rejected under --offline without a request', async () => {
+  const server = await startServer(() => [200, { ok: true }])
+
+  try {
+    for (const args of [
+      ['track-app', '--app', '6448311069'],
+      ['tracked-keywords', 'add', '--app', '6448311069', 'step counter'],
+      ['events', 'add', '--text', 'Launch'],
+    ]) {
+      const result = await runCli([
+        '--api-url',
+        server.url,
+        '--offline',
+        ...args,
+      ])
+
+      assert.equal(result.code, 2)
+      assert.match(result.stderr, /Cannot modify the account while offline/)
+    }
+    assert.equal(server.requests.length, 0)
+  } finally {
+    await server.close()
+  }
+})
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import { test } from 'node:test'
+
+import * as clientModule from '../src/client.mjs'
+
+const { AsoSuiteClient, AsoSuiteValidationError } = clientModule
+
+function createTestClient() {
+  const requests = []
+  const client = new AsoSuiteClient({
+    accessToken: 'token',
+    request: async (options) => {
+      requests.push(options)
+      return { ok: true }
+    },
+  })
+  return { client, requests }
+}
+
+test('invalid options reject instead of throwing', async () => {
+  const { client, requests } = createTestClient()
+  const calls = {
+    getKeywordMetrics: () =>
+      client.getKeywordMetrics({ keywords: ['a'], region: 'bad' }),
+    searchApps: () => client.searchApps({ query: ' ' }),
+    trackApp: () => client.trackApp({ appId: 'nope' }),
+    planApp: () => client.planApp({ name: '' }),
+    listTrackedKeywords: () =>
+      client.listTrackedKeywords({ app: '6448311069', page: 0 }),
+    addTrackedKeywords: () =>
+      client.addTrackedKeywords({ app: '6448311069', keywords: [] }),
+    addEvent: () => client.addEvent({ text: '' }),
+    deleteEvent: () => client.deleteEvent('x'),
+    getCharts: () => client.getCharts({ appId: '6448311069', period: 1 }),
+  }
+
+  for (const [name, call] of Object.entries(calls)) {
+    let result
+    assert.doesNotThrow(() => {
+      result = call()
+    }, name)
+    assert.ok(result instanceof Promise, name)
+    await assert.rejects(result, AsoSuiteValidationError, name)
+  }
+
+  assert.equal(requests.length, 0)
+})
+
+test('valid options reach the request transport', async () => {
+  const { client, requests } = createTestClient()
+
+  await client.getKeywordMetrics({ keywords: ['step counter'], region: 'gb' })
+
+  assert.deepEqual(requests[0].body, {
+    region: 'GB',
+    keywords: ['step counter'],
+    appId: null,
+    platform: 'iphone',
+  })
+  assert.equal(requests[0].accessToken, 'token')
+})
+
+// TypeScript isn't a dependency, so this keeps client.d.mts from drifting:
+// every runtime export is declared, and every client method returns a Promise.
+test('client.d.mts declares every export and method', async () => {
+  const declarations = await fs.readFile(
+    new URL('../src/client.d.mts', import.meta.url),
+    'utf8',
+  )
+  const declared = new Set(
+    [...declarations.matchAll(/^export (?:class|function|const) (\w+)/gm)].map(
+      (match) => match[1],
+    ),
+  )
+
+  assert.deepEqual(
+    Object.keys(clientModule).filter((name) => !declared.has(name)),
+    [],
+  )
+
+  const classBody = declarations.slice(
+    declarations.indexOf('export class AsoSuiteClient {'),
+  )
+  const methods = Object.getOwnPropertyNames(AsoSuiteClient.prototype).filter(
+    (name) => name !== 'constructor',
+  )
+
+  for (const name of methods) {
+    const start = classBody.search(new RegExp(`^  ${name}[<(]`, 'm'))
+    assert.notEqual(start, -1, `${name} is not declared`)
+
+    const end = classBody.slice(start + 1).search(/^  [\w/]/m)
+    const declaration = classBody.slice(start, start + 1 + end)
+    assert.match(declaration, /\): Promise</, name)
+  }
+})
@@ -0,0 +1,45 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+test('completion prints a script for each shell', async () => {
+  for (const shell of ['bash', 'zsh', 'fish']) {
+    const result = await runCli(['completion', shell])
+
+    assert.equal(result.code, 0, result.stderr)
+    assert.match(result.stdout, /asosuite __complete/)
+  }
+
+  assert.equal((await runCli(['completion', 'tcsh'])).code, 2)
+})
+
+test('app ids are completed from the cache without calling the API', async () => {
+  const server = await startServer(() => [
+    200,
+    {
+      tracked: [{ appId: '6448311069', platform: 'iphone', regions: [] }],
+      planned: [{ plannedTrackedAppId: 'my-next-app', platform: 'iphone' }],
+    },
+  ])
+  const home = await createTempDir()
+  const complete = (...words) =>
+    runCli(['__complete', '--', '--api-url', server.url, ...words], { home })
+
+  try {
+    assert.equal((await complete('track-app', '--app', '')).stdout, '')
+    assert.equal(server.requests.length, 0)
+
+    await runCli(['--api-url', server.url, 'list-apps', '--json'], { home })
+    assert.equal(server.requests.length, 1)
+
+    const apps = await complete('track-app', '--app', '')
+    const ids = await complete('tracked-keywords', 'list', '--app', 'my')
+
+    assert.equal(apps.stdout, '6448311069\n')
+    assert.equal(ids.stdout, 'my-next-app\n')
+    assert.equal(server.requests.length, 1)
+  } finally {
+    await server.close()
+  }
+})
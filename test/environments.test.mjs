@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+const servers = {}
+
+before(async () => {
+  for (const name of ['flag', 'variable', 'staging', 'local']) {
+    servers[name] = await startServer(() => [200, { tracked: [], planned: [] }])
+  }
+})
+
+after(() => Promise.all(Object.values(servers).map((server) => server.close())))
+
+async function createHome(config) {
+  const home = await createTempDir()
+  await fs.mkdir(path.join(home, '.asosuite'))
+  await fs.writeFile(
+    path.join(home, '.asosuite', 'config.json'),
+    JSON.stringify({ accessToken: 'test-token', ...config }),
+  )
+  return home
+}
+
+async function findServer(args, env = {}) {
+  const home = await createHome({
+    environment: 'staging',
+    environments: {
+      staging: { apiUrl: servers.staging.url },
+      local: { apiUrl: `${servers.local.url}/` },
+    },
+  })
+  const counts = Object.values(servers).map((server) => server.requests.length)
+  const result = await runCli([...args, 'list-apps', '--json'], { home, env })
+  assert.equal(result.code, 0, result.stderr)
+
+  return Object.keys(servers).find(
+    (name, index) => servers[name].requests.length > counts[index],
+  )
+}
+
+test('the API server comes from the flag, the variable, then the environment', async () => {
+  const variable = { ASOSUITE_API_URL: servers.variable.url }
+
+  assert.equal(
+    await findServer(['--api-url', servers.flag.url], variable),
+    'flag',
+  )
+  assert.equal(await findServer([], variable), 'variable')
+  assert.equal(await findServer([]), 'staging')
+  assert.equal(await findServer(['--env', 'local']), 'local')
+  assert.equal(await findServer([], { ASOSUITE_ENV: 'local' }), 'local')
+})
+
+test('unknown environments and invalid URLs are rejected', async () => {
+  const home = await createHome({
+    environments: { staging: { apiUrl: servers.staging.url } },
+  })
+  const cases = [
+    [
+      ['--env', 'prod'],
+      /Unknown environment: prod\. Configured environments: staging/,
+    ],
+    [['--api-url', 'ftp://example.com'], /Invalid --api-url value/],
+  ]
+
+  for (const [args, message] of cases) {
+    const result = await runCli([...args, 'list-apps'], { home })
+
+    assert.notEqual(result.code, 0)
+    assert.match(result.stderr, message)
+  }
+})
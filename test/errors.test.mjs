@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+
+import { runCli, startServer } from './helpers.mjs'
+
+// The response for each status the server is asked for via ?status=.
+const RESPONSES = {
+  401: { error: 'Unauthorized' },
+  402: {
+    error: 'Free CLI usage credits reached.',
+    code: 'cli_free_unit_limit_reached',
+    subscribeUrl: 'https://asosuite.com/subscribe',
+    freeUnitLimit: 100,
+    usedUnits: 100,
+    remainingUnits: 0,
+  },
+  404: { error: 'Not found' },
+  429: { error: 'Too many requests', retryAfterSeconds: 30 },
+  500: { error: 'Internal error' },
+}
+
+let server
+
+before(async () => {
+  server = await startServer(({ pathName }) => {
+    const status = Number(pathName.split('/').at(-1))
+    return [status, RESPONSES[status]]
+  })
+})
+
+after(() => server.close())
+
+// `events delete <status>` requests a path ending in the status.
+function fail(status, ...args) {
+  return runCli([
+    '--api-url',
+    server.url,
+    'events',
+    'delete',
+    String(status),
+    ...args,
+  ])
+}
+
+test('each error class has its own exit code', async () => {
+  for (const [status, exitCode, message] of [
+    [401, 3, /Authentication failed\. Check the ASOSUITE_TOKEN/],
+    [402, 4, /Free usage credits: 100 \/ 100/],
+    [404, 5, /not found/i],
+    [429, 6, /Too many requests/],
+    [500, 8, /Internal error/],
+  ]) {
+    const result = await fail(status)
+
+    assert.equal(result.code, exitCode, `HTTP ${status}`)
+    assert.match(result.stderr, message)
+  }
+})
+
+test('--json errors are a JSON object on stderr', async () => {
+  const payment = await fail(402, '--json')
+  assert.equal(payment.code, 4)
+  assert.equal(payment.stdout, '')
+  assert.deepEqual(JSON.parse(payment.stderr), {
+    error: 'Free CLI usage credits reached.',
+    code: 'payment',
+    exitCode: 4,
+    status: 402,
+    serverCode: 'cli_free_unit_limit_reached',
+    subscribeUrl: 'https://asosuite.com/subscribe',
+    freeUnitLimit: 100,
+    usedUnits: 100,
+    remainingUnits: 0,
+  })
+
+  const missing = JSON.parse((await fail(404, '--json')).stderr)
+  assert.equal(missing.code, 'not_found')
+  assert.equal(missing.expectedServerUrl, server.url)
+
+  const limited = JSON.parse((await fail(429, '--json')).stderr)
+  assert.equal(limited.code, 'rate_limit')
+  assert.equal(limited.retryAfterSeconds, 30)
+})
+
+test('usage and network errors have their own exit codes', async () => {
+  const usage = await runCli(['--api-url', server.url, 'no-such-command'])
+  assert.equal(usage.code, 2)
+
+  const closed = await startServer(() => [200, {}])
+  await closed.close()
+  const network = await runCli([
+    '--api-url',
+    closed.url,
+    'subscription',
+    '--json',
+  ])
+  assert.equal(network.code, 7)
+  assert.equal(JSON.parse(network.stderr).code, 'network')
+})
@@ -0,0 +1,131 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+let server
+
+before(async () => {
+  server = await startServer(({ pathName, body }) => {
+    if (pathName === '/api/cli/keywords/metrics') {
+      return [
+        200,
+        {
+          region: body.region,
+          keywordCount: body.keywords.length,
+          metrics: body.keywords.map((keyword) => ({ keyword })),
+        },
+      ]
+    }
+    if (pathName === '/api/cli/auth/start') {
+      return [
+        200,
+        { userCode: 'ABCD', deviceCode: 'device', expiresInSeconds: 60 },
+      ]
+    }
+    if (pathName === '/api/cli/auth/token') {
+      return [
+        200,
+        { accessToken: 'recorded-token', expiresAt: '2099-01-01T00:00:00Z' },
+      ]
+    }
+    return [404, { error: 'Not found' }]
+  })
+})
+
+after(() => server.close())
+
+const keywords = Array.from({ length: 120 }, (_, index) => `keyword ${index}`)
+
+test('parallel requests are recorded to separate numbered files', async () => {
+  const dir = await createTempDir()
+  const recorded = await runCli(
+    ['--api-url', server.url, 'keywords', '--json', '-'],
+    { env: { ASOSUITE_RECORD: dir }, input: keywords.join('\n') },
+  )
+
+  assert.equal(recorded.code, 0, recorded.stderr)
+  assert.deepEqual((await fs.readdir(dir)).sort(), [
+    '0001-POST-api-cli-keywords-metrics.json',
+    '0002-POST-api-cli-keywords-metrics.json',
+    '0003-POST-api-cli-keywords-metrics.json',
+  ])
+
+  const fixture = JSON.parse(
+    await fs.readFile(
+      path.join(dir, '0001-POST-api-cli-keywords-metrics.json'),
+      'utf8',
+    ),
+  )
+  assert.equal(fixture.request.method, 'POST')
+  assert.equal(fixture.request.pathName, '/api/cli/keywords/metrics')
+  assert.equal(fixture.response.status, 200)
+
+  const requestCount = server.requests.length
+  const replayed = await runCli(
+    ['--api-url', 'http://127.0.0.1:9', 'keywords', '--json', '-'],
+    { env: { ASOSUITE_REPLAY: dir }, input: keywords.join('\n') },
+  )
+
+  assert.equal(replayed.code, 0, replayed.stderr)
+  assert.equal(replayed.stdout, recorded.stdout)
+  assert.equal(server.requests.length, requestCount)
+})
+
+test('a second recording continues the numbering', async () => {
+  const dir = await createTempDir()
+  const args = ['--api-url', server.url, 'keywords', '--json', 'one']
+
+  await runCli(args, { env: { ASOSUITE_RECORD: dir } })
+  await runCli(args, { env: { ASOSUITE_RECORD: dir } })
+
+  assert.deepEqual((await fs.readdir(dir)).sort(), [
+    '0001-POST-api-cli-keywords-metrics.json',
+    '0002-POST-api-cli-keywords-metrics.json',
+  ])
+})
+
+test('a request that was not recorded fails with replay_miss', async () => {
+  const dir = await createTempDir()
+  const result = await runCli(
+    ['--api-url', server.url, 'keywords', '--json', 'missing'],
+    { env: { ASOSUITE_REPLAY: dir } },
+  )
+
+  assert.equal(result.code, 7)
+  assert.equal(JSON.parse(result.stderr).code, 'network')
+})
+
+test('a replayed login leaves the stored config alone', async () => {
+  const dir = await createTempDir()
+  const home = await createTempDir()
+  const configPath = path.join(home, '.asosuite', 'config.json')
+  const config = `${JSON.stringify({ profiles: { default: { accessToken: 'mine' } } })}\n`
+  const args = ['--api-url', server.url, 'login', '--no-open']
+
+  await runCli(args, { env: { ASOSUITE_RECORD: dir } })
+  await fs.mkdir(path.dirname(configPath), { recursive: true })
+  await fs.writeFile(configPath, config)
+
+  const replayed = await runCli(args, { env: { ASOSUITE_REPLAY: dir }, home })
+
+  assert.equal(replayed.code, 0, replayed.stderr)
+  assert.match(replayed.stderr, /was not changed/)
+  assert.equal(await fs.readFile(configPath, 'utf8'), config)
+})
+
+test('cache flags that need the cache are rejected with fixtures', async () => {
+  const dir = await createTempDir()
+
+  for (const flag of ['--offline', '--refresh']) {
+    const result = await runCli(
+      ['--api-url', server.url, flag, 'keywords', '--json', 'one'],
+      { env: { ASOSUITE_REPLAY: dir } },
+    )
+
+    assert.equal(result.code, 2)
+    assert.match(JSON.parse(result.stderr).error, /ASOSUITE_REPLAY/)
+  }
+})
@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { runCli } from './helpers.mjs'
+
+test('help <command> and <command> --help print the same help', async () => {
+  const help = await runCli(['help', 'tracked-keywords', 'add'])
+  const flag = await runCli(['tracked-keywords', 'add', '--help'])
+
+  assert.equal(help.code, 0, help.stderr)
+  assert.equal(flag.code, 0, flag.stderr)
+  assert.equal(help.stdout, flag.stdout)
+  assert.match(
+    help.stdout,
+    /^Usage: asosuite tracked-keywords add .*--app <APP_ID_OR_URL_OR_PLANNED_ID>/,
+  )
+  assert.match(help.stdout, /\nOptions:\n/)
+  assert.match(help.stdout, /\nExamples:\n {2}asosuite tracked-keywords add /)
+})
+
+test('help for a command group lists its subcommands', async () => {
+  const result = await runCli(['help', 'events'])
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.match(result.stdout, /^Usage: asosuite events <[a-z|]*add[a-z|]*>/)
+  assert.match(result.stdout, /\nSubcommands:\n/)
+})
+
+test('full help lists the commands and the global options', async () => {
+  const result = await runCli(['--help'])
+
+  assert.equal(result.code, 0, result.stderr)
+  for (const line of [
+    'login',
+    'tracked-keywords add',
+    '--api-url',
+    '--verbose',
+  ]) {
+    assert.ok(result.stdout.includes(`  ${line} `), line)
+  }
+})
+
+test('help for an unknown command is a usage error', async () => {
+  const result = await runCli(['help', 'no-such-command'])
+
+  assert.equal(result.code, 2)
+  assert.match(result.stderr, /Unknown command: no-such-command/)
+})
@@ -0,0 +1,107 @@
+import { spawn } from 'node:child_process'
+import fsSync from 'node:fs'
+import fs from 'node:fs/promises'
+import http from 'node:http'
+import os from 'node:os'
+import path from 'node:path'
+
+const CLI_PATH = new URL('../src/index.mjs', import.meta.url).pathname
+
+const tempDirs = []
+
+process.once('exit', () => {
+  for (const dir of tempDirs) {
+    fsSync.rmSync(dir, { recursive: true, force: true })
+  }
+})
+
+export async function createTempDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'asosuite-test-'))
+  tempDirs.push(dir)
+  return dir
+}
+
+// A local API server. `handler` receives `{ method, pathName, searchParams,
+// headers, body }` and returns `[status, payload]`; every request is kept in
+// `requests`.
+export async function startServer(handler) {
+  const requests = []
+  const server = http.createServer(async (req, res) => {
+    let text = ''
+    for await (const chunk of req) {
+      text += chunk
+    }
+
+    const url = new URL(req.url, 'http://localhost')
+    const request = {
+      method: req.method,
+      pathName: url.pathname,
+      searchParams: url.searchParams,
+      headers: req.headers,
+      body: text ? JSON.parse(text) : null,
+    }
+    requests.push(request)
+
+    const [status, payload] = (await handler(request)) ?? [404, {}]
+    res.writeHead(status, { 'content-type': 'application/json' })
+    res.end(JSON.stringify(payload))
+  })
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
+
+// Runs the CLI signed in with a test token, in its own HOME so the user's
+// config and cache are never touched. `closeStdout` hangs up on its output
+// right away, like `| head` does; `interruptAfter` presses Ctrl-C after that
+// many milliseconds.
+export async function runCli(
+  args,
+  { env = {}, input = '', home, closeStdout = false, interruptAfter } = {},
+) {
+  const cleanEnv = Object.fromEntries(
+    Object.entries(process.env).filter(
+      ([name]) => !/^(ASOSUITE_|HTTPS?_PROXY$|NO_PROXY$)/i.test(name),
+    ),
+  )
+  const child = spawn(process.execPath, [CLI_PATH, ...args], {
+    env: {
+      ...cleanEnv,
+      HOME: home ?? (await createTempDir()),
+      NO_COLOR: '1',
+      ASOSUITE_TOKEN: 'test-token',
+      ...env,
+    },
+  })
+  let stdout = ''
+  let stderr = ''
+
+  child.stdout.on('data', (chunk) => {
+    stdout += chunk
+  })
+  child.stderr.on('data', (chunk) => {
+    stderr += chunk
+  })
+  // `input: null` leaves stdin open, like a terminal nobody types into.
+  if (input != null) {
+    child.stdin.end(input)
+  }
+
+  if (closeStdout) {
+    child.stdout.destroy()
+  }
+
+  const timer =
+    interruptAfter != null
+      ? setTimeout(() => child.kill('SIGINT'), interruptAfter)
+      : null
+
+  const code = await new Promise((resolve) => child.on('close', resolve))
+  clearTimeout(timer)
+  return { code, stdout, stderr }
+}
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+
+import { runCli, startServer } from './helpers.mjs'
+
+let server
+
+// A server that never answers.
+before(async () => {
+  server = await startServer(() => new Promise(() => {}))
+})
+
+after(() => server.close())
+
+test('--timeout gives up on a request that does not answer', async () => {
+  const result = await runCli([
+    '--api-url',
+    server.url,
+    '--timeout',
+    '0.5',
+    'subscription',
+  ])
+
+  assert.notEqual(result.code, 0)
+  assert.match(result.stderr, /timed out after 0\.5s/)
+})
+
+test('an invalid --timeout is rejected', async () => {
+  const result = await runCli([
+    '--api-url',
+    server.url,
+    '--timeout',
+    'soon',
+    'subscription',
+  ])
+
+  assert.notEqual(result.code, 0)
+  assert.match(result.stderr, /Invalid --timeout value/)
+})
+
+test('Ctrl-C cancels a pending request with exit code 130', async () => {
+  const result = await runCli(['--api-url', server.url, 'subscription'], {
+    interruptAfter: 1000,
+  })
+
+  assert.equal(result.code, 130)
+  assert.match(result.stderr, /Interrupted/)
+})
+
+test('Ctrl-C stops reading stdin with exit code 130', async () => {
+  const result = await runCli(
+    ['--api-url', server.url, 'login', '--token', '-'],
+    { input: null, interruptAfter: 1000 },
+  )
+
+  assert.equal(result.code, 130)
+})
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+// Answers keyword metrics after a short delay, recording how many requests
+// were in flight at once.
+async function startMetricsServer() {
+  let inFlight = 0
+  const server = await startServer(async ({ body }) => {
+    inFlight += 1
+    server.maxInFlight = Math.max(server.maxInFlight, inFlight)
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    inFlight -= 1
+
+    return [
+      200,
+      {
+        region: body.region,
+        platform: body.platform,
+        metrics: body.keywords.map((keyword) => ({ keyword, popularity: 5 })),
+      },
+    ]
+  })
+  server.maxInFlight = 0
+  return server
+}
+
+function keywords(server, args, options) {
+  return runCli(
+    ['--api-url', server.url, 'keywords', '--json', ...args],
+    options,
+  )
+}
+
+test('arguments are sent as given', async () => {
+  const server = await startMetricsServer()
+
+  try {
+    const result = await keywords(server, ['Foo', 'foo'])
+
+    assert.equal(result.code, 0, result.stderr)
+    assert.deepEqual(server.requests[0].body.keywords, ['Foo', 'foo'])
+  } finally {
+    await server.close()
+  }
+})
+
+test('files and stdin skip blanks, comments and repeats', async () => {
+  const server = await startMetricsServer()
+  const dir = await createTempDir()
+  const file = path.join(dir, 'keywords.csv')
+  await fs.writeFile(
+    file,
+    'rank,keyword\n1,step counter\n2,"walk, run"\n3,Step Counter\n',
+  )
+
+  try {
+    const fromFile = await keywords(server, ['--file', file])
+    const fromStdin = await keywords(server, ['pedometer', '-'], {
+      input: '# candidates\nwater tracker\n\nWater Tracker\npedometer\n',
+    })
+
+    assert.equal(fromFile.code, 0, fromFile.stderr)
+    assert.equal(fromStdin.code, 0, fromStdin.stderr)
+    assert.deepEqual(
+      server.requests.map((request) => request.body.keywords),
+      [
+        ['step counter', 'walk, run'],
+        ['pedometer', 'water tracker'],
+      ],
+    )
+  } finally {
+    await server.close()
+  }
+})
+
+test('long lists are sent 50 at a time, 4 in flight, in input order', async () => {
+  const server = await startMetricsServer()
+  const list = Array.from({ length: 260 }, (_, index) => `keyword ${index}`)
+
+  try {
+    const result = await keywords(server, ['-'], { input: list.join('\n') })
+
+    assert.equal(result.code, 0, result.stderr)
+    assert.deepEqual(
+      server.requests
+        .map((request) => request.body.keywords.length)
+        .sort((a, b) => b - a),
+      [50, 50, 50, 50, 50, 10],
+    )
+    assert.equal(server.maxInFlight, 4)
+    assert.deepEqual(
+      JSON.parse(result.stdout).metrics.map((item) => item.keyword),
+      list,
+    )
+  } finally {
+    await server.close()
+  }
+})
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+let server
+
+before(async () => {
+  server = await startServer(({ headers }) =>
+    headers.authorization === 'Bearer good-token'
+      ? [200, { plan: 'pro', active: true }]
+      : [401, { error: 'Unauthorized' }],
+  )
+})
+
+after(() => server.close())
+
+function cli(home, args, options = {}) {
+  return runCli(['--api-url', server.url, ...args], {
+    home,
+    ...options,
+    env: { ASOSUITE_TOKEN: '', ...options.env },
+  })
+}
+
+async function readConfig(home) {
+  return JSON.parse(
+    await fs.readFile(path.join(home, '.asosuite', 'config.json'), 'utf8'),
+  )
+}
+
+test('login --token - checks the token from stdin and stores it', async () => {
+  const home = await createTempDir()
+  const result = await cli(home, ['login', '--token', '-', '--profile', 'ci'], {
+    input: 'good-token\n',
+  })
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.equal(server.requests.at(-1).pathName, '/api/cli/subscription')
+  assert.equal(
+    server.requests.at(-1).headers.authorization,
+    'Bearer good-token',
+  )
+  assert.deepEqual((await readConfig(home)).profiles, {
+    ci: { accessToken: 'good-token' },
+  })
+})
+
+test('a rejected token is not stored', async () => {
+  const home = await createTempDir()
+  const result = await cli(home, ['login', '--token', 'bad-token'])
+
+  assert.notEqual(result.code, 0)
+  assert.match(result.stderr, /rejected this token\. Nothing was saved/)
+  await assert.rejects(readConfig(home), { code: 'ENOENT' })
+})
+
+test('an empty token is a usage error', async () => {
+  const requestCount = server.requests.length
+  const result = await cli(await createTempDir(), ['login', '--token', '-'], {
+    input: '  \n',
+  })
+
+  assert.notEqual(result.code, 0)
+  assert.match(result.stderr, /Provide a token/)
+  assert.equal(server.requests.length, requestCount)
+})
+
+test('ASOSUITE_TOKEN takes precedence over the stored token', async () => {
+  const home = await createTempDir()
+  await cli(home, ['login', '--token', 'good-token'])
+
+  const result = await cli(home, ['subscription', '--json'], {
+    env: { ASOSUITE_TOKEN: 'env-token' },
+  })
+
+  assert.notEqual(result.code, 0)
+  assert.equal(server.requests.at(-1).headers.authorization, 'Bearer env-token')
+})
@@ -0,0 +1,277 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+const MANIFEST = `# The account
+apps:
+  - id: 6448311069
+    platform: iphone # default
+    regions: [US, GB]
+    related: [333903271, "284882215"]
+    keywords:
+      US: [step counter, pedometer]
+      GB:
+        - 'walk tracker'
+planned:
+  - id: my-next-app
+    name: "Next App: v2"
+    regions: [US]
+    keywords: [habit tracker]
+events:
+  - date: 2026-10-01
+    app: 6448311069
+    text: Release v2.0
+  - date: 2026-10-05
+    text: Global launch
+`
+
+// The account before the manifest is applied.
+const ACCOUNT = {
+  tracked: [
+    {
+      appId: '6448311069',
+      platform: 'iphone',
+      regions: [{ region: 'US' }, { region: 'DE' }],
+    },
+    { appId: '1448311070', platform: 'iphone', regions: [{ region: 'US' }] },
+  ],
+  planned: [],
+}
+
+const ADDITIONS = [
+  {
+    action: 'add',
+    type: 'trackedApp',
+    appId: '6448311069',
+    platform: 'iphone',
+    region: 'GB',
+  },
+  {
+    action: 'add',
+    type: 'plannedApp',
+    plannedTrackedAppId: 'my-next-app',
+    name: 'Next App: v2',
+    platform: 'iphone',
+    region: 'US',
+  },
+  {
+    action: 'add',
+    type: 'relatedApp',
+    appId: '6448311069',
+    platform: 'iphone',
+    relatedAppId: '284882215',
+  },
+  {
+    action: 'add',
+    type: 'keywords',
+    app: '6448311069',
+    platform: 'iphone',
+    region: 'US',
+    keywords: ['step counter'],
+  },
+  {
+    action: 'add',
+    type: 'keywords',
+    app: '6448311069',
+    platform: 'iphone',
+    region: 'GB',
+    keywords: ['walk tracker'],
+  },
+  {
+    action: 'add',
+    type: 'keywords',
+    app: 'my-next-app',
+    platform: 'iphone',
+    region: 'US',
+    keywords: ['habit tracker'],
+  },
+  {
+    action: 'add',
+    type: 'event',
+    date: '2026-10-01',
+    text: 'Release v2.0',
+    appId: '6448311069',
+  },
+]
+
+let server
+
+before(async () => {
+  server = await startServer(({ pathName, searchParams }) => {
+    if (pathName === '/api/cli/apps/list') {
+      return [200, ACCOUNT]
+    }
+    if (pathName.endsWith('/related-apps')) {
+      return [200, [{ appId: '333903271' }, { appId: '999' }]]
+    }
+    if (pathName.endsWith('/tracked-keywords')) {
+      return [
+        200,
+        {
+          page: 1,
+          pageSize: 50,
+          total: 2,
+          hasMore: false,
+          items: [
+            { keyword: 'pedometer', region: 'US' },
+            { keyword: 'old one', region: 'US' },
+          ],
+        },
+      ]
+    }
+    if (pathName === '/api/cli/events') {
+      return [
+        200,
+        searchParams.has('appId')
+          ? []
+          : [
+              {
+                id: 7,
+                date: '2026-10-05T00:00:00Z',
+                text: 'Global launch',
+                appId: null,
+              },
+              { id: 8, date: '2026-01-01', text: 'Stale', appId: null },
+            ],
+      ]
+    }
+    return [404, { error: 'Not found' }]
+  })
+})
+
+after(() => server.close())
+
+async function plan(name, text, ...args) {
+  const home = await createTempDir()
+  const file = path.join(home, name)
+  await fs.writeFile(file, text)
+  return runCli(['--api-url', server.url, 'plan', '-f', file, ...args], {
+    home,
+  })
+}
+
+test('plan lists additions and counts what --prune would remove', async () => {
+  const result = await plan('aso.yaml', MANIFEST, '--json')
+  const output = JSON.parse(result.stdout)
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.deepEqual(output.changes, ADDITIONS)
+  assert.equal(output.unmanaged, 5)
+  assert.ok(server.requests.every((request) => request.method === 'GET'))
+})
+
+test('plan --prune removes what the manifest leaves out, removals first', async () => {
+  const result = await plan('aso.yaml', MANIFEST, '--json', '--prune')
+  const output = JSON.parse(result.stdout)
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.deepEqual(output.changes, [
+    {
+      action: 'remove',
+      type: 'event',
+      id: 8,
+      date: '2026-01-01',
+      text: 'Stale',
+      appId: null,
+    },
+    {
+      action: 'remove',
+      type: 'keywords',
+      app: '6448311069',
+      platform: 'iphone',
+      region: 'US',
+      keywords: ['old one'],
+    },
+    {
+      action: 'remove',
+      type: 'relatedApp',
+      appId: '6448311069',
+      platform: 'iphone',
+      relatedAppId: '999',
+    },
+    {
+      action: 'remove',
+      type: 'trackedApp',
+      appId: '6448311069',
+      platform: 'iphone',
+      region: 'DE',
+    },
+    {
+      action: 'remove',
+      type: 'trackedApp',
+      appId: '1448311070',
+      platform: 'iphone',
+      region: 'US',
+    },
+    ...ADDITIONS,
+  ])
+  assert.equal(output.unmanaged, 0)
+})
+
+test('plain YAML values stay as written', async () => {
+  const result = await plan(
+    'aso.yaml',
+    'apps:\n  - id: 6448311069\n    regions: [US]\n    keywords: [1.50, 007, true]\n',
+    '--json',
+  )
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.deepEqual(
+    JSON.parse(result.stdout).changes.map((change) => change.keywords),
+    [['1.50', '007', 'true']],
+  )
+})
+
+test('a JSON manifest plans the same changes as YAML', async () => {
+  const json = JSON.stringify({
+    apps: [
+      {
+        id: 6448311069,
+        regions: ['US', 'GB'],
+        related: [333903271, 284882215],
+        keywords: { US: ['step counter', 'pedometer'], GB: ['walk tracker'] },
+      },
+    ],
+    planned: [
+      {
+        id: 'my-next-app',
+        name: 'Next App: v2',
+        regions: ['US'],
+        keywords: ['habit tracker'],
+      },
+    ],
+    events: [
+      { date: '2026-10-01', app: '6448311069', text: 'Release v2.0' },
+      { date: '2026-10-05', text: 'Global launch' },
+    ],
+  })
+  const result = await plan('aso.json', json, '--json')
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.deepEqual(JSON.parse(result.stdout).changes, ADDITIONS)
+})
+
+test('unsupported YAML and unknown keys are usage errors', async () => {
+  const cases = [
+    ['apps: &shared\n  - id: 6448311069\n', /line 1: unsupported YAML/],
+    ['apps:\n  - id: 6448311069\n    regions: [US\n', /line 3: unterminated/],
+    [
+      'events:\n  - date: 2026-10-01\n    text: |\n      Launch\n',
+      /line 3: unsupported YAML/,
+    ],
+    [
+      'apps:\n  - id: 6448311069\n    regions: [US]\n    colour: red\n',
+      /apps\[0\]\.colour: unknown key/,
+    ],
+  ]
+
+  for (const [text, message] of cases) {
+    const result = await plan('aso.yaml', text)
+
+    assert.equal(result.code, 2, text)
+    assert.match(result.stderr, message)
+  }
+})
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { runCli, startServer } from './helpers.mjs'
+
+function addEvent(server, ...args) {
+  return runCli(['--api-url', server.url, 'events', 'add', ...args, '--json'])
+}
+
+test('--name value and --name=value are read the same way', async () => {
+  const server = await startServer(({ body }) => [200, { id: 1, ...body }])
+
+  try {
+    for (const args of [
+      ['--text', 'Launch', '--date', '2026-10-01'],
+      ['--text=Launch', '--date=2026-10-01'],
+    ]) {
+      const result = await addEvent(server, ...args)
+      assert.equal(result.code, 0, result.stderr)
+    }
+
+    assert.deepEqual(
+      server.requests.map((request) => [request.body.text, request.body.date]),
+      [
+        ['Launch', '2026-10-01'],
+        ['Launch', '2026-10-01'],
+      ],
+    )
+  } finally {
+    await server.close()
+  }
+})
+
+test('an option value that looks like a global flag stays the value', async () => {
+  const server = await startServer(({ body }) => [200, { id: 1, ...body }])
+
+  try {
+    const result = await addEvent(server, '--text', '--verbose')
+
+    assert.equal(result.code, 0, result.stderr)
+    assert.equal(server.requests[0].body.text, '--verbose')
+    assert.equal(result.stderr, '')
+  } finally {
+    await server.close()
+  }
+})
+
+test('unknown, repeated and misused options are usage errors', async () => {
+  const cases = [
+    [['list-apps', '--bogus'], /Unknown option: --bogus/],
+    [['list-apps', '--json=yes'], /--json does not take a value/],
+    [
+      ['events', 'add', '--text', 'a', '--text', 'b'],
+      /--text was given more than once/,
+    ],
+    [
+      ['charts', '--app', '6448311069', '--period'],
+      /Missing value for --period/,
+    ],
+    [['charts', '--app', '6448311069', '--period', '45'], /Invalid --period/],
+    [['bogus'], /Unknown command: bogus/],
+  ]
+
+  for (const [args, message] of cases) {
+    const result = await runCli(args)
+
+    assert.equal(result.code, 2, args.join(' '))
+    assert.match(result.stderr, message)
+  }
+})
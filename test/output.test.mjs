@@ -0,0 +1,11 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { runCli } from './helpers.mjs'
+
+test('a closed stdout ends the command quietly', async () => {
+  const result = await runCli(['help'], { closeStdout: true })
+
+  assert.equal(result.code, 0)
+  assert.equal(result.stderr, '')
+})
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+let server
+
+before(async () => {
+  server = await startServer(() => [200, { tracked: [], planned: [] }])
+})
+
+after(() => server.close())
+
+async function createHome(config) {
+  const home = await createTempDir()
+  await fs.mkdir(path.join(home, '.asosuite'))
+  await fs.writeFile(
+    path.join(home, '.asosuite', 'config.json'),
+    JSON.stringify(config),
+  )
+  return home
+}
+
+async function readConfig(home) {
+  return JSON.parse(
+    await fs.readFile(path.join(home, '.asosuite', 'config.json'), 'utf8'),
+  )
+}
+
+// Stored tokens only; ASOSUITE_TOKEN would override them.
+function cli(home, args, env = {}) {
+  return runCli(['--api-url', server.url, ...args], {
+    home,
+    env: { ASOSUITE_TOKEN: '', ...env },
+  })
+}
+
+async function findToken(home, args, env) {
+  const before = server.requests.length
+  const result = await cli(home, [...args, 'subscription', '--json'], env)
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.equal(server.requests.length, before + 1)
+  return server.requests.at(-1).headers.authorization
+}
+
+test('each profile uses its own token', async () => {
+  const home = await createHome({
+    profiles: {
+      default: { accessToken: 'default-token' },
+      ci: { accessToken: 'ci-token' },
+    },
+  })
+
+  assert.equal(await findToken(home, []), 'Bearer default-token')
+  assert.equal(await findToken(home, ['--profile', 'ci']), 'Bearer ci-token')
+  assert.equal(
+    await findToken(home, [], { ASOSUITE_PROFILE: 'ci' }),
+    'Bearer ci-token',
+  )
+
+  assert.equal((await cli(home, ['profile', 'use', 'ci'])).code, 0)
+  assert.equal(await findToken(home, []), 'Bearer ci-token')
+
+  const list = await cli(home, ['profile', 'list', '--json'])
+  assert.deepEqual(JSON.parse(list.stdout), {
+    currentProfile: 'ci',
+    profiles: [
+      { name: 'ci', current: true, authenticated: true, expiresAt: null },
+      { name: 'default', current: false, authenticated: true, expiresAt: null },
+    ],
+  })
+
+  assert.equal((await cli(home, ['profile', 'remove', 'ci'])).code, 0)
+  assert.deepEqual(await readConfig(home), {
+    profiles: { default: { accessToken: 'default-token' } },
+  })
+  assert.equal(await findToken(home, []), 'Bearer default-token')
+})
+
+test('a token stored before profiles belongs to the default profile', async () => {
+  const home = await createHome({
+    accessToken: 'legacy-token',
+    expiresAt: '2099-01-01T00:00:00.000Z',
+  })
+
+  assert.equal(await findToken(home, []), 'Bearer legacy-token')
+
+  assert.equal((await cli(home, ['profile', 'use', 'ci'])).code, 0)
+  assert.deepEqual(await readConfig(home), {
+    currentProfile: 'ci',
+    profiles: {
+      default: {
+        accessToken: 'legacy-token',
+        expiresAt: '2099-01-01T00:00:00.000Z',
+      },
+    },
+  })
+})
+
+test('invalid and unknown profile names are rejected', async () => {
+  const home = await createHome({})
+
+  for (const [args, message] of [
+    [['--profile', 'a b', 'list-apps'], /Invalid --profile value/],
+    [['profile', 'remove', 'missing'], /Unknown profile: missing/],
+  ]) {
+    const result = await cli(home, args)
+
+    assert.notEqual(result.code, 0)
+    assert.match(result.stderr, message)
+  }
+})
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict'
+import http from 'node:http'
+import net from 'node:net'
+import { after, before, test } from 'node:test'
+
+import { runCli, startServer } from './helpers.mjs'
+
+let server
+let proxy
+const tunnels = []
+
+// A forward proxy that records the CONNECT targets it tunnels to.
+function startProxy() {
+  const proxyServer = http.createServer((_req, res) => {
+    res.writeHead(405)
+    res.end()
+  })
+
+  proxyServer.on('connect', (req, socket, head) => {
+    tunnels.push(req.url)
+    const [host, port] = req.url.split(':')
+    const upstream = net.connect(Number(port), host, () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+      upstream.write(head)
+      upstream.pipe(socket)
+      socket.pipe(upstream)
+    })
+    upstream.on('error', () => socket.destroy())
+    socket.on('error', () => upstream.destroy())
+  })
+
+  return new Promise((resolve) =>
+    proxyServer.listen(0, '127.0.0.1', () => resolve(proxyServer)),
+  )
+}
+
+before(async () => {
+  server = await startServer(() => [200, { plan: 'pro', active: true }])
+  proxy = await startProxy()
+})
+
+after(async () => {
+  await server.close()
+  await new Promise((resolve) => proxy.close(resolve))
+})
+
+function subscription(env, ...args) {
+  return runCli(['--api-url', server.url, ...args, 'subscription'], { env })
+}
+
+test('requests go through HTTP_PROXY', async () => {
+  const tunnelCount = tunnels.length
+  const result = await subscription({
+    HTTP_PROXY: `http://127.0.0.1:${proxy.address().port}`,
+  })
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.deepEqual(tunnels.slice(tunnelCount), [new URL(server.url).host])
+})
+
+test('NO_PROXY hosts are reached directly', async () => {
+  const tunnelCount = tunnels.length
+  const requestCount = server.requests.length
+  const result = await subscription({
+    http_proxy: `http://127.0.0.1:${proxy.address().port}`,
+    NO_PROXY: 'example.com, 127.0.0.1',
+  })
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.equal(tunnels.length, tunnelCount)
+  assert.equal(server.requests.length, requestCount + 1)
+})
+
+test('an unreadable CA file is rejected before any request', async () => {
+  const requestCount = server.requests.length
+
+  for (const [env, args] of [
+    [{}, ['--ca-file', '/nonexistent/ca.pem']],
+    [{ ASOSUITE_CA_FILE: '/nonexistent/ca.pem' }, []],
+  ]) {
+    const result = await subscription(env, ...args)
+
+    assert.notEqual(result.code, 0)
+    assert.match(result.stderr, /Could not read CA file \/nonexistent\/ca\.pem/)
+  }
+  assert.equal(server.requests.length, requestCount)
+})
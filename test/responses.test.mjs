@@ -0,0 +1,40 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { runCli, startServer } from './helpers.mjs'
+
+async function listApps(payload, ...args) {
+  const server = await startServer(() => [200, payload])
+
+  try {
+    return await runCli(['--api-url', server.url, 'list-apps', ...args])
+  } finally {
+    await server.close()
+  }
+}
+
+test('a missing list in the response prints a warning', async () => {
+  const result = await listApps({ planned: [] })
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.match(
+    result.stderr,
+    /^Warning: unexpected server response: `tracked` is missing, expected a list\./m,
+  )
+})
+
+test('a mistyped list names the type it got', async () => {
+  const result = await listApps({ tracked: { appId: '6448311069' } })
+
+  assert.match(result.stderr, /`tracked` is an object, expected a list/)
+  assert.match(result.stderr, /`planned` is missing/)
+})
+
+test('--json prints the response as received', async () => {
+  const payload = { tracked: 'soon', extra: [1] }
+  const result = await listApps(payload, '--json')
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.equal(result.stderr, '')
+  assert.deepEqual(JSON.parse(result.stdout), payload)
+})
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { runCli, startServer } from './helpers.mjs'
+
+// Answers with `failures` in order, then succeeds.
+async function startFlakyServer(failures) {
+  const queue = [...failures]
+  return startServer(() => queue.shift() ?? [200, { tracked: [], planned: [] }])
+}
+
+test('transient failures are retried with --retries', async () => {
+  const server = await startFlakyServer([
+    [503, { error: 'Unavailable' }],
+    [429, { error: 'Slow down', retryAfterSeconds: 0.1 }],
+  ])
+
+  try {
+    const result = await runCli([
+      '--api-url',
+      server.url,
+      '--retries',
+      '2',
+      'list-apps',
+      '--json',
+    ])
+
+    assert.equal(result.code, 0, result.stderr)
+    assert.equal(server.requests.length, 3)
+    assert.match(result.stderr, /failed \(HTTP 503\)\. Retrying in /)
+    assert.match(result.stderr, /failed \(HTTP 429\)\. Retrying in 0\.1s/)
+  } finally {
+    await server.close()
+  }
+})
+
+test('requests are not retried by default or past --max-wait', async () => {
+  const server = await startFlakyServer([
+    [503, { error: 'Unavailable' }],
+    [429, { error: 'Slow down', retryAfterSeconds: 120 }],
+  ])
+
+  try {
+    const first = await runCli(['--api-url', server.url, 'list-apps'])
+    const second = await runCli([
+      '--api-url',
+      server.url,
+      '--retries',
+      '3',
+      '--max-wait',
+      '30',
+      'list-apps',
+      '--json',
+    ])
+
+    assert.equal(first.code, 8)
+    assert.equal(second.code, 6)
+    assert.equal(JSON.parse(second.stderr).retryAfterSeconds, 120)
+    assert.equal(server.requests.length, 2)
+  } finally {
+    await server.close()
+  }
+})
+
+test('adding is never retried', async () => {
+  const server = await startFlakyServer([[503, { error: 'Unavailable' }]])
+
+  try {
+    const result = await runCli([
+      '--api-url',
+      server.url,
+      '--retries',
+      '3',
+      'track-app',
+      '--app',
+      '6448311069',
+    ])
+
+    assert.equal(result.code, 8)
+    assert.equal(server.requests.length, 1)
+  } finally {
+    await server.close()
+  }
+})
+
+test('--retries and event ids must be whole numbers', async () => {
+  for (const value of ['3abc', '2.9', '-1', '11']) {
+    const result = await runCli(['--retries', value, 'list-apps'])
+
+    assert.equal(result.code, 2, value)
+    assert.match(result.stderr, /Invalid --retries value/)
+  }
+
+  for (const value of ['12abc', '1.5', '0']) {
+    const result = await runCli(['events', 'delete', value])
+
+    assert.equal(result.code, 2, value)
+    assert.match(result.stderr, /Invalid event id/)
+  }
+})
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+
+import { runCli, startServer } from './helpers.mjs'
+
+const KEYWORDS = ['alpha', 'beta', 'gamma', 'step counter']
+const POPULARITY = [30, 5, 60, 45]
+const DIFFICULTY = [20, 70, 40, 10]
+
+let server
+
+before(async () => {
+  server = await startServer(({ body }) => [
+    200,
+    {
+      region: body.region,
+      platform: body.platform,
+      metrics: body.keywords.map((keyword, index) => ({
+        keyword,
+        popularity: POPULARITY[index],
+        difficulty: DIFFICULTY[index],
+        popularityPending: false,
+        difficultyPending: keyword === 'step counter',
+        position: null,
+      })),
+    },
+  ])
+})
+
+after(() => server.close())
+
+function keywords(...args) {
+  return runCli(['--api-url', server.url, 'keywords', ...KEYWORDS, ...args])
+}
+
+test('--where, --sort-by and --fields select the csv rows', async () => {
+  const result = await keywords(
+    '--where',
+    'popularity>=20',
+    '--sort-by',
+    'popularity:desc',
+    '--fields',
+    'keyword,popularity',
+    '--format',
+    'csv',
+  )
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.equal(
+    result.stdout,
+    'Keyword,Popularity\ngamma,60\nstep counter,45\nalpha,30\n',
+  )
+})
+
+test('pending metrics sort last', async () => {
+  const result = await keywords('--sort-by', 'difficulty', '--format', 'csv')
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.deepEqual(
+    result.stdout
+      .trim()
+      .split('\n')
+      .slice(1)
+      .map((line) => line.split(',')[0]),
+    ['alpha', 'gamma', 'beta', 'step counter'],
+  )
+})
+
+test('--fields trims the JSON records to the matching rows', async () => {
+  const result = await keywords(
+    '--json',
+    '--where',
+    'keyword~ST',
+    '--fields',
+    'keyword',
+  )
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.deepEqual(JSON.parse(result.stdout).metrics, [
+    { keyword: 'step counter' },
+  ])
+})
+
+test('an invalid --where is a usage error', async () => {
+  const result = await keywords('--where', 'popularity')
+
+  assert.equal(result.code, 2)
+  assert.match(result.stderr, /Invalid --where value/)
+})
@@ -0,0 +1,79 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+const LONG_KEYWORD = 'a very long keyword that does not fit a narrow terminal'
+const ANSI = /\u001b\[/
+
+let server
+let terminalEnv
+
+before(async () => {
+  server = await startServer(({ body }) => [
+    200,
+    {
+      region: body.region,
+      platform: body.platform,
+      metrics: body.keywords.map((keyword) => ({
+        keyword,
+        popularity: 40,
+        difficulty: null,
+        popularityPending: false,
+        difficultyPending: true,
+        position: 3,
+      })),
+    },
+  ])
+
+  // Makes stdout look like a 50-column terminal.
+  const preload = path.join(await createTempDir(), 'terminal.mjs')
+  await fs.writeFile(
+    preload,
+    'process.stdout.isTTY = true\nprocess.stdout.columns = 50\n',
+  )
+  terminalEnv = { NODE_OPTIONS: `--import=${preload}`, NO_COLOR: '' }
+})
+
+after(() => server.close())
+
+function keywords(env, ...args) {
+  return runCli(
+    ['--api-url', server.url, 'keywords', LONG_KEYWORD, 'short', ...args],
+    { env },
+  )
+}
+
+test('piped tables are complete and plain', async () => {
+  const result = await keywords({ NO_COLOR: '' })
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.ok(result.stdout.includes(LONG_KEYWORD))
+  assert.doesNotMatch(result.stdout, ANSI)
+})
+
+test('terminal tables fit the width and are colored', async () => {
+  const result = await keywords(terminalEnv)
+  const lines = result.stdout.replace(/\u001b\[\d+m/g, '').split('\n')
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.match(result.stdout, ANSI)
+  assert.ok(
+    lines.some((line) => line.startsWith('a very long') && line.includes('…')),
+  )
+  assert.ok(lines.every((line) => line.length <= 50))
+  assert.ok(lines.some((line) => line.startsWith('short ')))
+})
+
+test('--wide and --no-color turn fitting and color off', async () => {
+  const wide = await keywords(terminalEnv, '--wide')
+  assert.ok(wide.stdout.replace(/\u001b\[\d+m/g, '').includes(LONG_KEYWORD))
+
+  const plain = await keywords(terminalEnv, '--no-color')
+  assert.doesNotMatch(plain.stdout, ANSI)
+
+  const noColor = await keywords({ ...terminalEnv, NO_COLOR: '1' })
+  assert.doesNotMatch(noColor.stdout, ANSI)
+})
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { after, before, test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+let server
+
+before(async () => {
+  server = await startServer(() => [
+    200,
+    { plan: 'pro', active: true, accessToken: 'response-secret' },
+  ])
+})
+
+after(() => server.close())
+
+function subscription(...args) {
+  return runCli(['--api-url', server.url, ...args, 'subscription', '--json'], {
+    env: { ASOSUITE_TOKEN: 'secret-token' },
+  })
+}
+
+test('--verbose traces requests on stderr without the token', async () => {
+  const result = await subscription('--verbose')
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.match(result.stderr, /^> GET http:.*\/api\/cli\/subscription$/m)
+  assert.match(result.stderr, /^> authorization: Bearer \[redacted\]$/im)
+  assert.match(result.stderr, /^< 200 OK \(\d+ ms\)$/m)
+  assert.doesNotMatch(result.stderr, /secret-token/)
+  assert.equal(JSON.parse(result.stdout).plan, 'pro')
+})
+
+test('--debug-dump writes one redacted file per request', async () => {
+  const dir = path.join(await createTempDir(), 'dumps')
+  const result = await subscription('--debug-dump', dir)
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.equal(result.stderr, '')
+
+  const files = await fs.readdir(dir)
+  assert.equal(files.length, 1)
+  assert.match(files[0], /-001-GET-api-cli-subscription\.json$/)
+
+  const text = await fs.readFile(path.join(dir, files[0]), 'utf8')
+  const dump = JSON.parse(text)
+  assert.doesNotMatch(text, /secret-token|response-secret/)
+  assert.equal(dump.request.method, 'GET')
+  assert.equal(dump.response.status, 200)
+  assert.equal(JSON.parse(dump.response.body).accessToken, '[redacted]')
+})
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+
+import { runCli, startServer } from './helpers.mjs'
+
+const TRACKED = new Set(['keyword 0', 'keyword 1'])
+
+function addKeywords(server, count) {
+  const keywords = Array.from(
+    { length: count },
+    (_, index) => `keyword ${index}`,
+  )
+  return runCli(
+    [
+      '--api-url',
+      server.url,
+      'tracked-keywords',
+      'add',
+      '--app',
+      '6448311069',
+      '--file',
+      '-',
+      '--json',
+    ],
+    { input: keywords.join('\n') },
+  )
+}
+
+test('each batch is one request and counts come from the server', async () => {
+  const server = await startServer(({ method, body }) => {
+    if (method !== 'POST') {
+      return [404, { error: 'Not found' }]
+    }
+
+    const alreadyTracked = body.keywords.filter((keyword) =>
+      TRACKED.has(keyword),
+    ).length
+    return [
+      200,
+      {
+        ok: true,
+        added: body.keywords.length - alreadyTracked,
+        alreadyTracked,
+      },
+    ]
+  })
+
+  try {
+    const result = await addKeywords(server, 450)
+    const output = JSON.parse(result.stdout)
+
+    assert.equal(result.code, 0, result.stderr)
+    assert.deepEqual(
+      server.requests.map((request) => request.method),
+      ['POST', 'POST', 'POST'],
+    )
+    assert.deepEqual(
+      server.requests.map((request) => request.body.keywords.length),
+      [200, 200, 50],
+    )
+    assert.equal(output.ok, true)
+    assert.equal(output.keywordCount, 450)
+    assert.equal(output.added, 448)
+    assert.equal(output.alreadyTracked, 2)
+    assert.deepEqual(
+      output.batches.map((batch) => batch.alreadyTracked),
+      [2, 0, 0],
+    )
+  } finally {
+    await server.close()
+  }
+})
+
+test('unreported counts are null, not guessed', async () => {
+  const server = await startServer(() => [200, { ok: true }])
+
+  try {
+    const result = await addKeywords(server, 3)
+    const output = JSON.parse(result.stdout)
+
+    assert.equal(result.code, 0, result.stderr)
+    assert.equal(output.added, 3)
+    assert.equal(output.alreadyTracked, null)
+  } finally {
+    await server.close()
+  }
+})
+
+test('an auth error stops the remaining batches', async () => {
+  const server = await startServer(() => [401, { error: 'Unauthorized' }])
+
+  try {
+    const result = await addKeywords(server, 450)
+    const output = JSON.parse(result.stdout)
+
+    assert.equal(result.code, 3)
+    assert.equal(server.requests.length, 1)
+    assert.equal(output.ok, false)
+    assert.equal(output.failed, 450)
+    assert.equal(output.batches.length, 3)
+  } finally {
+    await server.close()
+  }
+})
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+
+import { runCli, startServer } from './helpers.mjs'
+
+function rankings(...positions) {
+  return {
+    entries: positions.map((position, index) => ({
+      date: `2026-10-0${index + 1}`,
+      position,
+    })),
+  }
+}
+
+const KEYWORDS = [
+  { keyword: 'climbing', metrics: { rankings: rankings(40, null, 20, 10) } },
+  { keyword: 'falling', metrics: { rankings: rankings(5, 5, 8) } },
+  { keyword: 'unranked', metrics: { rankings: rankings() } },
+]
+
+let server
+
+before(async () => {
+  server = await startServer(() => [
+    200,
+    {
+      appId: '6448311069',
+      platform: 'iphone',
+      page: 1,
+      pageSize: 50,
+      total: KEYWORDS.length,
+      hasMore: false,
+      items: KEYWORDS.map((item) => ({ ...item, region: 'US' })),
+    },
+  ])
+})
+
+after(() => server.close())
+
+function list(...args) {
+  return runCli([
+    '--api-url',
+    server.url,
+    'tracked-keywords',
+    'list',
+    '--app',
+    '6448311069',
+    '--format',
+    'csv',
+    ...args,
+  ])
+}
+
+test('--history adds a sparkline and position changes', async () => {
+  const result = await list(
+    '--history',
+    '--fields',
+    'keyword,history,sinceFirst,sincePrevious,best,worst',
+  )
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.equal(
+    result.stdout,
+    [
+      'Keyword,History,Since First,Since Prev,Best,Worst',
+      'climbing,▁·▆█,+30,+10,#10,#40',
+      'falling,██▁,-3,-3,#5,#8',
+      'unranked,-,-,-,-,-',
+      '',
+    ].join('\n'),
+  )
+})
+
+test('history columns can be sorted on', async () => {
+  const result = await list(
+    '--history',
+    '--sort-by',
+    'sinceFirst:desc',
+    '--fields',
+    'keyword',
+  )
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.equal(result.stdout, 'Keyword\nclimbing\nfalling\nunranked\n')
+})
+
+test('history columns are only shown with --history', async () => {
+  const result = await list()
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.match(
+    result.stdout,
+    /^Keyword,Region,Popularity,Difficulty,Position\n/,
+  )
+})
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { test } from 'node:test'
+
+import { createTempDir, runCli, startServer } from './helpers.mjs'
+
+test('sync reads the tracked list fresh unless --offline is given', async () => {
+  const server = await startServer(({ pathName }) =>
+    pathName.endsWith('/tracked-keywords')
+      ? [
+          200,
+          {
+            page: 1,
+            pageSize: 50,
+            total: 1,
+            hasMore: false,
+            items: [{ keyword: 'old', region: 'US' }],
+          },
+        ]
+      : [404, { error: 'Not found' }],
+  )
+  const home = await createTempDir()
+  const file = path.join(home, 'keywords.txt')
+  await fs.writeFile(file, 'new\n')
+
+  const sync = (...args) =>
+    runCli(
+      [
+        '--api-url',
+        server.url,
+        ...args,
+        'tracked-keywords',
+        'sync',
+        '--app',
+        '6448311069',
+        '--file',
+        file,
+        '--dry-run',
+        '--json',
+      ],
+      { home },
+    )
+
+  try {
+    for (let run = 1; run <= 2; run += 1) {
+      const result = await sync()
+      assert.equal(result.code, 0, result.stderr)
+      assert.equal(server.requests.length, run)
+    }
+
+    const offline = await sync('--offline')
+    const output = JSON.parse(offline.stdout)
+
+    assert.equal(offline.code, 0, offline.stderr)
+    assert.equal(server.requests.length, 2)
+    assert.deepEqual(output.regions[0].remove, ['old'])
+    assert.deepEqual(output.regions[0].add, ['new'])
+  } finally {
+    await server.close()
+  }
+})
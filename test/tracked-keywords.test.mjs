@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict'
+import { after, before, test } from 'node:test'
+
+import { runCli, startServer } from './helpers.mjs'
+
+const KEYWORDS = Array.from({ length: 5 }, (_, index) => ({
+  keyword: `keyword ${index}`,
+  region: 'US',
+  metrics: { popularity: { value: index * 10, pendingData: false } },
+}))
+const PAGE_SIZE = 2
+
+let server
+
+before(async () => {
+  server = await startServer(({ pathName, searchParams }) => {
+    if (!pathName.endsWith('/tracked-keywords')) {
+      return [404, { error: 'Not found' }]
+    }
+
+    const page = Number(searchParams.get('page'))
+    return [
+      200,
+      {
+        appId: '6448311069',
+        platform: 'iphone',
+        page,
+        pageSize: PAGE_SIZE,
+        total: KEYWORDS.length,
+        hasMore: page * PAGE_SIZE < KEYWORDS.length,
+        sort: searchParams.get('sort'),
+        order: searchParams.get('order'),
+        items: KEYWORDS.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+      },
+    ]
+  })
+})
+
+after(() => server.close())
+
+function listAll(...args) {
+  return runCli([
+    '--api-url',
+    server.url,
+    'tracked-keywords',
+    'list',
+    '--app',
+    '6448311069',
+    '--all',
+    ...args,
+  ])
+}
+
+test('--all --json prints one keyword per line', async () => {
+  for (const args of [[], ['--sort-by', 'popularity:desc']]) {
+    const result = await listAll('--json', ...args)
+    const rows = result.stdout.trim().split('\n').map(JSON.parse)
+
+    assert.equal(result.code, 0, result.stderr)
+    assert.equal(rows.length, KEYWORDS.length)
+    if (args.length > 0) {
+      assert.deepEqual(
+        rows.map((row) => row.keyword),
+        KEYWORDS.map((item) => item.keyword).reverse(),
+      )
+    }
+  }
+})
+
+test('--all csv output is only the header and rows', async () => {
+  for (const args of [[], ['--sort-by', 'keyword']]) {
+    const result = await listAll('--format', 'csv', ...args)
+    const lines = result.stdout.trim().split('\n')
+
+    assert.equal(result.code, 0, result.stderr)
+    assert.match(lines[0], /^Keyword,Region,/)
+    assert.equal(lines.length, KEYWORDS.length + 1)
+  }
+})
+
+test('--all table summary goes to stderr', async () => {
+  const result = await listAll('--sort-by', 'popularity:desc')
+
+  assert.equal(result.code, 0, result.stderr)
+  assert.match(result.stderr, /^App ID: 6448311069$/m)
+  assert.match(result.stderr, /^Pages: 3$/m)
+  assert.doesNotMatch(result.stdout, /App ID:/)
+  assert.match(result.stdout.split('\n')[0], /^Keyword\s+Region/)
+})